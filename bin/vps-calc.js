@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * vps-calc 命令行入口
+ */
+
+const { main } = require('../src/cli');
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
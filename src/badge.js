@@ -0,0 +1,429 @@
+/**
+ * VPS 剩余价值徽章模块
+ * 解析徽章参数、计算徽章数据，并按不同样式（卡片 / shields.io 风格扁平徽章）生成 SVG
+ */
+
+const { resolveTimezone, toCalendarDate, daysSince } = require('./dates');
+const { getCurrencySymbol } = require('./currencies');
+const { resolveRounding, roundMoney, formatMoney } = require('./money');
+const { parseNumber, findRepeatedParamsError, escapeXml, sanitizeColor } = require('./utils');
+const { SIGNATURE_STATUS, verifyBadgeParams } = require('./signing');
+
+const BADGE_STYLES = ['card', 'flat', 'flat-square', 'dark', 'light'];
+
+// 徽章文案
+const BADGE_LABELS = {
+  zh: { title: 'VPS 剩余价值', used: '已使用', to: '至', source: '出自', unverified: '未验证' },
+  en: { title: 'VPS Value', used: 'Used', to: 'to', source: 'Source', unverified: 'Unverified' }
+};
+
+// 卡片主题（dark / light 为卡片布局的深色、浅色主题）
+const CARD_THEMES = {
+  card: { background: ['#667eea', '#764ba2'], text: '#ffffff', track: '#ffffff', trackOpacity: 0.3 },
+  dark: { background: ['#24292f', '#161b22'], text: '#e6edf3', track: '#8b949e', trackOpacity: 0.35 },
+  light: { background: ['#ffffff', '#f3f4f6'], text: '#1f2328', track: '#d0d7de', trackOpacity: 0.8, border: '#d0d7de' }
+};
+
+/**
+ * 估算文本渲染宽度（Verdana / Arial 近似字宽）
+ * 全角字符（中日韩文字、全角符号）按 1em 计算
+ * @param {string} text - 文本
+ * @param {number} fontSize - 字号（px）
+ * @returns {number} 宽度（px）
+ */
+function measureText(text, fontSize) {
+  let em = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if (code >= 0x2e80) {
+      em += 1;
+    } else if (/[ilj.,:;'|!`]/.test(char)) {
+      em += 0.3;
+    } else if (/[ frt()[\]{}"/\\-]/.test(char)) {
+      em += 0.4;
+    } else if (/[mwMW@%]/.test(char)) {
+      em += 0.9;
+    } else if (/[A-Z]/.test(char)) {
+      em += 0.7;
+    } else {
+      em += 0.6;
+    }
+  }
+  return Math.ceil(em * fontSize);
+}
+
+/**
+ * 根据使用率选择颜色
+ * @param {number} usageRate - 使用率（百分比）
+ * @returns {string}
+ */
+function usageColor(usageRate) {
+  if (usageRate > 70) {
+    return '#e05d44'; // 红色（使用率高）
+  }
+  if (usageRate > 40) {
+    return '#dfb317'; // 橙色（使用率中等）
+  }
+  return '#44cc11'; // 绿色（使用率低）
+}
+
+/**
+ * 解析徽章参数并计算徽章数据
+ * 传入 totalDays 时按当前日期动态计算剩余价值，否则使用传入的 remainingValue（静态模式）
+ * @param {Object} query - 请求参数
+ * @returns {{data?: Object, error?: string}} 参数不合法时返回 error
+ */
+function resolveBadgeData(query) {
+  const {
+    startDate,
+    endDate,
+    currency = 'CNY',
+    remainingValue: inputRemainingValue,
+    totalCost,
+    totalDays,  // 总天数，用于动态计算
+    source,     // 出处网址
+    timezone,   // IANA 时区，决定动态计算时"今天"是哪一天
+    rounding    // 舍入模式：half-up / half-even
+  } = query;
+
+  const repeatedError = findRepeatedParamsError(query);
+  if (repeatedError) {
+    return { error: repeatedError };
+  }
+
+  // 参数验证
+  if (!startDate || !endDate || totalCost === undefined) {
+    return { error: '缺少必需参数：startDate, endDate, totalCost' };
+  }
+
+  // 与天数计算共用日期解析，拒绝 2024-02-30 这类不存在的日期
+  const start = toCalendarDate(startDate);
+  const end = toCalendarDate(endDate);
+  if (!start || !end) {
+    return { error: '日期格式不正确' };
+  }
+
+  if (end < start) {
+    return { error: '结束日期不能早于开始日期' };
+  }
+
+  const totalCostNum = parseNumber(totalCost);
+  if (totalCostNum === null || totalCostNum <= 0) {
+    return { error: 'totalCost 必须是大于 0 的数字' };
+  }
+
+  let mode;
+  try {
+    mode = resolveRounding(rounding);
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  let remainingValue = parseNumber(inputRemainingValue);
+  let usageRate;
+
+  if (totalDays !== undefined) {
+    const totalDaysNum = parseNumber(totalDays);
+    if (!Number.isInteger(totalDaysNum) || totalDaysNum <= 0) {
+      return { error: 'totalDays 必须是大于 0 的整数' };
+    }
+
+    let zone;
+    try {
+      zone = resolveTimezone(timezone);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    // 计算已使用天数（与 /api/calculate-by-cycle 共用日期计算）
+    const usedDays = daysSince(startDate, zone);
+    if (usedDays === null) {
+      return { error: '日期格式不正确' };
+    }
+    if (usedDays < 0) {
+      return { error: '开始日期不能晚于当前日期' };
+    }
+
+    // 确保不超过总天数
+    const actualUsedDays = Math.min(usedDays, totalDaysNum);
+
+    // 计算剩余天数和剩余价值
+    const remainingDays = Math.max(0, totalDaysNum - actualUsedDays);
+    remainingValue = (totalCostNum / totalDaysNum) * remainingDays;
+    usageRate = parseFloat(((actualUsedDays / totalDaysNum) * 100).toFixed(1));
+  } else {
+    if (remainingValue === null) {
+      return { error: '缺少必需参数：remainingValue' };
+    }
+    // 静态模式：使用传入的剩余价值
+    usageRate = parseFloat(((totalCostNum - remainingValue) / totalCostNum * 100).toFixed(1));
+  }
+
+  // 按货币的最小货币单位取整（如 JPY 取整到 1 元）
+  remainingValue = roundMoney(remainingValue, currency, mode);
+
+  return {
+    data: {
+      startDate: String(startDate),
+      endDate: String(endDate),
+      currency: String(currency),
+      symbol: getCurrencySymbol(currency),
+      remainingValue,
+      totalCost: totalCostNum,
+      rounding: mode,
+      usageRate,
+      color: usageColor(usageRate),
+      source: source ? String(source) : ''
+    }
+  };
+}
+
+/**
+ * 解析徽章外观参数
+ * @param {Object} query - 请求参数
+ * @returns {{options?: Object, error?: string}}
+ */
+function resolveBadgeOptions(query) {
+  const style = String(query.style || 'card').toLowerCase();
+  if (!BADGE_STYLES.includes(style)) {
+    return { error: `不支持的徽章样式：${style}，可选值：${BADGE_STYLES.join(', ')}` };
+  }
+
+  const lang = BADGE_LABELS[query.lang] ? query.lang : 'zh';
+
+  return {
+    options: {
+      style,
+      labels: BADGE_LABELS[lang],
+      title: query.title ? String(query.title).slice(0, 40) : BADGE_LABELS[lang].title,
+      color: sanitizeColor(query.color),
+      labelColor: sanitizeColor(query.labelColor),
+      background: sanitizeColor(query.background),
+      textColor: sanitizeColor(query.textColor)
+    }
+  };
+}
+
+/**
+ * 解析徽章请求：校验签名、计算徽章数据并解析外观参数
+ * 服务端配置了签名密钥时，签名无效的链接拒绝渲染，未签名的链接在标题上标注"未验证"
+ * @param {Object} query - 请求参数
+ * @returns {{data?: Object, options?: Object, error?: string, status?: number}} 失败时 status 为 HTTP 状态码
+ */
+function resolveBadgeRequest(query) {
+  // 先拒绝重复参数，避免数组参与签名校验
+  const repeatedError = findRepeatedParamsError(query);
+  if (repeatedError) {
+    return { status: 400, error: repeatedError };
+  }
+
+  const signature = verifyBadgeParams(query);
+  if (signature === SIGNATURE_STATUS.INVALID) {
+    return { status: 403, error: '徽章签名无效，链接参数可能已被篡改' };
+  }
+
+  const { data, error } = resolveBadgeData(query);
+  if (error) {
+    return { status: 400, error };
+  }
+
+  const { options, error: optionsError } = resolveBadgeOptions(query);
+  if (optionsError) {
+    return { status: 400, error: optionsError };
+  }
+
+  if (signature === SIGNATURE_STATUS.UNSIGNED) {
+    options.title = `${options.title} · ${options.labels.unverified}`;
+  }
+
+  return { data: { ...data, signature }, options };
+}
+
+/**
+ * 生成单行徽章的数值文本（扁平徽章与 shields.io endpoint 共用）
+ * @param {Object} data - resolveBadgeData 返回的数据
+ * @returns {string} 如 "¥294.00 · 19.5%"
+ */
+function formatBadgeMessage(data) {
+  return `${formatBadgeValue(data)} · ${data.usageRate}%`;
+}
+
+/**
+ * 按货币格式化徽章上的剩余价值（货币小数位数，如 JPY 不显示小数）
+ * @param {Object} data - resolveBadgeData 返回的数据
+ * @returns {string} 如 "¥294.00"
+ */
+function formatBadgeValue(data) {
+  return formatMoney(data.remainingValue, data.currency, { rounding: data.rounding, grouping: false });
+}
+
+/**
+ * 生成 shields.io 风格的单行扁平徽章
+ * @param {Object} data - resolveBadgeData 返回的数据
+ * @param {Object} options - resolveBadgeOptions 返回的选项
+ * @returns {string} SVG
+ */
+function buildFlatBadgeSvg(data, options) {
+  const label = options.title;
+  const message = formatBadgeMessage(data);
+  const labelWidth = measureText(label, 11) + 12;
+  const messageWidth = measureText(message, 11) + 12;
+  const width = labelWidth + messageWidth;
+  const radius = options.style === 'flat-square' ? 0 : 3;
+  const labelColor = options.labelColor || '#555';
+  const messageColor = options.color || data.color;
+  const textColor = options.textColor || '#fff';
+  const ariaLabel = escapeXml(`${label}: ${message}`);
+  const gloss = options.style === 'flat'
+    ? `
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${ariaLabel}">
+  <title>${ariaLabel}</title>${gloss}
+  <clipPath id="r">
+    <rect width="${width}" height="20" rx="${radius}" fill="#fff"/>
+  </clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="${escapeXml(labelColor)}"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${escapeXml(messageColor)}"/>${gloss ? `
+    <rect width="${width}" height="20" fill="url(#s)"/>` : ''}
+  </g>
+  <g fill="${escapeXml(textColor)}" text-anchor="middle" font-family="Verdana, Geneva, DejaVu Sans, sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${escapeXml(message)}</text>
+  </g>
+</svg>`;
+}
+
+/**
+ * 生成卡片徽章（默认样式，支持 dark / light 主题）
+ * 宽度随文本长度自适应，最小 280px
+ * @param {Object} data - resolveBadgeData 返回的数据
+ * @param {Object} options - resolveBadgeOptions 返回的选项
+ * @returns {string} SVG
+ */
+function buildCardBadgeSvg(data, options) {
+  const theme = CARD_THEMES[options.style] || CARD_THEMES.card;
+  const { labels } = options;
+  const textColor = escapeXml(options.textColor || theme.text);
+  const [gradFrom, gradTo] = options.background
+    ? [options.background, options.background]
+    : theme.background;
+
+  const title = options.title;
+  const range = `${data.startDate} ${labels.to} ${data.endDate}`;
+  const value = formatBadgeValue(data);
+  const source = data.source ? `${labels.source}: ${data.source}` : '';
+
+  const width = Math.max(
+    280,
+    measureText(title, 14) + 40,
+    measureText(range, 11) + 40,
+    measureText(value, 24) + 40,
+    measureText(source, 9) + 40
+  );
+  const height = source ? 140 : 120;
+  const center = width / 2;
+  const barWidth = width - 80;
+  const usageWidth = (Math.min(Math.max(data.usageRate, 0), 100) / 100) * barWidth;
+  const barColor = escapeXml(options.color || data.color);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${escapeXml(title)}">
+  <title>${escapeXml(title)}</title>
+  <defs>
+    <linearGradient id="grad" x1="0%" y1="0%" x2="0%" y2="100%">
+      <stop offset="0%" style="stop-color:${escapeXml(gradFrom)};stop-opacity:1" />
+      <stop offset="100%" style="stop-color:${escapeXml(gradTo)};stop-opacity:1" />
+    </linearGradient>
+  </defs>
+
+  <!-- 背景 -->
+  <rect width="${width}" height="${height}" rx="8" fill="url(#grad)"${theme.border ? ` stroke="${theme.border}"` : ''}/>
+
+  <!-- 标题 -->
+  <text x="${center}" y="25" font-family="Arial, sans-serif" font-size="14" font-weight="bold" fill="${textColor}" text-anchor="middle">
+    ${escapeXml(title)}
+  </text>
+
+  <!-- 日期范围 -->
+  <text x="${center}" y="45" font-family="Arial, sans-serif" font-size="11" fill="${textColor}" text-anchor="middle" opacity="0.9">
+    ${escapeXml(range)}
+  </text>
+
+  <!-- 剩余价值 -->
+  <text x="${center}" y="75" font-family="Arial, sans-serif" font-size="24" font-weight="bold" fill="${textColor}" text-anchor="middle">
+    ${escapeXml(value)}
+  </text>
+
+  <!-- 使用率 -->
+  <rect x="40" y="90" width="${barWidth}" height="20" rx="10" fill="${theme.track}" opacity="${theme.trackOpacity}"/>
+  <rect x="40" y="90" width="${usageWidth}" height="20" rx="10" fill="${barColor}"/>
+  <text x="${center}" y="104" font-family="Arial, sans-serif" font-size="11" font-weight="bold" fill="${textColor}" text-anchor="middle">
+    ${escapeXml(labels.used)} ${data.usageRate}%
+  </text>${source ? `
+
+  <!-- 出处 -->
+  <text x="${center}" y="128" font-family="Arial, sans-serif" font-size="9" fill="${textColor}" text-anchor="middle" opacity="0.7">
+    ${escapeXml(source)}
+  </text>` : ''}
+</svg>`;
+}
+
+/**
+ * 按样式生成剩余价值徽章
+ * @param {Object} data - resolveBadgeData 返回的数据
+ * @param {Object} options - resolveBadgeOptions 返回的选项
+ * @returns {string} SVG
+ */
+function buildValueBadgeSvg(data, options) {
+  if (options.style === 'flat' || options.style === 'flat-square') {
+    return buildFlatBadgeSvg(data, options);
+  }
+  return buildCardBadgeSvg(data, options);
+}
+
+/**
+ * 生成 shields.io endpoint 格式的徽章数据
+ * 参见 https://shields.io/badges/endpoint-badge
+ * @param {Object} data - resolveBadgeData 返回的数据
+ * @param {Object} options - resolveBadgeOptions 返回的选项
+ * @returns {Object} { schemaVersion, label, message, color, ... }
+ */
+function buildShieldsEndpoint(data, options) {
+  // shields.io 的十六进制颜色不带 #
+  const toShieldsColor = (color) => color.replace(/^#/, '');
+  const endpoint = {
+    schemaVersion: 1,
+    label: options.title,
+    message: formatBadgeMessage(data),
+    color: toShieldsColor(options.color || data.color)
+  };
+
+  if (options.labelColor) {
+    endpoint.labelColor = toShieldsColor(options.labelColor);
+  }
+  if (options.style === 'flat' || options.style === 'flat-square') {
+    endpoint.style = options.style;
+  }
+
+  return endpoint;
+}
+
+module.exports = {
+  BADGE_STYLES,
+  CARD_THEMES,
+  measureText,
+  usageColor,
+  resolveBadgeData,
+  resolveBadgeOptions,
+  resolveBadgeRequest,
+  formatBadgeMessage,
+  buildValueBadgeSvg,
+  buildShieldsEndpoint
+};
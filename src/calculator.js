@@ -3,39 +3,365 @@
  * 提供价值计算、验证等功能
  */
 
+const {
+  resolveTimezone,
+  toCalendarDate,
+  addDays,
+  addMonths,
+  diffDays,
+  daysSince,
+  today,
+  formatDate,
+  DAYS_PER_MONTH
+} = require('./dates');
+const { normalizeSpecs, calculateUnitCosts } = require('./specs');
+const { createMoney } = require('./money');
+
 /**
  * 计算 VPS 剩余价值
- * @param {number} totalCost - 总成本（元）
+ * 金额按货币的最小货币单位精确计算：总成本先取整到最小货币单位，剩余价值按剩余天数比例取整，
+ * 已使用价值为两者之差，保证 usedValue + remainingValue = totalCost
+ * @param {number} totalCost - 总成本（元），即本期实付价格
  * @param {number} totalDays - 总天数
  * @param {number} usedDays - 已使用天数
+ * @param {number} [renewalPrice] - 续费价格，传入时额外返回按续费价计算的剩余价值
+ * @param {Object} [options] - 选项
+ * @param {string} [options.currency='CNY'] - 货币代码（决定金额的小数位数）
+ * @param {string} [options.rounding] - 舍入模式：'half-up' | 'half-even'（默认为 DEFAULT_ROUNDING 或 half-up）
  * @returns {Object} 计算结果
  */
-function calculateRemainingValue(totalCost, totalDays, usedDays) {
+function calculateRemainingValue(totalCost, totalDays, usedDays, renewalPrice, options = {}) {
   // 参数验证
   validateInputs(totalCost, totalDays, usedDays);
 
-  // 计算日均消耗
-  const dailyRate = totalCost / totalDays;
-
-  // 计算已使用价值
-  const usedValue = dailyRate * usedDays;
+  const money = createMoney(options);
+  const total = toCostUnits(money, totalCost);
 
   // 计算剩余天数
   const remainingDays = totalDays - usedDays;
 
-  // 计算剩余价值
-  const remainingValue = dailyRate * remainingDays;
+  // 计算剩余价值与已使用价值（最小货币单位）
+  const remaining = money.share(total, remainingDays, totalDays);
+  const used = total - remaining;
 
   // 计算使用率
   const usageRate = (usedDays / totalDays) * 100;
 
-  return {
-    remainingValue: parseFloat(remainingValue.toFixed(2)),
-    usedValue: parseFloat(usedValue.toFixed(2)),
+  const result = {
+    remainingValue: money.value(remaining),
+    usedValue: money.value(used),
     remainingDays,
     usageRate: parseFloat(usageRate.toFixed(2)),
-    dailyRate: parseFloat(dailyRate.toFixed(2))
+    dailyRate: money.rate(total, totalDays),
+    totalCost: money.value(total)
+  };
+
+  if (renewalPrice !== undefined) {
+    Object.assign(result, calculateRenewalBasis(renewalPrice, totalDays, remainingDays, money));
+  }
+
+  return result;
+}
+
+/**
+ * 将总成本转换为最小货币单位
+ * @param {Object} money - createMoney 返回的金额运算上下文
+ * @param {number} totalCost - 总成本
+ * @returns {bigint}
+ * @throws {Error} 取整后为 0 时抛出异常（如 JPY 0.4）
+ */
+function toCostUnits(money, totalCost) {
+  const units = money.units(totalCost);
+  if (units <= 0n) {
+    throw new Error(`总成本不能小于 ${money.currency} 的最小货币单位`);
+  }
+  return units;
+}
+
+/**
+ * 按续费价格计算剩余天数对应的价值
+ * @param {number} renewalPrice - 续费价格（一个周期）
+ * @param {number} cycleDays - 续费周期天数
+ * @param {number} remainingDays - 剩余天数
+ * @param {Object} money - createMoney 返回的金额运算上下文
+ * @returns {{renewalDailyRate: number, renewalRemainingValue: number}}
+ * @throws {Error} 续费价格不合法时抛出异常
+ */
+function calculateRenewalBasis(renewalPrice, cycleDays, remainingDays, money) {
+  if (!isValidNumber(renewalPrice) || renewalPrice <= 0) {
+    throw new Error('续费价格必须是大于 0 的数字');
+  }
+
+  const renewal = money.units(renewalPrice);
+
+  return {
+    renewalDailyRate: money.rate(renewal, cycleDays),
+    renewalRemainingValue: money.value(money.share(renewal, remainingDays, cycleDays))
+  };
+}
+
+// 费用明细类型：周期性费用（随周期折旧）/ 一次性费用（开通费等，不计入剩余价值）/ 折扣（冲减周期性费用）
+const LINE_ITEM_TYPES = ['recurring', 'setup', 'discount'];
+
+const DEFAULT_ITEM_NAMES = {
+  recurring: '套餐',
+  setup: '开通费',
+  discount: '优惠'
+};
+
+/**
+ * 校验并规范化费用明细
+ * @param {Array<Object>} items - 费用明细
+ * @returns {Array<{name: string, type: string, amount?: number, percent?: number, taxable: boolean}>}
+ * @throws {Error} 明细不合法时抛出异常
+ */
+function normalizeLineItems(items) {
+  if (!Array.isArray(items)) {
+    throw new Error('费用明细 items 必须是数组');
+  }
+
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object') {
+      throw new Error(`第 ${index + 1} 项费用必须是对象`);
+    }
+
+    const type = item.type === undefined ? 'recurring' : item.type;
+    if (!LINE_ITEM_TYPES.includes(type)) {
+      throw new Error(`第 ${index + 1} 项费用类型不支持：${type}，可选值：${LINE_ITEM_TYPES.join(', ')}`);
+    }
+
+    const line = {
+      name: item.name ? String(item.name).slice(0, 100) : DEFAULT_ITEM_NAMES[type],
+      type,
+      taxable: item.taxable === undefined ? true : Boolean(item.taxable)
+    };
+
+    // 折扣可按固定金额或周期性费用的百分比
+    if (type === 'discount' && item.percent !== undefined) {
+      const percent = Number(item.percent);
+      if (!isValidNumber(percent) || percent <= 0 || percent > 100) {
+        throw new Error(`第 ${index + 1} 项折扣比例必须在 0 到 100 之间`);
+      }
+      line.percent = percent;
+      return line;
+    }
+
+    const amount = Number(item.amount);
+    if (!isValidNumber(amount) || amount <= 0) {
+      throw new Error(`第 ${index + 1} 项费用金额必须是大于 0 的数字`);
+    }
+    line.amount = amount;
+    return line;
+  });
+}
+
+/**
+ * 按费用明细计算剩余价值
+ * 周期性费用与折扣按剩余天数线性折旧，一次性费用（开通费）视为已全部消耗；
+ * 税费按各项金额计算并随对应项目折旧
+ * @param {Array<Object>} items - 费用明细：{ name, type: 'recurring' | 'setup' | 'discount', amount, percent, taxable }
+ * @param {number} totalDays - 总天数
+ * @param {number} usedDays - 已使用天数
+ * @param {Object} [options] - 选项
+ * @param {number} [options.baseCost] - 套餐价格（作为第一项周期性费用）
+ * @param {number} [options.taxRate=0] - 税率（百分比，如增值税 20）
+ * @param {number} [options.renewalPrice] - 续费价格，传入时额外返回按续费价计算的剩余价值
+ * @param {string} [options.currency='CNY'] - 货币代码（决定金额的小数位数）
+ * @param {string} [options.rounding] - 舍入模式：'half-up' | 'half-even'
+ * @returns {Object} 计算结果（含逐项明细 items 与分类汇总 breakdown）
+ */
+function calculateItemizedValue(items, totalDays, usedDays, options = {}) {
+  const { baseCost, renewalPrice } = options;
+  const money = createMoney(options);
+  const taxRate = options.taxRate === undefined ? 0 : Number(options.taxRate);
+
+  if (!isValidNumber(taxRate) || taxRate < 0 || taxRate > 100) {
+    throw new Error('税率必须在 0 到 100 之间');
+  }
+
+  const lines = normalizeLineItems(items);
+  if (baseCost !== undefined) {
+    lines.unshift(...normalizeLineItems([{ type: 'recurring', amount: baseCost }]));
+  }
+  if (lines.length === 0) {
+    throw new Error('费用明细 items 不能为空');
+  }
+
+  // 各项金额先取整到最小货币单位，汇总值均由取整后的明细相加
+  const units = lines.map((line) => (line.percent === undefined ? money.units(line.amount) : 0n));
+  const recurringSubtotal = lines
+    .reduce((sum, line, index) => (line.type === 'recurring' ? sum + units[index] : sum), 0n);
+  lines.forEach((line, index) => {
+    if (line.percent !== undefined) {
+      units[index] = money.share(recurringSubtotal, line.percent, 100);
+    }
+  });
+
+  const discountTotal = lines
+    .reduce((sum, line, index) => (line.type === 'discount' ? sum + units[index] : sum), 0n);
+  if (discountTotal > recurringSubtotal) {
+    throw new Error('折扣金额不能超过周期性费用');
+  }
+
+  const remainingDays = totalDays - usedDays;
+  const breakdown = { recurring: 0n, setup: 0n, discount: 0n, tax: 0n };
+  let totalCost = 0n;
+  let remainingValue = 0n;
+
+  const details = lines.map((line, index) => {
+    const amount = line.type === 'discount' ? -units[index] : units[index];
+    const tax = line.taxable ? money.share(amount, taxRate, 100) : 0n;
+    const total = amount + tax;
+    const lineRemaining = line.type === 'setup' ? 0n : money.share(total, remainingDays, totalDays);
+
+    totalCost += total;
+    remainingValue += lineRemaining;
+    breakdown.tax += tax;
+    if (line.type === 'setup') {
+      breakdown.setup += total;
+    } else {
+      breakdown.recurring += total;
+      if (line.type === 'discount') {
+        breakdown.discount += total;
+      }
+    }
+
+    return {
+      ...line,
+      amount: money.value(amount),
+      tax: money.value(tax),
+      total: money.value(total),
+      remainingValue: money.value(lineRemaining)
+    };
+  });
+
+  validateInputs(money.value(totalCost), totalDays, usedDays);
+
+  const result = {
+    remainingValue: money.value(remainingValue),
+    usedValue: money.value(totalCost - remainingValue),
+    remainingDays,
+    usageRate: parseFloat(((usedDays / totalDays) * 100).toFixed(2)),
+    dailyRate: money.rate(breakdown.recurring, totalDays),
+    totalCost: money.value(totalCost),
+    taxRate,
+    breakdown: {
+      recurring: money.value(breakdown.recurring),
+      setup: money.value(breakdown.setup),
+      discount: money.value(breakdown.discount),
+      tax: money.value(breakdown.tax)
+    },
+    items: details
   };
+
+  if (renewalPrice !== undefined) {
+    Object.assign(result, calculateRenewalBasis(renewalPrice, totalDays, remainingDays, money));
+  }
+
+  return result;
+}
+
+/**
+ * 计算多期续费记录的剩余价值
+ * 各期从购买日期起首尾相接，每期按自身价格与天数线性折旧；
+ * 尚未开始的已付费周期全部计入剩余价值
+ * @param {Array<{price: number, cycle?: string}>} terms - 各期记录（按时间顺序），cycle 缺省时使用 options.cycle
+ * @param {string|Date} purchaseDate - 首期购买日期
+ * @param {Object} [options] - 选项
+ * @param {string} [options.cycle] - 默认付款周期
+ * @param {string} [options.timezone] - IANA 时区
+ * @param {number} [options.renewalPrice] - 续费价格，传入时额外返回按续费价计算的剩余价值
+ * @param {string} [options.currency='CNY'] - 货币代码（决定金额的小数位数）
+ * @param {string} [options.rounding] - 舍入模式：'half-up' | 'half-even'
+ * @param {Date} [options.now] - 当前时间（默认为系统时间）
+ * @returns {Object} 计算结果（含各期明细 terms）
+ */
+function calculateTermHistory(terms, purchaseDate, options = {}) {
+  const { cycle, renewalPrice, now = new Date() } = options;
+  const timezone = resolveTimezone(options.timezone);
+  const money = createMoney(options);
+
+  if (!Array.isArray(terms) || terms.length === 0) {
+    throw new Error('续费记录 terms 必须是非空数组');
+  }
+
+  const usedDays = calculateUsedDays(purchaseDate, timezone, now);
+  const current = today(timezone, now);
+  let start = parsePurchaseDate(purchaseDate, timezone);
+  let totalCost = 0n;
+  let usedValue = 0n;
+  let remainingValue = 0n;
+  let currentTerm = null;
+
+  const details = terms.map((term, index) => {
+    const price = Number(term && term.price);
+    const termCycle = (term && term.cycle) || cycle;
+
+    if (!isValidNumber(price) || price <= 0) {
+      throw new Error(`第 ${index + 1} 期价格必须是大于 0 的数字`);
+    }
+    if (!termCycle) {
+      throw new Error(`第 ${index + 1} 期缺少付款周期`);
+    }
+
+    const expiry = addCycle(start, termCycle);
+    const termDays = diffDays(start, expiry);
+    const termUsedDays = Math.min(Math.max(diffDays(start, current), 0), termDays);
+    const termCost = toCostUnits(money, price);
+    const termRemaining = money.share(termCost, termDays - termUsedDays, termDays);
+
+    totalCost += termCost;
+    usedValue += termCost - termRemaining;
+    remainingValue += termRemaining;
+
+    if (currentTerm === null && termUsedDays < termDays) {
+      currentTerm = index;
+    }
+
+    const detail = {
+      index,
+      price: money.value(termCost),
+      cycle: termCycle,
+      startDate: formatDate(start),
+      expiryDate: formatDate(expiry),
+      totalDays: termDays,
+      usedDays: termUsedDays,
+      dailyRate: money.rate(termCost, termDays),
+      usedValue: money.value(termCost - termRemaining),
+      remainingValue: money.value(termRemaining)
+    };
+
+    start = expiry;
+    return detail;
+  });
+
+  const totalDays = diffDays(parsePurchaseDate(purchaseDate, timezone), start);
+  if (usedDays > totalDays) {
+    throw new Error('已使用天数不能超过总天数');
+  }
+
+  const active = details[currentTerm === null ? details.length - 1 : currentTerm];
+  const remainingDays = totalDays - usedDays;
+
+  const result = {
+    remainingValue: money.value(remainingValue),
+    usedValue: money.value(usedValue),
+    remainingDays,
+    usageRate: parseFloat(((usedDays / totalDays) * 100).toFixed(2)),
+    dailyRate: active.dailyRate,
+    totalCost: money.value(totalCost),
+    totalDays,
+    usedDays,
+    expiryDate: formatDate(start),
+    currentTerm: active.index,
+    terms: details
+  };
+
+  if (renewalPrice !== undefined) {
+    Object.assign(result, calculateRenewalBasis(renewalPrice, active.totalDays, remainingDays, money));
+  }
+
+  return result;
 }
 
 /**
@@ -72,55 +398,300 @@ function isValidNumber(value) {
   return typeof value === 'number' && !isNaN(value) && isFinite(value);
 }
 
+// 预设付款周期（按自然月计算）
+const NAMED_CYCLES = {
+  monthly: { unit: 'month', count: 1 },
+  quarterly: { unit: 'month', count: 3 },
+  semiannual: { unit: 'month', count: 6 },
+  yearly: { unit: 'month', count: 12 },
+  biennial: { unit: 'month', count: 24 },
+  triennial: { unit: 'month', count: 36 }
+};
+
+const CYCLE_UNITS = {
+  d: 'day',
+  day: 'day',
+  days: 'day',
+  m: 'month',
+  month: 'month',
+  months: 'month',
+  y: 'year',
+  year: 'year',
+  years: 'year'
+};
+
+/**
+ * 解析付款周期
+ * 支持预设周期（monthly/quarterly/semiannual/yearly/biennial/triennial）
+ * 以及自定义周期，如 '45d'、'3m'、'every 45 days'、'every 3 months'
+ * @param {string} cycle - 付款周期
+ * @returns {{unit: string, count: number}} 周期单位（'day' | 'month'）与数量
+ */
+function parseCycle(cycle) {
+  const key = String(cycle === undefined || cycle === null ? '' : cycle).trim().toLowerCase();
+
+  if (NAMED_CYCLES[key]) {
+    return { ...NAMED_CYCLES[key] };
+  }
+
+  const match = key.match(/^(?:every\s+)?(\d+)\s*([a-z]+)$/);
+  const unit = match && CYCLE_UNITS[match[2]];
+  const count = match ? Number(match[1]) : 0;
+
+  if (!unit || !Number.isInteger(count) || count <= 0 || count > 3650) {
+    throw new Error(`不支持的付款周期：${cycle}`);
+  }
+
+  if (unit === 'year') {
+    return { unit: 'month', count: count * 12 };
+  }
+
+  return { unit, count };
+}
+
+/**
+ * 解析购买日期为自然日
+ * @param {string|Date} purchaseDate - 购买日期
+ * @param {string} [timezone] - IANA 时区
+ * @returns {Date}
+ * @throws {Error} 日期格式不正确时抛出异常
+ */
+function parsePurchaseDate(purchaseDate, timezone) {
+  const date = toCalendarDate(purchaseDate, resolveTimezone(timezone));
+
+  if (!date) {
+    throw new Error('购买日期格式不正确');
+  }
+
+  return date;
+}
+
+/**
+ * 计算到期日期（购买日期加一个付款周期）
+ * @param {string|Date} purchaseDate - 购买日期
+ * @param {string} cycle - 付款周期
+ * @param {string} [timezone] - IANA 时区，用于确定带时间的购买日期属于哪一天
+ * @returns {Date} 到期日期（UTC 零点）
+ */
+function getExpiryDate(purchaseDate, cycle, timezone) {
+  return addCycle(parsePurchaseDate(purchaseDate, timezone), cycle);
+}
+
+/**
+ * 在自然日上累加一个付款周期
+ * @param {Date} start - 开始日期（自然日）
+ * @param {string} cycle - 付款周期
+ * @returns {Date}
+ */
+function addCycle(start, cycle) {
+  const { unit, count } = parseCycle(cycle);
+
+  if (unit === 'day') {
+    return addDays(start, count);
+  }
+
+  return addMonths(start, count);
+}
+
+/**
+ * 推算自动续费服务器的当前周期
+ * 从购买日期起每期首尾相接地续费（与多期续费记录 terms 的推算方式相同），
+ * 到期日当天即进入下一期
+ * @param {string|Date} purchaseDate - 购买日期
+ * @param {string} cycle - 付款周期
+ * @param {string} [timezone] - IANA 时区
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {{startDate: string, renewals: number}} 当前周期的开始日期与已续费次数
+ * @throws {Error} 日期或周期格式不正确时抛出异常
+ */
+function getCurrentTerm(purchaseDate, cycle, timezone, now = new Date()) {
+  const current = today(resolveTimezone(timezone), now);
+  let start = parsePurchaseDate(purchaseDate, timezone);
+  let expiry = addCycle(start, cycle);
+  let renewals = 0;
+
+  while (expiry <= current) {
+    start = expiry;
+    expiry = addCycle(start, cycle);
+    renewals += 1;
+  }
+
+  return { startDate: formatDate(start), renewals };
+}
+
 /**
  * 根据付款周期获取总天数
- * @param {string} cycle - 付款周期：'monthly' | 'yearly' | 'biennial' | 'triennial'
+ * 传入购买日期时按真实日历计算（购买日期到下次到期日），
+ * 否则返回名义天数（每月 30 天、每年 365 天）
+ * @param {string} cycle - 付款周期：'monthly' | 'quarterly' | 'semiannual' | 'yearly' | 'biennial' | 'triennial' 或自定义周期
+ * @param {string|Date} [purchaseDate] - 购买日期
+ * @param {string} [timezone] - IANA 时区
  * @returns {number} 总天数
  */
-function getDaysByCycle(cycle) {
-  const cycleDays = {
-    monthly: 30,
-    yearly: 365,
-    biennial: 730,
-    triennial: 1095
-  };
+function getDaysByCycle(cycle, purchaseDate, timezone) {
+  const { unit, count } = parseCycle(cycle);
 
-  if (!cycleDays[cycle]) {
-    throw new Error(`不支持的付款周期：${cycle}`);
+  if (purchaseDate !== undefined) {
+    const start = parsePurchaseDate(purchaseDate, timezone);
+    return diffDays(start, addCycle(start, cycle));
+  }
+
+  if (unit === 'day') {
+    return count;
   }
 
-  return cycleDays[cycle];
+  return count % 12 === 0 ? (count / 12) * 365 : count * 30;
 }
 
 /**
  * 计算已使用天数（从购买日期到今天）
+ * 按指定时区的自然日计算，未指定时使用默认时区（DEFAULT_TIMEZONE 或 UTC）
  * @param {string|Date} purchaseDate - 购买日期
+ * @param {string} [timezone] - IANA 时区，如 'Asia/Shanghai'
+ * @param {Date} [now] - 当前时间（默认为系统时间）
  * @returns {number} 已使用天数
  */
-function calculateUsedDays(purchaseDate) {
-  const purchase = new Date(purchaseDate);
+function calculateUsedDays(purchaseDate, timezone, now = new Date()) {
+  const usedDays = daysSince(purchaseDate, resolveTimezone(timezone), now);
 
-  if (isNaN(purchase.getTime())) {
+  if (usedDays === null) {
     throw new Error('购买日期格式不正确');
   }
 
-  const now = new Date();
-  const diffTime = now - purchase;
-
-  if (diffTime < 0) {
+  if (usedDays < 0) {
     throw new Error('购买日期不能晚于当前日期');
   }
 
-  // 转换为天数（向下取整）
-  const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+  return usedDays;
+}
+
+/**
+ * 按付款周期与购买日期计算剩余价值
+ * 传入 terms 时按多期续费记录计算，否则按单期 totalCost 计算
+ * @param {Object} input - 计算参数
+ * @param {number} [input.totalCost] - 购买价格（单期）
+ * @param {string} input.cycle - 付款周期
+ * @param {string|Date} input.purchaseDate - 购买日期
+ * @param {string} [input.timezone] - IANA 时区
+ * @param {number} [input.renewalPrice] - 续费价格
+ * @param {Array<{price: number, cycle?: string}>} [input.terms] - 多期续费记录
+ * @param {Array<Object>} [input.items] - 费用明细（开通费、附加项目、折扣），传入时 totalCost 作为套餐价格，可省略
+ * @param {number} [input.taxRate] - 税率（百分比），传入时按费用明细方式计算
+ * @param {Object} [input.specs] - 硬件配置，传入时额外返回月度成本 monthlyCost 与单位月成本 unitCosts
+ * @param {string} [input.currency='CNY'] - 货币代码（决定金额的小数位数）
+ * @param {string} [input.rounding] - 舍入模式：'half-up' | 'half-even'
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {Object} 计算结果（含 totalCost、totalDays、usedDays、expiryDate 等）
+ */
+function calculateByCycle(input, now = new Date()) {
+  const { totalCost, cycle, purchaseDate, terms, items, taxRate } = input;
+  const timezone = resolveTimezone(input.timezone);
+  const money = createMoney({ currency: input.currency, rounding: input.rounding });
+  const currency = { currency: money.currency, rounding: money.rounding };
+  const renewalPrice = input.renewalPrice === undefined || input.renewalPrice === null || input.renewalPrice === ''
+    ? undefined
+    : Number(input.renewalPrice);
+
+  // 多期续费记录：各期价格/周期可不同
+  if (terms !== undefined) {
+    if (!purchaseDate) {
+      throw new Error('缺少必需参数：purchaseDate');
+    }
+    if (items !== undefined) {
+      throw new Error('多期续费记录 terms 不支持费用明细 items');
+    }
+
+    const history = calculateTermHistory(terms, purchaseDate, { cycle, timezone, renewalPrice, now, ...currency });
+    const active = history.terms[history.currentTerm];
+
+    return withSpecs({
+      ...history,
+      purchaseDate,
+      cycle,
+      timezone
+    }, input.specs, active.price / active.totalDays, money);
+  }
+
+  if ((!totalCost && items === undefined) || !cycle || !purchaseDate) {
+    throw new Error('缺少必需参数：totalCost, cycle, purchaseDate');
+  }
+
+  // 总天数按真实日历计算，已使用天数按时区的自然日计算
+  const totalDays = getDaysByCycle(cycle, purchaseDate, timezone);
+  const expiryDate = formatDate(getExpiryDate(purchaseDate, cycle, timezone));
+  const usedDays = calculateUsedDays(purchaseDate, timezone, now);
+
+  // 费用明细：套餐价、开通费、附加项目、折扣与税费
+  const calculation = items !== undefined || taxRate !== undefined
+    ? calculateItemizedValue(items || [], totalDays, usedDays, {
+      baseCost: totalCost ? Number(totalCost) : undefined,
+      taxRate,
+      renewalPrice,
+      ...currency
+    })
+    : calculateRemainingValue(Number(totalCost), totalDays, usedDays, renewalPrice, currency);
+
+  return withDailySpecs({
+    ...calculation,
+    totalDays,
+    usedDays,
+    purchaseDate,
+    expiryDate,
+    cycle,
+    timezone
+  }, input.specs, totalDays, currency);
+}
+
+/**
+ * 按总天数为单期计算结果附加硬件配置与单位月成本
+ * 日均成本按总天数计算，一次性费用不计入
+ * @param {Object} result - calculateRemainingValue 或 calculateItemizedValue 的计算结果
+ * @param {Object} [specs] - 配置（未传入时原样返回）
+ * @param {number} totalDays - 总天数
+ * @param {Object} [options] - { currency, rounding }，决定月度成本的取整
+ * @returns {Object}
+ */
+function withDailySpecs(result, specs, totalDays, options = {}) {
+  const recurringCost = result.breakdown ? result.breakdown.recurring : result.totalCost;
+  return withSpecs(result, specs, recurringCost / totalDays, createMoney(options));
+}
+
+/**
+ * 附加硬件配置与单位月成本
+ * @param {Object} result - 计算结果
+ * @param {Object} [specs] - 配置（未传入时原样返回）
+ * @param {number} dailyCost - 当前周期的日均成本（未取整）
+ * @param {Object} money - createMoney 返回的金额运算上下文
+ * @returns {Object}
+ */
+function withSpecs(result, specs, dailyCost, money) {
+  if (specs === undefined || specs === null) {
+    return result;
+  }
+
+  const normalized = normalizeSpecs(specs);
+  const monthlyCost = dailyCost * DAYS_PER_MONTH;
 
-  return diffDays;
+  return {
+    ...result,
+    specs: normalized,
+    monthlyCost: money.round(monthlyCost),
+    unitCosts: calculateUnitCosts(normalized, monthlyCost)
+  };
 }
 
 module.exports = {
   calculateRemainingValue,
   validateInputs,
   isValidNumber,
+  parseCycle,
+  getExpiryDate,
+  getCurrentTerm,
   getDaysByCycle,
-  calculateUsedDays
+  calculateUsedDays,
+  calculateTermHistory,
+  normalizeLineItems,
+  calculateItemizedValue,
+  calculateByCycle,
+  withDailySpecs
 };
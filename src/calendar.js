@@ -0,0 +1,308 @@
+/**
+ * 日历订阅模块
+ * 将服务器的到期与续费日期生成 RFC 5545 iCalendar（.ics）订阅，
+ * 到期日期与 /api/calculate-by-cycle、时间线使用相同的周期计算逻辑
+ */
+
+const crypto = require('crypto');
+const { MAX_RENEWALS, buildSegments } = require('./timeline');
+const { getExpiryDate, getCurrentTerm } = require('./calculator');
+const {
+  DEFAULT_LEAD_DAYS,
+  resolveTimezone,
+  toCalendarDate,
+  today,
+  addDays,
+  diffDays,
+  formatDate,
+  normalizeLeadDays
+} = require('./dates');
+const { formatMoney } = require('./money');
+
+// UID 域名部分，保证与其它日历来源的 UID 不冲突
+const UID_DOMAIN = 'vps-value-calculator';
+
+// 日历客户端建议的刷新间隔
+const REFRESH_INTERVAL = 'PT12H';
+
+/**
+ * 转义 TEXT 类型的属性值
+ * @param {string} value - 原始文本
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 按 75 字节折行（续行以空格开头），不拆分多字节字符
+ * @param {string} line - 内容行
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * 格式化为 DATE 值（YYYYMMDD）
+ * @param {Date} date - 自然日
+ * @returns {string}
+ */
+function formatIcsDate(date) {
+  return formatDate(date).replace(/-/g, '');
+}
+
+/**
+ * 格式化为 UTC DATE-TIME 值（YYYYMMDDTHHMMSSZ）
+ * @param {Date} date - 时间
+ * @returns {string}
+ */
+function formatIcsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * 解析提醒天数：逗号分隔的天数，none 表示不添加提醒
+ * @param {string|Array<number>} [alarms] - 提醒天数
+ * @returns {Array<number>}
+ */
+function resolveAlarms(alarms) {
+  if (alarms === undefined || alarms === null || alarms === '') {
+    return [...DEFAULT_LEAD_DAYS];
+  }
+  if (alarms === 'none') {
+    return [];
+  }
+  return normalizeLeadDays(alarms);
+}
+
+/**
+ * 解析日历订阅参数
+ * @param {Object} query - 请求参数：alarms、renewals
+ * @returns {{alarms: Array<number>, renewals?: number}} 未传入 renewals 时按自动续费推算到当前周期
+ * @throws {Error} 参数不合法时抛出异常
+ */
+function resolveCalendarOptions(query) {
+  if (query.renewals === undefined || query.renewals === '') {
+    return { alarms: resolveAlarms(query.alarms) };
+  }
+
+  const renewals = Number(query.renewals);
+  if (!Number.isInteger(renewals) || renewals < 0 || renewals > MAX_RENEWALS) {
+    throw new Error(`续费次数 renewals 必须是 0 到 ${MAX_RENEWALS} 之间的整数`);
+  }
+  return { alarms: resolveAlarms(query.alarms), renewals };
+}
+
+/**
+ * 推算自动续费后当前周期的计划续费事件
+ * 已付各期均已到期时，按最后一期的周期滚动到今天所在的周期（与服务器清单的自动续费规则一致）
+ * @param {{segment: Object, index: number}} next - 已付各期之后的第一次计划续费
+ * @param {string} timezone - IANA 时区
+ * @param {Date} now - 当前时间
+ * @returns {{segment: Object, index: number}|null} 最后一期尚未到期时返回 null
+ */
+function rollToCurrentTerm(next, timezone, now) {
+  if (next.segment.start > today(timezone, now)) {
+    return null;
+  }
+
+  const term = getCurrentTerm(formatDate(next.segment.start), next.segment.cycle, timezone, now);
+  const start = toCalendarDate(term.startDate);
+  const expiry = getExpiryDate(term.startDate, next.segment.cycle);
+
+  return {
+    segment: { ...next.segment, start, expiry, days: diffDays(start, expiry), paidOn: start },
+    index: next.index + term.renewals
+  };
+}
+
+/**
+ * 生成一台服务器的到期 / 续费事件
+ * 已付各期中除最后一期外，每期到期日即续费日；最后一期到期日为到期事件；
+ * renewals 大于 0 时追加计划续费后的到期事件。未传入 renewals 时，自动续费（autoRenew 不为 false）
+ * 且已付各期均已到期的服务器追加今天所在周期的计划续费事件，使日历始终包含下一个到期日
+ * @param {Object} server - 服务器：{ key, name, totalCost, cycle, purchaseDate, timezone?, terms?, items?, taxRate?, currency?, renewalPrice?, autoRenew? }
+ * @param {Object} [options] - 选项
+ * @param {number} [options.renewals] - 计划续费次数
+ * @param {Date} [options.now] - 当前时间（默认为系统时间）
+ * @returns {Array<Object>} 事件：{ uid, date, summary, description }
+ * @throws {Error} 参数不合法时抛出异常
+ */
+function buildServerEvents(server, options = {}) {
+  if (!server.purchaseDate) {
+    throw new Error('缺少必需参数：purchaseDate');
+  }
+
+  const timezone = resolveTimezone(server.timezone);
+  const start = toCalendarDate(server.purchaseDate, timezone);
+  if (!start) {
+    throw new Error('购买日期格式不正确');
+  }
+
+  const { renewals, now = new Date() } = options;
+  const auto = renewals === undefined;
+  const segments = buildSegments({ ...server, renewals: auto ? 1 : renewals }, start)
+    .map((segment, index) => ({ segment, index }));
+  let lastPaid = segments.filter(({ segment }) => !segment.planned).length - 1;
+  const currency = server.currency || 'CNY';
+
+  if (auto) {
+    const next = segments.pop();
+    const current = server.autoRenew === false ? null : rollToCurrentTerm(next, timezone, now);
+    if (current) {
+      // 已自动续费：最后一期已付款的到期日同样是续费日
+      segments.push(current);
+      lastPaid += 1;
+    }
+  }
+
+  return segments.map(({ segment, index }) => {
+    let summary = `VPS 到期：${server.name}`;
+    if (segment.planned) {
+      summary = `VPS 到期（计划续费）：${server.name}`;
+    } else if (index < lastPaid) {
+      summary = `VPS 续费：${server.name}`;
+    }
+
+    const description = [
+      `价格：${formatMoney(segment.price, currency)} / ${segment.cycle}`,
+      `本期：${formatDate(segment.start)} 至 ${formatDate(segment.expiry)}（${segment.days} 天）`
+    ];
+    if (segment.planned) {
+      description.push('按计划续费推算，实际到期日期以续费后为准');
+    }
+
+    return {
+      uid: `${server.key}-${index}@${UID_DOMAIN}`,
+      date: segment.expiry,
+      summary,
+      description: description.join('\n')
+    };
+  });
+}
+
+/**
+ * 生成 iCalendar 文本
+ * @param {Array<Object>} events - buildServerEvents 返回的事件
+ * @param {Object} [options] - 选项
+ * @param {string} [options.name='VPS 到期日历'] - 日历名称
+ * @param {Array<number>} [options.alarms] - 提前提醒天数（VALARM）
+ * @param {Date} [options.now] - 生成时间（DTSTAMP）
+ * @returns {string}
+ */
+function buildCalendar(events, options = {}) {
+  const { name = 'VPS 到期日历', alarms = DEFAULT_LEAD_DAYS, now = new Date() } = options;
+  const stamp = formatIcsDateTime(now);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//VPS Renewal Calendar//ZH`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `NAME:${escapeText(name)}`,
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(addDays(event.date, 1))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      'TRANSP:TRANSPARENT'
+    );
+    alarms.forEach((days) => {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(event.summary)}`,
+        `TRIGGER:${days === 0 ? 'PT0S' : `-P${days}D`}`,
+        'END:VALARM'
+      );
+    });
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * 服务器清单记录转换为日历服务器
+ * @param {Object} record - 服务器清单记录
+ * @returns {Object}
+ */
+function fromInventoryRecord(record) {
+  return {
+    ...record,
+    key: `server-${record.id}`,
+    name: [record.provider, record.plan].filter(Boolean).join(' ') || record.id
+  };
+}
+
+/**
+ * 请求参数转换为日历服务器
+ * 未传入 id 时按名称、周期与购买日期生成标识，修改这些参数会生成新的事件
+ * @param {Object} query - 请求参数
+ * @returns {Object}
+ */
+function fromQuery(query) {
+  const name = query.name ? String(query.name).slice(0, 100) : 'VPS';
+  const id = query.id && /^[\w-]{1,64}$/.test(query.id)
+    ? query.id
+    : crypto.createHash('sha1')
+      .update([name, query.cycle, query.purchaseDate, query.timezone].join('|'))
+      .digest('hex')
+      .slice(0, 16);
+
+  return {
+    key: `vps-${id}`,
+    name,
+    totalCost: query.totalCost,
+    cycle: query.cycle,
+    purchaseDate: query.purchaseDate,
+    timezone: query.timezone,
+    taxRate: query.taxRate,
+    currency: query.currency,
+    renewalPrice: query.renewalPrice
+  };
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  resolveAlarms,
+  resolveCalendarOptions,
+  buildServerEvents,
+  buildCalendar,
+  fromInventoryRecord,
+  fromQuery
+};
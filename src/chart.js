@@ -0,0 +1,141 @@
+/**
+ * 剩余价值曲线图模块
+ * 将时间线渲染为 SVG 折线图，外观参数与剩余价值徽章一致（card / dark / light 主题）
+ */
+
+const { escapeXml, sanitizeColor, clampInt } = require('./utils');
+const { getCurrencySymbol } = require('./currencies');
+const { formatMoney } = require('./money');
+const { CARD_THEMES } = require('./badge');
+
+const CHART_STYLES = ['card', 'dark', 'light'];
+
+// 曲线图文案
+const CHART_LABELS = {
+  zh: { title: 'VPS 剩余价值曲线', today: '今天', to: '至' },
+  en: { title: 'VPS Value Timeline', today: 'Today', to: 'to' }
+};
+
+/**
+ * 解析曲线图外观参数
+ * @param {Object} query - 请求参数
+ * @returns {{options?: Object, error?: string}}
+ */
+function resolveChartOptions(query) {
+  const style = String(query.style || 'card').toLowerCase();
+  if (!CHART_STYLES.includes(style)) {
+    return { error: `不支持的曲线图样式：${style}，可选值：${CHART_STYLES.join(', ')}` };
+  }
+
+  const lang = CHART_LABELS[query.lang] ? query.lang : 'zh';
+
+  return {
+    options: {
+      style,
+      labels: CHART_LABELS[lang],
+      title: query.title ? String(query.title).slice(0, 40) : CHART_LABELS[lang].title,
+      currency: String(query.currency || 'CNY'),
+      width: clampInt(query.width, 480, 240, 1200),
+      height: clampInt(query.height, 240, 160, 600),
+      color: sanitizeColor(query.color),
+      background: sanitizeColor(query.background),
+      textColor: sanitizeColor(query.textColor)
+    }
+  };
+}
+
+/**
+ * 生成剩余价值曲线图
+ * @param {Object} timeline - buildTimeline 返回的时间线
+ * @param {Object} options - resolveChartOptions 返回的选项
+ * @returns {string} SVG
+ */
+function buildTimelineSvg(timeline, options) {
+  const theme = CARD_THEMES[options.style] || CARD_THEMES.card;
+  const { labels, width, height } = options;
+  const textColor = escapeXml(options.textColor || theme.text);
+  const lineColor = escapeXml(options.color || theme.text);
+  const [gradFrom, gradTo] = options.background
+    ? [options.background, options.background]
+    : theme.background;
+  const symbol = getCurrencySymbol(options.currency);
+
+  // 绘图区域
+  const left = 56;
+  const right = width - 20;
+  const top = 44;
+  const bottom = height - 32;
+  const plotWidth = right - left;
+  const plotHeight = bottom - top;
+
+  const { points } = timeline;
+  const maxValue = Math.max(...points.map((point) => point.remainingValue), 0.01);
+  const startTime = Date.parse(timeline.purchaseDate);
+  const span = Math.max(Date.parse(timeline.expiryDate) - startTime, 1);
+  const x = (date) => left + ((Date.parse(date) - startTime) / span) * plotWidth;
+  const y = (value) => bottom - (value / maxValue) * plotHeight;
+
+  const line = points
+    .map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.date).toFixed(1)},${y(point.remainingValue).toFixed(1)}`)
+    .join(' ');
+  const area = `${line} L${right.toFixed(1)},${bottom} L${left},${bottom} Z`;
+
+  const todayMarker = timeline.today
+    ? `
+  <!-- 今天 -->
+  <line x1="${x(timeline.today.date).toFixed(1)}" y1="${top}" x2="${x(timeline.today.date).toFixed(1)}" y2="${bottom}" stroke="${textColor}" stroke-width="1" stroke-dasharray="4 3" opacity="0.7"/>
+  <circle cx="${x(timeline.today.date).toFixed(1)}" cy="${y(timeline.today.remainingValue).toFixed(1)}" r="4" fill="${lineColor}" stroke="${escapeXml(gradFrom)}" stroke-width="1.5"/>
+  <text x="${right}" y="28" font-family="Arial, sans-serif" font-size="12" font-weight="bold" fill="${textColor}" text-anchor="end">
+    ${escapeXml(`${labels.today} ${formatMoney(timeline.today.remainingValue, options.currency)}`)}
+  </text>`
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${escapeXml(options.title)}">
+  <title>${escapeXml(options.title)}</title>
+  <defs>
+    <linearGradient id="grad" x1="0%" y1="0%" x2="0%" y2="100%">
+      <stop offset="0%" style="stop-color:${escapeXml(gradFrom)};stop-opacity:1" />
+      <stop offset="100%" style="stop-color:${escapeXml(gradTo)};stop-opacity:1" />
+    </linearGradient>
+    <linearGradient id="area" x1="0%" y1="0%" x2="0%" y2="100%">
+      <stop offset="0%" style="stop-color:${lineColor};stop-opacity:0.35" />
+      <stop offset="100%" style="stop-color:${lineColor};stop-opacity:0" />
+    </linearGradient>
+  </defs>
+
+  <!-- 背景 -->
+  <rect width="${width}" height="${height}" rx="8" fill="url(#grad)"${theme.border ? ` stroke="${theme.border}"` : ''}/>
+
+  <!-- 标题 -->
+  <text x="20" y="28" font-family="Arial, sans-serif" font-size="14" font-weight="bold" fill="${textColor}">
+    ${escapeXml(options.title)}
+  </text>
+
+  <!-- 坐标轴 -->
+  <line x1="${left}" y1="${bottom}" x2="${right}" y2="${bottom}" stroke="${theme.track}" opacity="${theme.trackOpacity}"/>
+  <line x1="${left}" y1="${top}" x2="${right}" y2="${top}" stroke="${theme.track}" opacity="${theme.trackOpacity}" stroke-dasharray="2 3"/>
+  <text x="${left - 6}" y="${top + 4}" font-family="Arial, sans-serif" font-size="10" fill="${textColor}" text-anchor="end" opacity="0.8">
+    ${escapeXml(`${symbol}${maxValue.toFixed(0)}`)}
+  </text>
+  <text x="${left - 6}" y="${bottom + 4}" font-family="Arial, sans-serif" font-size="10" fill="${textColor}" text-anchor="end" opacity="0.8">
+    ${escapeXml(`${symbol}0`)}
+  </text>
+  <text x="${left}" y="${height - 12}" font-family="Arial, sans-serif" font-size="10" fill="${textColor}" opacity="0.8">
+    ${escapeXml(timeline.purchaseDate)}
+  </text>
+  <text x="${right}" y="${height - 12}" font-family="Arial, sans-serif" font-size="10" fill="${textColor}" text-anchor="end" opacity="0.8">
+    ${escapeXml(timeline.expiryDate)}
+  </text>
+
+  <!-- 剩余价值曲线 -->
+  <path d="${area}" fill="url(#area)"/>
+  <path d="${line}" fill="none" stroke="${lineColor}" stroke-width="2" stroke-linejoin="round"/>${todayMarker}
+</svg>`;
+}
+
+module.exports = {
+  CHART_STYLES,
+  resolveChartOptions,
+  buildTimelineSvg
+};
@@ -0,0 +1,438 @@
+/**
+ * 命令行工具模块
+ * 不启动 HTTP 服务即可计算剩余价值：支持单台参数或批量文件，输出表格、JSON 或 Markdown，
+ * 可按汇率源换算货币，并可将徽章渲染为 SVG / PNG / WebP 文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const {
+  calculateRemainingValue,
+  getDaysByCycle,
+  calculateUsedDays,
+  getExpiryDate
+} = require('./calculator');
+const { resolveTimezone, formatDate } = require('./dates');
+const { fetchExchangeRate } = require('./exchange');
+const { normalizeCurrency, isSupportedCurrency } = require('./currencies');
+const { resolveRounding, convertMoney, formatMoney } = require('./money');
+const { IMPORT_FORMATS, parseImportData, resolveColumns, mapRow } = require('./importer');
+const { resolveBadgeData, resolveBadgeOptions, buildValueBadgeSvg } = require('./badge');
+const { RENDER_FORMATS, resolveRenderScale, renderSvg } = require('./render');
+const { version } = require('../package.json');
+
+const OUTPUT_FORMATS = ['table', 'json', 'markdown'];
+
+const HELP = `用法：vps-calc [选项]
+
+单台计算：
+  -c, --cost <金额>            套餐价格（必需）
+      --cycle <周期>           付款周期：monthly、quarterly、semiannual、yearly、biennial、triennial 或自定义（如 45d、3m）
+  -d, --purchase-date <日期>   购买日期（YYYY-MM-DD）
+      --total-days <天数>      总天数（不传时按付款周期与购买日期计算）
+      --used-days <天数>       已使用天数（不传时按购买日期计算到今天）
+      --timezone <时区>        IANA 时区，如 Asia/Shanghai（默认 DEFAULT_TIMEZONE 或 UTC）
+      --currency <货币>        价格货币，默认 CNY
+      --rounding <模式>        舍入模式：half-up（默认）或 half-even（银行家舍入）
+  -n, --name <名称>            服务器名称
+
+批量计算：
+  -f, --file <文件>            CSV / TSV / JSON 文件，按扩展名识别格式，列名规则同 /api/servers/import
+
+输出：
+  -o, --output <格式>          table（默认）、json 或 markdown
+      --to <货币>              按汇率源换算为指定货币（同服务端的 EXCHANGE_RATE_* 配置）
+      --badge <文件>           将徽章写入文件（.svg / .png / .webp，仅单台计算）
+      --style <样式>           徽章样式：card、flat、flat-square、dark、light
+      --lang <语言>            徽章语言：zh 或 en
+      --scale <倍率>           PNG / WebP 输出倍率（0.5 ~ 4）
+
+  -h, --help                   显示帮助
+  -v, --version                显示版本号
+
+示例：
+  vps-calc -c 120 --cycle yearly -d 2026-01-01 --currency USD --to CNY
+  vps-calc -f servers.csv -o markdown
+  vps-calc -c 365 --cycle yearly -d 2026-01-01 --badge badge.png --scale 2
+`;
+
+const OPTIONS = {
+  cost: { type: 'string', short: 'c' },
+  cycle: { type: 'string' },
+  'purchase-date': { type: 'string', short: 'd' },
+  'total-days': { type: 'string' },
+  'used-days': { type: 'string' },
+  timezone: { type: 'string' },
+  currency: { type: 'string' },
+  rounding: { type: 'string' },
+  name: { type: 'string', short: 'n' },
+  file: { type: 'string', short: 'f' },
+  output: { type: 'string', short: 'o' },
+  to: { type: 'string' },
+  badge: { type: 'string' },
+  style: { type: 'string' },
+  lang: { type: 'string' },
+  scale: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' }
+};
+
+/**
+ * 解析天数参数
+ * @param {string} value - 参数值
+ * @param {string} flag - 参数名
+ * @returns {number}
+ */
+function parseDays(value, flag) {
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0) {
+    throw new Error(`--${flag} 必须是非负整数`);
+  }
+  return days;
+}
+
+/**
+ * 计算单台服务器
+ * 总天数与已使用天数未直接给出时，分别按 getDaysByCycle 与 calculateUsedDays 计算
+ * @param {Object} input - { name, totalCost, cycle, purchaseDate, timezone, currency, rounding, totalDays, usedDays }
+ * @param {Date} now - 当前时间
+ * @returns {Object}
+ */
+function calculateServer(input, now) {
+  const totalCost = Number(input.totalCost);
+  const currency = normalizeCurrency(input.currency || 'CNY');
+  if (!isSupportedCurrency(currency)) {
+    throw new Error(`不支持的货币类型：${currency}`);
+  }
+
+  const needsDates = input.totalDays === undefined || input.usedDays === undefined;
+  if (needsDates && !input.purchaseDate) {
+    throw new Error('缺少必需参数：purchaseDate（--purchase-date）');
+  }
+  if (input.totalDays === undefined && !input.cycle) {
+    throw new Error('缺少必需参数：cycle（--cycle）');
+  }
+
+  const timezone = resolveTimezone(input.timezone);
+  const totalDays = input.totalDays !== undefined
+    ? input.totalDays
+    : getDaysByCycle(input.cycle, input.purchaseDate, timezone);
+  const usedDays = input.usedDays !== undefined
+    ? input.usedDays
+    : calculateUsedDays(input.purchaseDate, timezone, now);
+  const result = calculateRemainingValue(totalCost, totalDays, usedDays, undefined, {
+    currency,
+    rounding: input.rounding
+  });
+
+  return {
+    name: input.name || null,
+    currency,
+    cycle: input.cycle || null,
+    purchaseDate: input.purchaseDate || null,
+    expiryDate: input.purchaseDate && input.cycle && input.totalDays === undefined
+      ? formatDate(getExpiryDate(input.purchaseDate, input.cycle, timezone))
+      : null,
+    totalDays,
+    usedDays,
+    ...result
+  };
+}
+
+/**
+ * 读取批量文件
+ * @param {string} file - 文件路径
+ * @returns {Array<{row: number, input?: Object, error?: string}>}
+ */
+function readBatchFile(file) {
+  const format = path.extname(file).slice(1).toLowerCase();
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`无法识别文件格式：${file}，支持的扩展名：${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new Error(`文件读取失败：${error.message}`);
+  }
+
+  const { headers, rows } = parseImportData(text, format);
+  const { columns } = resolveColumns(headers);
+
+  return rows
+    .map((row, index) => ({ row, number: format === 'json' ? index + 1 : index + 2 }))
+    .filter(({ row }) => row !== null)
+    .map(({ row, number }) => {
+      const input = mapRow(row, columns);
+      return {
+        row: number,
+        input: {
+          ...input,
+          name: [input.provider, input.plan].filter(Boolean).join(' ') || `#${number}`
+        }
+      };
+    });
+}
+
+/**
+ * 按汇率换算结果（同一货币只获取一次汇率）
+ * @param {Array<Object>} results - 计算结果
+ * @param {string} target - 目标货币
+ * @param {string} rounding - 舍入模式
+ * @returns {Promise<void>}
+ */
+async function convertResults(results, target, rounding) {
+  const rates = {};
+
+  for (const result of results) {
+    if (result.error) continue;
+    if (rates[result.currency] === undefined) {
+      rates[result.currency] = (await fetchExchangeRate(result.currency, target)).rate;
+    }
+    const rate = rates[result.currency];
+    result.converted = {
+      currency: target,
+      rate,
+      totalCost: convertMoney(result.totalCost, rate, target, rounding),
+      remainingValue: convertMoney(result.remainingValue, rate, target, rounding)
+    };
+  }
+}
+
+/**
+ * 文本显示宽度（中日韩文字按 2 个字符宽计算）
+ * @param {string} text - 文本
+ * @returns {number}
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of String(text)) {
+    width += /[ᄀ-ᅟ⺀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦]/.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * 生成表格行数据
+ * @param {Array<Object>} results - 计算结果
+ * @param {string} [target] - 换算货币
+ * @param {string} rounding - 舍入模式
+ * @returns {{header: Array<string>, rows: Array<Array<string>>}}
+ */
+function buildRows(results, target, rounding) {
+  const money = (value, currency) => formatMoney(value, currency, { rounding });
+  const header = ['名称', '价格', '周期', '购买日期', '到期日期', '剩余天数', '使用率', '剩余价值'];
+  if (target) {
+    header.push(`剩余价值（${target}）`);
+  }
+  const failed = results.some((result) => result.error);
+  if (failed) {
+    header.push('错误');
+  }
+
+  const rows = results.map((result) => {
+    if (result.error) {
+      const row = [result.name || '-'];
+      while (row.length < header.length - 1) row.push('-');
+      return [...row, result.error];
+    }
+    const row = [
+      result.name || '-',
+      money(result.totalCost, result.currency),
+      result.cycle || `${result.totalDays} 天`,
+      result.purchaseDate || '-',
+      result.expiryDate || '-',
+      String(result.remainingDays),
+      `${result.usageRate}%`,
+      money(result.remainingValue, result.currency)
+    ];
+    if (target) {
+      row.push(money(result.converted.remainingValue, target));
+    }
+    if (failed) {
+      row.push('');
+    }
+    return row;
+  });
+
+  return { header, rows };
+}
+
+/**
+ * 格式化输出
+ * @param {Array<Object>} results - 计算结果
+ * @param {string} output - 输出格式
+ * @param {string} [target] - 换算货币
+ * @param {boolean} batch - 是否为批量计算（JSON 输出数组）
+ * @param {string} [rounding] - 舍入模式
+ * @returns {string}
+ */
+function formatOutput(results, output, target, batch, rounding) {
+  if (output === 'json') {
+    return JSON.stringify(batch ? results : results[0], null, 2);
+  }
+
+  const { header, rows } = buildRows(results, target, resolveRounding(rounding));
+
+  if (output === 'markdown') {
+    const escape = (cell) => String(cell).replace(/\|/g, '\\|');
+    return [
+      `| ${header.map(escape).join(' | ')} |`,
+      `| ${header.map(() => '---').join(' | ')} |`,
+      ...rows.map((row) => `| ${row.map(escape).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  const widths = header.map((cell, index) => Math.max(
+    displayWidth(cell),
+    ...rows.map((row) => displayWidth(row[index]))
+  ));
+  const line = (row) => row
+    .map((cell, index) => cell + ' '.repeat(widths[index] - displayWidth(cell)))
+    .join('  ')
+    .trimEnd();
+  return [line(header), widths.map((width) => '-'.repeat(width)).join('  '), ...rows.map(line)].join('\n');
+}
+
+/**
+ * 将徽章写入文件（格式按扩展名识别）
+ * @param {Object} result - 单台计算结果
+ * @param {string} file - 输出文件
+ * @param {Object} values - 命令行参数
+ * @returns {Promise<void>}
+ */
+async function writeBadge(result, file, values) {
+  const format = path.extname(file).slice(1).toLowerCase();
+  if (!RENDER_FORMATS[format]) {
+    throw new Error(`徽章文件扩展名必须是：${Object.keys(RENDER_FORMATS).join(', ')}`);
+  }
+  if (!result.purchaseDate || !result.expiryDate) {
+    throw new Error('生成徽章需要 --cycle 与 --purchase-date');
+  }
+
+  const shown = result.converted || result;
+  const { data, error } = resolveBadgeData({
+    startDate: result.purchaseDate,
+    endDate: result.expiryDate,
+    currency: shown.currency || result.currency,
+    remainingValue: shown.remainingValue,
+    totalCost: shown.totalCost,
+    rounding: values.rounding
+  });
+  if (error) {
+    throw new Error(error);
+  }
+
+  const { options, error: optionsError } = resolveBadgeOptions({ style: values.style, lang: values.lang });
+  if (optionsError) {
+    throw new Error(optionsError);
+  }
+
+  const { scale, error: scaleError } = resolveRenderScale({ scale: values.scale });
+  if (scaleError) {
+    throw new Error(scaleError);
+  }
+
+  const { body } = await renderSvg(buildValueBadgeSvg(data, options), format, { scale });
+  fs.writeFileSync(file, body);
+}
+
+/**
+ * 命令行入口
+ * @param {Array<string>} argv - 命令行参数（不含 node 与脚本路径）
+ * @param {Object} [io] - 输出流与当前时间（便于测试）
+ * @returns {Promise<number>} 退出码：0 成功，1 参数错误或存在计算失败的服务器
+ */
+async function main(argv, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr, now = new Date() } = io;
+
+  try {
+    const { values } = parseArgs({ args: argv, options: OPTIONS, strict: true });
+
+    if (values.help) {
+      stdout.write(HELP);
+      return 0;
+    }
+    if (values.version) {
+      stdout.write(`${version}\n`);
+      return 0;
+    }
+
+    const output = values.output || 'table';
+    if (!OUTPUT_FORMATS.includes(output)) {
+      throw new Error(`不支持的输出格式：${output}，可选值：${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const target = values.to ? normalizeCurrency(values.to) : null;
+    if (target && !isSupportedCurrency(target)) {
+      throw new Error(`不支持的货币类型：${target}`);
+    }
+    const rounding = resolveRounding(values.rounding);
+
+    let entries;
+    if (values.file) {
+      if (values.badge) {
+        throw new Error('--badge 仅支持单台计算');
+      }
+      entries = readBatchFile(values.file).map((entry) => ({
+        ...entry,
+        input: { rounding, ...entry.input }
+      }));
+    } else {
+      if (values.cost === undefined) {
+        throw new Error('缺少必需参数：--cost（或使用 --file 批量计算）');
+      }
+      entries = [{
+        input: {
+          name: values.name,
+          totalCost: values.cost,
+          cycle: values.cycle,
+          purchaseDate: values['purchase-date'],
+          timezone: values.timezone,
+          currency: values.currency,
+          rounding,
+          totalDays: values['total-days'] !== undefined ? parseDays(values['total-days'], 'total-days') : undefined,
+          usedDays: values['used-days'] !== undefined ? parseDays(values['used-days'], 'used-days') : undefined
+        }
+      }];
+    }
+
+    // 批量计算时单行错误不影响其它行；单台计算直接报错
+    const results = entries.map(({ row, input }) => {
+      if (!values.file) {
+        return calculateServer(input, now);
+      }
+      try {
+        return { row, ...calculateServer(input, now) };
+      } catch (error) {
+        return { row, name: input.name, error: error.message };
+      }
+    });
+
+    if (target) {
+      await convertResults(results, target, rounding);
+    }
+
+    if (values.badge) {
+      await writeBadge(results[0], values.badge, values);
+    }
+
+    stdout.write(`${formatOutput(results, output, target, Boolean(values.file), rounding)}\n`);
+    return results.some((result) => result.error) ? 1 : 0;
+  } catch (error) {
+    stderr.write(`错误：${error.message}\n`);
+    if (error.code && error.code.startsWith('ERR_PARSE_ARGS')) {
+      stderr.write('使用 vps-calc --help 查看帮助\n');
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  calculateServer,
+  formatOutput,
+  main
+};
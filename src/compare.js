@@ -0,0 +1,182 @@
+/**
+ * 套餐对比模块
+ * 将多个套餐统一换算为同一货币的月度成本，按可配置权重计算性价比得分并排名，
+ * 同时标出各项配置单价最低的套餐
+ */
+
+const { parseCycle, isValidNumber } = require('./calculator');
+const { fetchExchangeRate } = require('./exchange');
+const { normalizeCurrency, isSupportedCurrency } = require('./currencies');
+const { DAYS_PER_MONTH } = require('./dates');
+const { SPEC_FIELDS, normalizeSpecs, calculateUnitCosts } = require('./specs');
+const { roundMoney } = require('./money');
+
+// 默认权重（带宽多数套餐差异不大，默认不计入得分）
+const DEFAULT_WEIGHTS = {
+  cpu: 0.3,
+  memory: 0.3,
+  disk: 0.2,
+  bandwidth: 0,
+  traffic: 0.2
+};
+
+// 单次对比的套餐数量上限
+const MAX_PLANS = 50;
+
+/**
+ * 解析得分权重（未指定的字段使用默认权重）
+ * @param {Object} [weights] - 权重
+ * @returns {Object}
+ * @throws {Error} 权重不合法时抛出异常
+ */
+function resolveWeights(weights) {
+  if (weights === undefined || weights === null) {
+    return { ...DEFAULT_WEIGHTS };
+  }
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new Error('weights 必须是对象');
+  }
+
+  const resolved = { ...DEFAULT_WEIGHTS };
+  Object.keys(weights).forEach((field) => {
+    if (!SPEC_FIELDS.includes(field)) {
+      throw new Error(`不支持的权重字段：${field}，可选值：${SPEC_FIELDS.join(', ')}`);
+    }
+    const value = Number(weights[field]);
+    if (!isValidNumber(value) || value < 0) {
+      throw new Error(`weights.${field} 必须是非负数字`);
+    }
+    resolved[field] = value;
+  });
+
+  if (SPEC_FIELDS.every((field) => resolved[field] === 0)) {
+    throw new Error('权重不能全部为 0');
+  }
+  return resolved;
+}
+
+/**
+ * 将一个周期的价格换算为月度成本
+ * 按月计费的周期直接按月数平均，按天计费的周期按平均每月天数换算
+ * @param {number} price - 周期价格
+ * @param {string} cycle - 付款周期
+ * @returns {number}
+ */
+function toMonthlyCost(price, cycle) {
+  const { unit, count } = parseCycle(cycle);
+  return unit === 'month' ? price / count : (price / count) * DAYS_PER_MONTH;
+}
+
+/**
+ * 对比多个套餐
+ * @param {Array<Object>} plans - 套餐列表：{ name, price, cycle, currency?, specs }
+ * @param {Object} [options] - 选项
+ * @param {string} [options.currency='CNY'] - 对比货币
+ * @param {Object} [options.weights] - 得分权重：cpu、memory、disk、bandwidth、traffic
+ * @returns {Promise<Object>} 按得分排序的套餐、各项最优套餐及使用的权重
+ */
+async function comparePlans(plans, options = {}) {
+  const target = normalizeCurrency(options.currency || 'CNY');
+
+  if (!Array.isArray(plans) || plans.length < 2) {
+    throw new Error('plans 必须是至少包含 2 个套餐的数组');
+  }
+  if (plans.length > MAX_PLANS) {
+    throw new Error(`单次最多对比 ${MAX_PLANS} 个套餐`);
+  }
+  if (!isSupportedCurrency(target)) {
+    throw new Error(`不支持的货币类型：${target}`);
+  }
+
+  const weights = resolveWeights(options.weights);
+  const round = (value) => roundMoney(value, target);
+
+  const rows = [];
+  for (const [index, plan] of plans.entries()) {
+    const label = `第 ${index + 1} 个套餐`;
+    if (!plan || typeof plan !== 'object') {
+      throw new Error(`${label}必须是对象`);
+    }
+
+    const price = Number(plan.price);
+    if (!isValidNumber(price) || price <= 0) {
+      throw new Error(`${label}价格必须是大于 0 的数字`);
+    }
+    if (!plan.cycle) {
+      throw new Error(`${label}缺少付款周期`);
+    }
+
+    const currency = normalizeCurrency(plan.currency || target);
+    if (!isSupportedCurrency(currency)) {
+      throw new Error(`${label}货币类型不支持：${currency}`);
+    }
+
+    const specs = normalizeSpecs(plan.specs || {});
+    const exchange = await fetchExchangeRate(currency, target);
+    const monthlyCost = toMonthlyCost(price, plan.cycle) * exchange.rate;
+
+    rows.push({
+      index,
+      name: plan.name !== undefined ? String(plan.name) : null,
+      price,
+      cycle: plan.cycle,
+      currency,
+      rate: exchange.rate,
+      specs,
+      monthlyCost,
+      unitCosts: calculateUnitCosts(specs, monthlyCost)
+    });
+  }
+
+  // 每项配置单价最低的套餐
+  const best = {};
+  SPEC_FIELDS.forEach((field) => {
+    const candidates = rows.filter((row) => row.unitCosts[field] !== null);
+    if (candidates.length === 0) {
+      best[field] = null;
+      return;
+    }
+    const winner = candidates.reduce((a, b) => (b.unitCosts[field] < a.unitCosts[field] ? b : a));
+    best[field] = { index: winner.index, name: winner.name, unitCost: winner.unitCosts[field] };
+  });
+
+  // 得分：各项按"单位价格可获得的配置量"相对最优套餐归一化为 0~100，再按权重加权平均
+  const totalWeight = SPEC_FIELDS.reduce((sum, field) => sum + weights[field], 0);
+  const scored = rows.map((row) => {
+    const scores = {};
+    let weighted = 0;
+    SPEC_FIELDS.forEach((field) => {
+      const top = best[field];
+      scores[field] = top && row.unitCosts[field] !== null
+        ? parseFloat(((top.unitCost / row.unitCosts[field]) * 100).toFixed(2))
+        : 0;
+      weighted += scores[field] * weights[field];
+    });
+
+    return {
+      ...row,
+      monthlyCost: round(row.monthlyCost),
+      scores,
+      score: parseFloat((weighted / totalWeight).toFixed(2)),
+      bestIn: SPEC_FIELDS.filter((field) => best[field] && best[field].index === row.index)
+    };
+  });
+
+  scored.sort((a, b) => b.score - a.score || a.monthlyCost - b.monthlyCost);
+  scored.forEach((row, position) => {
+    row.rank = position + 1;
+  });
+
+  return {
+    currency: target,
+    weights,
+    plans: scored,
+    best
+  };
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  MAX_PLANS,
+  comparePlans
+};
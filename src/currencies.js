@@ -0,0 +1,221 @@
+/**
+ * 货币注册表
+ * ISO 4217 货币代码、显示符号与小数位数（最小货币单位），供汇率、计算与徽章模块共用
+ */
+
+// 货币表：代码 → { symbol: 显示符号, digits: 小数位数 }
+const CURRENCIES = {
+  AED: { symbol: 'د.إ', digits: 2 },
+  AFN: { symbol: '؋', digits: 2 },
+  ALL: { symbol: 'L', digits: 2 },
+  AMD: { symbol: '֏', digits: 2 },
+  ANG: { symbol: 'ƒ', digits: 2 },
+  AOA: { symbol: 'Kz', digits: 2 },
+  ARS: { symbol: '$', digits: 2 },
+  AUD: { symbol: 'A$', digits: 2 },
+  AWG: { symbol: 'ƒ', digits: 2 },
+  AZN: { symbol: '₼', digits: 2 },
+  BAM: { symbol: 'KM', digits: 2 },
+  BBD: { symbol: '$', digits: 2 },
+  BDT: { symbol: '৳', digits: 2 },
+  BGN: { symbol: 'лв', digits: 2 },
+  BHD: { symbol: '.د.ب', digits: 3 },
+  BIF: { symbol: 'FBu', digits: 0 },
+  BMD: { symbol: '$', digits: 2 },
+  BND: { symbol: '$', digits: 2 },
+  BOB: { symbol: 'Bs.', digits: 2 },
+  BRL: { symbol: 'R$', digits: 2 },
+  BSD: { symbol: '$', digits: 2 },
+  BTN: { symbol: 'Nu.', digits: 2 },
+  BWP: { symbol: 'P', digits: 2 },
+  BYN: { symbol: 'Br', digits: 2 },
+  BZD: { symbol: '$', digits: 2 },
+  CAD: { symbol: 'C$', digits: 2 },
+  CDF: { symbol: 'FC', digits: 2 },
+  CHF: { symbol: 'CHF', digits: 2 },
+  CLP: { symbol: '$', digits: 0 },
+  CNY: { symbol: '¥', digits: 2 },
+  COP: { symbol: '$', digits: 2 },
+  CRC: { symbol: '₡', digits: 2 },
+  CUP: { symbol: '$', digits: 2 },
+  CVE: { symbol: '$', digits: 2 },
+  CZK: { symbol: 'Kč', digits: 2 },
+  DJF: { symbol: 'Fdj', digits: 0 },
+  DKK: { symbol: 'kr', digits: 2 },
+  DOP: { symbol: '$', digits: 2 },
+  DZD: { symbol: 'د.ج', digits: 2 },
+  EGP: { symbol: 'E£', digits: 2 },
+  ERN: { symbol: 'Nfk', digits: 2 },
+  ETB: { symbol: 'Br', digits: 2 },
+  EUR: { symbol: '€', digits: 2 },
+  FJD: { symbol: '$', digits: 2 },
+  FKP: { symbol: '£', digits: 2 },
+  GBP: { symbol: '£', digits: 2 },
+  GEL: { symbol: '₾', digits: 2 },
+  GHS: { symbol: '₵', digits: 2 },
+  GIP: { symbol: '£', digits: 2 },
+  GMD: { symbol: 'D', digits: 2 },
+  GNF: { symbol: 'FG', digits: 0 },
+  GTQ: { symbol: 'Q', digits: 2 },
+  GYD: { symbol: '$', digits: 2 },
+  HKD: { symbol: 'HK$', digits: 2 },
+  HNL: { symbol: 'L', digits: 2 },
+  HTG: { symbol: 'G', digits: 2 },
+  HUF: { symbol: 'Ft', digits: 2 },
+  IDR: { symbol: 'Rp', digits: 2 },
+  ILS: { symbol: '₪', digits: 2 },
+  INR: { symbol: '₹', digits: 2 },
+  IQD: { symbol: 'ع.د', digits: 3 },
+  IRR: { symbol: '﷼', digits: 2 },
+  ISK: { symbol: 'kr', digits: 0 },
+  JMD: { symbol: '$', digits: 2 },
+  JOD: { symbol: 'د.ا', digits: 3 },
+  JPY: { symbol: '¥', digits: 0 },
+  KES: { symbol: 'KSh', digits: 2 },
+  KGS: { symbol: 'с', digits: 2 },
+  KHR: { symbol: '៛', digits: 2 },
+  KMF: { symbol: 'CF', digits: 0 },
+  KPW: { symbol: '₩', digits: 2 },
+  KRW: { symbol: '₩', digits: 0 },
+  KWD: { symbol: 'د.ك', digits: 3 },
+  KYD: { symbol: '$', digits: 2 },
+  KZT: { symbol: '₸', digits: 2 },
+  LAK: { symbol: '₭', digits: 2 },
+  LBP: { symbol: 'ل.ل', digits: 2 },
+  LKR: { symbol: 'Rs', digits: 2 },
+  LRD: { symbol: '$', digits: 2 },
+  LSL: { symbol: 'L', digits: 2 },
+  LYD: { symbol: 'ل.د', digits: 3 },
+  MAD: { symbol: 'د.م.', digits: 2 },
+  MDL: { symbol: 'L', digits: 2 },
+  MGA: { symbol: 'Ar', digits: 2 },
+  MKD: { symbol: 'ден', digits: 2 },
+  MMK: { symbol: 'K', digits: 2 },
+  MNT: { symbol: '₮', digits: 2 },
+  MOP: { symbol: 'MOP$', digits: 2 },
+  MRU: { symbol: 'UM', digits: 2 },
+  MUR: { symbol: '₨', digits: 2 },
+  MVR: { symbol: 'Rf', digits: 2 },
+  MWK: { symbol: 'MK', digits: 2 },
+  MXN: { symbol: 'Mex$', digits: 2 },
+  MYR: { symbol: 'RM', digits: 2 },
+  MZN: { symbol: 'MT', digits: 2 },
+  NAD: { symbol: '$', digits: 2 },
+  NGN: { symbol: '₦', digits: 2 },
+  NIO: { symbol: 'C$', digits: 2 },
+  NOK: { symbol: 'kr', digits: 2 },
+  NPR: { symbol: '₨', digits: 2 },
+  NZD: { symbol: 'NZ$', digits: 2 },
+  OMR: { symbol: 'ر.ع.', digits: 3 },
+  PAB: { symbol: 'B/.', digits: 2 },
+  PEN: { symbol: 'S/', digits: 2 },
+  PGK: { symbol: 'K', digits: 2 },
+  PHP: { symbol: '₱', digits: 2 },
+  PKR: { symbol: '₨', digits: 2 },
+  PLN: { symbol: 'zł', digits: 2 },
+  PYG: { symbol: '₲', digits: 0 },
+  QAR: { symbol: 'ر.ق', digits: 2 },
+  RON: { symbol: 'lei', digits: 2 },
+  RSD: { symbol: 'дин.', digits: 2 },
+  RUB: { symbol: '₽', digits: 2 },
+  RWF: { symbol: 'FRw', digits: 0 },
+  SAR: { symbol: '﷼', digits: 2 },
+  SBD: { symbol: '$', digits: 2 },
+  SCR: { symbol: '₨', digits: 2 },
+  SDG: { symbol: 'ج.س.', digits: 2 },
+  SEK: { symbol: 'kr', digits: 2 },
+  SGD: { symbol: 'S$', digits: 2 },
+  SHP: { symbol: '£', digits: 2 },
+  SLE: { symbol: 'Le', digits: 2 },
+  SOS: { symbol: 'Sh', digits: 2 },
+  SRD: { symbol: '$', digits: 2 },
+  SSP: { symbol: '£', digits: 2 },
+  STN: { symbol: 'Db', digits: 2 },
+  SVC: { symbol: '₡', digits: 2 },
+  SYP: { symbol: '£', digits: 2 },
+  SZL: { symbol: 'L', digits: 2 },
+  THB: { symbol: '฿', digits: 2 },
+  TJS: { symbol: 'SM', digits: 2 },
+  TMT: { symbol: 'm', digits: 2 },
+  TND: { symbol: 'د.ت', digits: 3 },
+  TOP: { symbol: 'T$', digits: 2 },
+  TRY: { symbol: '₺', digits: 2 },
+  TTD: { symbol: '$', digits: 2 },
+  TWD: { symbol: 'NT$', digits: 2 },
+  TZS: { symbol: 'TSh', digits: 2 },
+  UAH: { symbol: '₴', digits: 2 },
+  UGX: { symbol: 'USh', digits: 0 },
+  USD: { symbol: '$', digits: 2 },
+  UYU: { symbol: '$U', digits: 2 },
+  UZS: { symbol: 'soʻm', digits: 2 },
+  VES: { symbol: 'Bs.S', digits: 2 },
+  VND: { symbol: '₫', digits: 0 },
+  VUV: { symbol: 'VT', digits: 0 },
+  WST: { symbol: 'T', digits: 2 },
+  XAF: { symbol: 'FCFA', digits: 0 },
+  XCD: { symbol: 'EC$', digits: 2 },
+  XOF: { symbol: 'CFA', digits: 0 },
+  XPF: { symbol: '₣', digits: 0 },
+  YER: { symbol: '﷼', digits: 2 },
+  ZAR: { symbol: 'R', digits: 2 },
+  ZMW: { symbol: 'ZK', digits: 2 },
+  ZWL: { symbol: '$', digits: 2 }
+};
+
+/**
+ * 规范化货币代码（去除空白并转为大写）
+ * @param {*} code - 货币代码
+ * @returns {string}
+ */
+function normalizeCurrency(code) {
+  return String(code === undefined || code === null ? '' : code).trim().toUpperCase();
+}
+
+/**
+ * 判断是否为支持的货币
+ * @param {string} code - 货币代码
+ * @returns {boolean}
+ */
+function isSupportedCurrency(code) {
+  return Object.prototype.hasOwnProperty.call(CURRENCIES, normalizeCurrency(code));
+}
+
+/**
+ * 获取货币信息
+ * @param {string} code - 货币代码
+ * @returns {{code: string, symbol: string, digits: number}|null} 不支持的货币返回 null
+ */
+function getCurrency(code) {
+  const key = normalizeCurrency(code);
+  if (!isSupportedCurrency(key)) {
+    return null;
+  }
+  return { code: key, ...CURRENCIES[key] };
+}
+
+/**
+ * 获取货币显示符号，不支持的货币返回代码本身
+ * @param {string} code - 货币代码
+ * @returns {string}
+ */
+function getCurrencySymbol(code) {
+  const currency = getCurrency(code);
+  return currency ? currency.symbol : String(code);
+}
+
+/**
+ * 获取所有支持的货币代码
+ * @returns {string[]}
+ */
+function listCurrencies() {
+  return Object.keys(CURRENCIES);
+}
+
+module.exports = {
+  CURRENCIES,
+  normalizeCurrency,
+  isSupportedCurrency,
+  getCurrency,
+  getCurrencySymbol,
+  listCurrencies
+};
@@ -0,0 +1,177 @@
+/**
+ * 日期计算模块
+ * 以自然日为单位进行日期运算，支持按 IANA 时区确定"今天"与日期归属
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+// 平均每月天数（用于日均成本与月度成本互相换算）
+const DAYS_PER_MONTH = 365.25 / 12;
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+// 默认提前提醒天数（到期提醒与日历订阅共用）
+const DEFAULT_LEAD_DAYS = [7, 3, 1];
+
+/**
+ * 获取默认时区（环境变量 DEFAULT_TIMEZONE，未设置时为 UTC）
+ * @returns {string}
+ */
+function getDefaultTimezone() {
+  return process.env.DEFAULT_TIMEZONE || 'UTC';
+}
+
+/**
+ * 校验并返回时区，未传入时使用默认时区
+ * @param {string} [timezone] - IANA 时区，如 'Asia/Shanghai'
+ * @returns {string} 规范化后的时区名称
+ * @throws {Error} 时区不受支持时抛出异常
+ */
+function resolveTimezone(timezone) {
+  const value = timezone === undefined || timezone === null || timezone === ''
+    ? getDefaultTimezone()
+    : String(timezone).trim();
+
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch (error) {
+    throw new Error(`不支持的时区：${value}`);
+  }
+}
+
+/**
+ * 将日期转换为所在时区的自然日（以 UTC 零点的 Date 表示）
+ * 仅含年月日的字符串（YYYY-MM-DD）视为该时区的当天，不做时区换算
+ * @param {string|Date} value - 日期
+ * @param {string} [timezone] - IANA 时区
+ * @returns {Date|null} 日期不合法时返回 null
+ */
+function toCalendarDate(value, timezone) {
+  const match = typeof value === 'string' && value.trim().match(DATE_ONLY_PATTERN);
+  if (match) {
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]) ? date : null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimezone(timezone),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date).forEach(({ type, value: part }) => {
+    parts[type] = part;
+  });
+
+  return new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)));
+}
+
+/**
+ * 获取指定时区的今天
+ * @param {string} [timezone] - IANA 时区
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {Date}
+ */
+function today(timezone, now = new Date()) {
+  return toCalendarDate(now, timezone);
+}
+
+/**
+ * 在日期上累加天数
+ * @param {Date} date - 自然日
+ * @param {number} days - 天数
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * 在日期上累加月份，日期超出目标月份天数时取该月最后一天
+ * 例如 1 月 31 日加 1 个月为 2 月 28 日（闰年为 29 日）
+ * @param {Date} date - 自然日
+ * @param {number} months - 月数
+ * @returns {Date}
+ */
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/**
+ * 计算两个自然日之间相差的天数
+ * @param {Date} start - 开始日期
+ * @param {Date} end - 结束日期
+ * @returns {number} 天数（end 早于 start 时为负数）
+ */
+function diffDays(start, end) {
+  return Math.round((end.getTime() - start.getTime()) / MS_PER_DAY);
+}
+
+/**
+ * 计算从指定日期到今天经过的自然日数
+ * @param {string|Date} value - 开始日期
+ * @param {string} [timezone] - IANA 时区
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {number|null} 天数（开始日期晚于今天时为负数），日期不合法时返回 null
+ */
+function daysSince(value, timezone, now = new Date()) {
+  const start = toCalendarDate(value, timezone);
+  if (!start) {
+    return null;
+  }
+
+  return diffDays(start, today(timezone, now));
+}
+
+/**
+ * 格式化日期为 YYYY-MM-DD
+ * @param {Date} date - 日期
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * 校验提前提醒天数
+ * @param {Array<number|string>|string} leadDays - 天数列表或逗号分隔的字符串
+ * @returns {Array<number>} 去重后从大到小排列
+ * @throws {Error} 天数不合法时抛出异常
+ */
+function normalizeLeadDays(leadDays) {
+  const list = typeof leadDays === 'string' ? leadDays.split(',') : leadDays;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('提前提醒天数不能为空');
+  }
+
+  const days = list.map((item) => {
+    const value = Number(String(item).trim());
+    if (!Number.isInteger(value) || value < 0 || value > 365) {
+      throw new Error(`提前提醒天数必须是 0 到 365 之间的整数：${item}`);
+    }
+    return value;
+  });
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+module.exports = {
+  MS_PER_DAY,
+  DAYS_PER_MONTH,
+  DEFAULT_LEAD_DAYS,
+  getDefaultTimezone,
+  resolveTimezone,
+  toCalendarDate,
+  today,
+  addDays,
+  addMonths,
+  diffDays,
+  daysSince,
+  formatDate,
+  normalizeLeadDays
+};
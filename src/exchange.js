@@ -0,0 +1,485 @@
+/**
+ * 汇率获取模块
+ * 支持可配置的汇率源（公共 API、自定义地址、本地静态汇率文件）及持久化缓存
+ * 每次仅获取一张基准货币汇率表，任意两种货币之间的汇率通过交叉换算得到
+ * 支持历史汇率的汇率源可按日期查询，历史汇率表按日期缓存
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { normalizeCurrency, isSupportedCurrency } = require('./currencies');
+const { toCalendarDate, today, formatDate } = require('./dates');
+
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', 'data', 'exchange-rate-cache.json');
+const DEFAULT_BASE_CURRENCY = 'USD';
+const DEFAULT_HISTORY_LIMIT = 100;
+
+// 汇率缓存（内存 + 磁盘）
+const exchangeRateCache = {
+  data: {}, // { latest: { base: 'USD', rates: { CNY: 7.2, ... }, timestamp: 1234567890, source: 'api' }, '2025-01-01': {...} }
+  duration: 60 * 60 * 1000, // 1小时缓存
+  file: null,
+  loaded: false,
+  base: null,
+  historyLimit: null // 历史汇率表最多缓存条数，超出时淘汰最久未使用的日期
+};
+
+/**
+ * 通过 HTTP(S) GET 获取 JSON
+ * @param {string} url - 请求地址
+ * @param {number} [timeout=5000] - 超时时间（毫秒）
+ * @returns {Promise<Object>}
+ */
+function getJson(url, timeout = 5000) {
+  const client = url.startsWith('http://') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, (apiRes) => {
+      let data = '';
+      apiRes.on('data', (chunk) => { data += chunk; });
+      apiRes.on('end', () => {
+        if (apiRes.statusCode < 200 || apiRes.statusCode >= 300) {
+          reject(new Error(`HTTP ${apiRes.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (e) {
+          reject(new Error('解析失败'));
+        }
+      });
+    });
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error('请求超时'));
+    });
+    request.on('error', reject);
+  });
+}
+
+/**
+ * 创建基于 HTTP 接口的汇率源
+ * @param {Object} options - 汇率源配置
+ * @param {string} options.name - 名称
+ * @param {Function} options.url - (base) => 请求地址
+ * @param {Function} [options.historicalUrl] - (base, date) => 历史汇率请求地址，未提供时不支持历史汇率
+ * @param {Function} [options.parse] - (data, base) => { base, rates, date }，默认读取 data.base / data.base_code、data.rates 与 data.date
+ * @returns {{name: string, getRates: Function, getHistoricalRates?: Function}}
+ */
+function createHttpProvider({
+  name,
+  url,
+  historicalUrl,
+  parse = (data, base) => ({
+    base: data.base || data.base_code || base,
+    rates: data.rates,
+    date: data.date
+  })
+}) {
+  const provider = {
+    name,
+    getRates: async (base) => parse(await getJson(url(base)), base)
+  };
+  if (historicalUrl) {
+    provider.getHistoricalRates = async (base, date) => parse(await getJson(historicalUrl(base, date)), base);
+  }
+  return provider;
+}
+
+/**
+ * 创建基于本地静态汇率文件的汇率源（适用于离线部署与测试）
+ * 文件格式：{ "base": "USD", "rates": { "CNY": 7.2 }, "history": { "2025-01-02": { "CNY": 7.3 } } }
+ * 历史汇率取不晚于查询日期的最近一条记录
+ * @param {string} file - 汇率文件路径
+ * @returns {{name: string, getRates: Function, getHistoricalRates: Function}}
+ */
+function createStaticProvider(file) {
+  const read = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  return {
+    name: 'static',
+    getRates: async () => {
+      const { base, rates } = read();
+      return { base, rates };
+    },
+    getHistoricalRates: async (base, date) => {
+      const { base: fileBase, history = {} } = read();
+      const match = Object.keys(history).filter((day) => day <= date).sort().pop();
+      return match ? { base: fileBase, rates: history[match], date: match } : null;
+    }
+  };
+}
+
+// 内置汇率源（按名称引用）
+const BUILTIN_PROVIDERS = {
+  'exchangerate-api.com': () => createHttpProvider({
+    name: 'exchangerate-api.com',
+    url: (base) => `https://api.exchangerate-api.com/v4/latest/${base}`
+  }),
+  'open.er-api.com': () => createHttpProvider({
+    name: 'open.er-api.com',
+    url: (base) => `https://open.er-api.com/v6/latest/${base}`
+  }),
+  'api.frankfurter.app': () => createHttpProvider({
+    name: 'api.frankfurter.app',
+    url: (base) => `https://api.frankfurter.app/latest?from=${base}`,
+    historicalUrl: (base, date) => `https://api.frankfurter.app/${date}?from=${base}`
+  }),
+  // 自定义地址，接口格式与 exchangerate-api.com 相同：GET {base}/latest/{from} → { base, rates: {...} }
+  // 历史汇率：GET {base}/{YYYY-MM-DD}/{from} → { base, date, rates: {...} }
+  custom: () => {
+    const baseUrl = process.env.EXCHANGE_RATE_BASE_URL;
+    if (!baseUrl) {
+      throw new Error('使用 custom 汇率源需要设置 EXCHANGE_RATE_BASE_URL');
+    }
+    return createHttpProvider({
+      name: 'custom',
+      url: (base) => `${baseUrl.replace(/\/+$/, '')}/latest/${base}`,
+      historicalUrl: (base, date) => `${baseUrl.replace(/\/+$/, '')}/${date}/${base}`
+    });
+  },
+  static: () => {
+    const file = process.env.EXCHANGE_RATE_STATIC_FILE;
+    if (!file) {
+      throw new Error('使用 static 汇率源需要设置 EXCHANGE_RATE_STATIC_FILE');
+    }
+    return createStaticProvider(file);
+  }
+};
+
+const DEFAULT_PROVIDERS = ['exchangerate-api.com', 'open.er-api.com', 'api.frankfurter.app'];
+
+/**
+ * 按名称列表创建汇率源
+ * @param {string|string[]} names - 汇率源名称（数组或逗号分隔字符串）
+ * @returns {Array<{name: string, getRates: Function}>}
+ */
+function resolveProviders(names) {
+  const list = Array.isArray(names) ? names : String(names).split(',');
+  return list.map((item) => String(item).trim()).filter(Boolean).map((name) => {
+    if (!BUILTIN_PROVIDERS[name]) {
+      throw new Error(`未知的汇率源：${name}，可选值：${Object.keys(BUILTIN_PROVIDERS).join(', ')}`);
+    }
+    return BUILTIN_PROVIDERS[name]();
+  });
+}
+
+// 汇率源列表（按优先级排序），可通过环境变量 EXCHANGE_RATE_PROVIDERS 配置
+let exchangeRateProviders = null;
+
+function getProviders() {
+  if (!exchangeRateProviders) {
+    exchangeRateProviders = resolveProviders(process.env.EXCHANGE_RATE_PROVIDERS || DEFAULT_PROVIDERS);
+  }
+  return exchangeRateProviders;
+}
+
+function getCacheFile() {
+  if (exchangeRateCache.file === null) {
+    // 未设置时使用默认路径，设置为空字符串或 off 时不持久化
+    const envFile = process.env.EXCHANGE_RATE_CACHE_FILE;
+    exchangeRateCache.file = envFile === undefined
+      ? DEFAULT_CACHE_FILE
+      : (envFile === 'off' ? '' : envFile);
+  }
+  return exchangeRateCache.file;
+}
+
+// 从磁盘加载缓存（仅首次使用时加载，文件不存在或损坏时忽略）
+function loadCache() {
+  if (exchangeRateCache.loaded) return;
+  exchangeRateCache.loaded = true;
+
+  const file = getCacheFile();
+  if (!file) return;
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (stored && typeof stored.data === 'object') {
+      // 仅保留汇率表格式的条目（忽略旧版按货币对缓存的条目）
+      const tables = {};
+      Object.entries(stored.data).forEach(([key, entry]) => {
+        if (entry && entry.base && entry.rates && typeof entry.rates === 'object') {
+          tables[key] = entry;
+        }
+      });
+      exchangeRateCache.data = { ...tables, ...exchangeRateCache.data };
+      pruneHistory();
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`汇率缓存文件读取失败: ${error.message}`);
+    }
+  }
+}
+
+// 历史汇率表缓存上限，可通过环境变量 EXCHANGE_RATE_HISTORY_LIMIT 配置
+function getHistoryLimit() {
+  if (exchangeRateCache.historyLimit === null) {
+    const limit = parseInt(process.env.EXCHANGE_RATE_HISTORY_LIMIT, 10);
+    exchangeRateCache.historyLimit = Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_HISTORY_LIMIT;
+  }
+  return exchangeRateCache.historyLimit;
+}
+
+// 淘汰超出上限的历史汇率表（按插入顺序，命中时会移到末尾）
+function pruneHistory() {
+  const keys = Object.keys(exchangeRateCache.data).filter((key) => key !== 'latest');
+  keys.slice(0, Math.max(0, keys.length - getHistoryLimit())).forEach((key) => {
+    delete exchangeRateCache.data[key];
+  });
+}
+
+// 将缓存写入磁盘（先写临时文件再重命名，避免写入中断导致文件损坏）
+function saveCache() {
+  const file = getCacheFile();
+  if (!file) return;
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ data: exchangeRateCache.data }, null, 2));
+    fs.renameSync(tmpFile, file);
+  } catch (error) {
+    console.warn(`汇率缓存文件写入失败: ${error.message}`);
+  }
+}
+
+/**
+ * 配置汇率获取
+ * @param {Object} options - 配置项
+ * @param {Array<string|Object>} [options.providers] - 汇率源：内置名称或 { name, getRates } 对象
+ * @param {string|false} [options.cacheFile] - 缓存文件路径，false 表示不持久化
+ * @param {number} [options.cacheDuration] - 缓存有效期（毫秒）
+ * @param {string} [options.baseCurrency] - 汇率表基准货币
+ * @param {number} [options.historyLimit] - 历史汇率表最多缓存条数
+ */
+function configureExchangeRates({ providers, cacheFile, cacheDuration, baseCurrency, historyLimit } = {}) {
+  if (providers !== undefined) {
+    exchangeRateProviders = providers.map((item) => (
+      typeof item === 'string' ? resolveProviders([item])[0] : item
+    ));
+  }
+  if (cacheFile !== undefined) {
+    exchangeRateCache.file = cacheFile || '';
+    exchangeRateCache.data = {};
+    exchangeRateCache.loaded = false;
+  }
+  if (cacheDuration !== undefined) {
+    exchangeRateCache.duration = cacheDuration;
+  }
+  if (baseCurrency !== undefined) {
+    exchangeRateCache.base = normalizeCurrency(baseCurrency);
+  }
+  if (historyLimit !== undefined) {
+    exchangeRateCache.historyLimit = historyLimit;
+    pruneHistory();
+  }
+}
+
+// 汇率表基准货币，可通过环境变量 EXCHANGE_RATE_BASE 配置
+function getBaseCurrency() {
+  if (!exchangeRateCache.base) {
+    exchangeRateCache.base = normalizeCurrency(process.env.EXCHANGE_RATE_BASE || DEFAULT_BASE_CURRENCY);
+  }
+  return exchangeRateCache.base;
+}
+
+// 附加缓存年龄（秒）
+function withAge(entry, now, fromCache) {
+  return {
+    ...entry,
+    age: Math.max(0, Math.round((now - entry.timestamp) / 1000)),
+    fromCache
+  };
+}
+
+/**
+ * 规范化汇率表：统一货币代码大小写，剔除无效汇率，并补充基准货币自身（1）
+ * @param {{base: string, rates: Object}} table - 汇率源返回的数据
+ * @returns {{base: string, rates: Object}|null} 数据无效时返回 null
+ */
+function normalizeTable(table) {
+  if (!table || !table.base || !table.rates || typeof table.rates !== 'object') {
+    return null;
+  }
+
+  const base = normalizeCurrency(table.base);
+  const rates = { [base]: 1 };
+  Object.entries(table.rates).forEach(([code, rate]) => {
+    const value = Number(rate);
+    if (Number.isFinite(value) && value > 0) {
+      rates[normalizeCurrency(code)] = value;
+    }
+  });
+
+  const result = { base, rates };
+  if (table.date) {
+    result.date = table.date;
+  }
+
+  return Object.keys(rates).length > 1 ? result : null;
+}
+
+// 获取指定日期的历史汇率表（历史汇率不会变化，缓存长期有效，条数受 historyLimit 限制）
+async function fetchHistoricalTable(date) {
+  const cacheKey = date;
+  const now = Date.now();
+
+  const cached = exchangeRateCache.data[cacheKey];
+  if (cached) {
+    // 移到末尾，使最近使用的日期最后被淘汰
+    delete exchangeRateCache.data[cacheKey];
+    exchangeRateCache.data[cacheKey] = cached;
+    return withAge(cached, now, false);
+  }
+
+  const providers = getProviders().filter((provider) => typeof provider.getHistoricalRates === 'function');
+  if (providers.length === 0) {
+    throw new Error('当前配置的汇率源均不支持历史汇率查询');
+  }
+
+  for (const provider of providers) {
+    try {
+      const table = normalizeTable(await provider.getHistoricalRates(getBaseCurrency(), date));
+      if (table) {
+        const result = {
+          date,
+          ...table,
+          timestamp: now,
+          source: provider.name
+        };
+        if (getHistoryLimit() > 0) {
+          exchangeRateCache.data[cacheKey] = result;
+          pruneHistory();
+          saveCache();
+        }
+        return withAge(result, now, false);
+      }
+    } catch (error) {
+      console.warn(`API ${provider.name} 历史汇率获取失败:`, error.message);
+      continue;
+    }
+  }
+
+  throw new Error(`无法获取 ${date} 的历史汇率`);
+}
+
+/**
+ * 获取基准货币汇率表（支持多 API 源和缓存）
+ * @param {string} [date] - 历史日期（YYYY-MM-DD），不传或不早于今天时获取最新汇率
+ * @returns {Promise<Object>} 汇率表 { base, rates, date?, timestamp, source, age, fromCache }
+ */
+async function fetchRateTable(date) {
+  loadCache();
+
+  if (date && date < formatDate(today('UTC'))) {
+    return fetchHistoricalTable(date);
+  }
+
+  const cacheKey = 'latest';
+  const now = Date.now();
+
+  // 检查缓存
+  const cached = exchangeRateCache.data[cacheKey];
+  if (cached && (now - cached.timestamp < exchangeRateCache.duration)) {
+    return withAge(cached, now, false); // 缓存仍有效，标记为非降级缓存
+  }
+
+  // 尝试所有汇率源
+  for (const provider of getProviders()) {
+    try {
+      const table = normalizeTable(await provider.getRates(getBaseCurrency()));
+      if (table) {
+        // 成功获取汇率表，更新缓存
+        const result = {
+          ...table,
+          timestamp: now,
+          source: provider.name
+        };
+        exchangeRateCache.data[cacheKey] = result;
+        saveCache();
+        return withAge(result, now, false);
+      }
+    } catch (error) {
+      console.warn(`API ${provider.name} 失败:`, error.message);
+      continue; // 尝试下一个汇率源
+    }
+  }
+
+  // 所有汇率源都失败，使用降级缓存
+  if (cached) {
+    console.warn(`所有 API 失败，使用降级缓存: ${cacheKey}`);
+    return withAge(cached, now, true); // 标记为降级缓存
+  }
+
+  throw new Error('所有汇率 API 源均不可用且无可用缓存');
+}
+
+/**
+ * 根据汇率表计算交叉汇率
+ * @param {{rates: Object}} table - 汇率表
+ * @param {string} from - 源货币
+ * @param {string} to - 目标货币
+ * @returns {number}
+ * @throws {Error} 汇率表中缺少货币时抛出异常
+ */
+function crossRate(table, from, to) {
+  const missing = [from, to].filter((code) => !table.rates[code]);
+  if (missing.length > 0) {
+    throw new Error(`汇率数据中缺少货币：${missing.join(', ')}`);
+  }
+  return parseFloat((table.rates[to] / table.rates[from]).toPrecision(6));
+}
+
+/**
+ * 获取汇率数据（由基准货币汇率表交叉换算）
+ * @param {string} from - 源货币
+ * @param {string} to - 目标货币
+ * @param {string|Date} [date] - 历史日期，不传时获取最新汇率
+ * @returns {Promise<Object>} { rate, date, timestamp, source, age, fromCache }，date 为汇率对应日期（汇率源未提供时为 null）
+ */
+async function fetchExchangeRate(from, to, date) {
+  const source = normalizeCurrency(from);
+  const target = normalizeCurrency(to);
+
+  const unsupported = [source, target].filter((code) => !isSupportedCurrency(code));
+  if (unsupported.length > 0) {
+    throw new Error(`不支持的货币类型：${unsupported.join(', ')}`);
+  }
+
+  let day;
+  if (date !== undefined && date !== null && date !== '') {
+    const parsed = toCalendarDate(date, 'UTC');
+    if (!parsed) {
+      throw new Error('汇率日期格式不正确');
+    }
+    day = formatDate(parsed);
+  }
+
+  if (source === target) {
+    return { rate: 1, date: day || null, timestamp: Date.now(), source: 'direct', age: 0, fromCache: false };
+  }
+
+  const table = await fetchRateTable(day);
+
+  return {
+    rate: crossRate(table, source, target),
+    date: table.date || null,
+    timestamp: table.timestamp,
+    source: table.source,
+    age: table.age,
+    fromCache: table.fromCache
+  };
+}
+
+module.exports = {
+  fetchExchangeRate,
+  fetchRateTable,
+  crossRate,
+  configureExchangeRates,
+  createHttpProvider,
+  createStaticProvider,
+  exchangeRateCache
+};
@@ -0,0 +1,120 @@
+/**
+ * 计算结果导出模块
+ * 批量计算服务器剩余价值并按指定货币换算，导出为 CSV、TSV、JSON 或 XLSX 文件
+ * 导出的列名与导入字段一致，导出文件可直接重新导入
+ */
+
+const { calculatePortfolio } = require('./portfolio');
+const { normalizeCurrency, isSupportedCurrency } = require('./currencies');
+const { DELIMITERS, toDelimited, buildXlsx } = require('./tabular');
+
+// 导出格式：Content-Type 与文件扩展名
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  tsv: { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+/**
+ * 生成导出列（换算列名带目标货币，如 remainingValue_USD）
+ * @param {string} currency - 目标货币
+ * @returns {Array<{key: string, value: Function}>}
+ */
+function buildColumns(currency) {
+  const pick = (field) => ({ server }) => server[field];
+  const fromData = (field) => ({ result }) => (result.success ? result.data[field] : null);
+  const converted = (field) => ({ result }) => (result.success ? result.data.converted[field] : null);
+
+  return [
+    { key: 'id', value: pick('id') },
+    { key: 'provider', value: pick('provider') },
+    { key: 'plan', value: ({ server }) => server.plan || server.name },
+    { key: 'totalCost', value: ({ server, result }) => (server.totalCost !== undefined ? Number(server.totalCost) : fromData('totalCost')({ result })) },
+    { key: 'currency', value: ({ server, result }) => (result.success ? result.data.currency : server.currency) },
+    { key: 'cycle', value: pick('cycle') },
+    { key: 'purchaseDate', value: pick('purchaseDate') },
+    { key: 'timezone', value: pick('timezone') },
+    { key: 'expiryDate', value: fromData('expiryDate') },
+    { key: 'remainingDays', value: fromData('remainingDays') },
+    { key: 'usageRate', value: fromData('usageRate') },
+    { key: 'remainingValue', value: fromData('remainingValue') },
+    { key: 'dailyRate', value: fromData('dailyRate') },
+    { key: `totalCost_${currency}`, value: converted('totalCost') },
+    { key: `remainingValue_${currency}`, value: converted('remainingValue') },
+    { key: 'notes', value: pick('notes') },
+    { key: 'error', value: ({ result }) => (result.success ? null : result.error) }
+  ];
+}
+
+/**
+ * 导出计算结果
+ * 单台服务器计算失败时仍导出原始字段，并在 error 列说明原因
+ * @param {Array<Object>} servers - 服务器列表（服务器清单记录或 calculateByCycle 参数，可带 name）
+ * @param {Object} [options] - 选项
+ * @param {string} [options.format='csv'] - 导出格式：'csv' | 'tsv' | 'json' | 'xlsx'
+ * @param {string} [options.currency='CNY'] - 换算货币
+ * @param {string} [options.timezone] - 默认时区
+ * @param {Date} [options.now] - 当前时间（默认为系统时间）
+ * @returns {Promise<{body: string|Buffer, contentType: string, filename: string}>}
+ * @throws {Error} 格式或货币不支持时抛出异常
+ */
+async function exportResults(servers, options = {}) {
+  const { timezone, now = new Date() } = options;
+  const format = String(options.format || 'csv').toLowerCase();
+  const currency = normalizeCurrency(options.currency || 'CNY');
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`不支持的导出格式：${format}，可选值：${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  if (!isSupportedCurrency(currency)) {
+    throw new Error(`不支持的货币类型：${currency}`);
+  }
+  if (!Array.isArray(servers)) {
+    throw new Error('servers 必须是数组');
+  }
+
+  // 服务器清单记录没有 name，汇总中的名称使用"商家 套餐"
+  const named = servers.map((server) => (
+    server && typeof server === 'object' && server.name === undefined
+      ? { ...server, name: [server.provider, server.plan].filter(Boolean).join(' ') || undefined }
+      : server
+  ));
+  const portfolio = servers.length > 0
+    ? await calculatePortfolio(named, { currency, timezone, now })
+    : { results: [], summary: null };
+
+  const columns = buildColumns(currency);
+  const header = columns.map((column) => column.key);
+  const rows = portfolio.results.map((result, index) => {
+    const server = servers[index] && typeof servers[index] === 'object' ? servers[index] : {};
+    return columns.map((column) => {
+      const value = column.value({ server, result });
+      return value === undefined ? null : value;
+    });
+  });
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const filename = `vps-servers-${now.toISOString().split('T')[0]}.${extension}`;
+  let body;
+
+  if (format === 'json') {
+    body = JSON.stringify({
+      exportedAt: now.toISOString(),
+      currency,
+      summary: portfolio.summary,
+      servers: rows.map((row) => Object.fromEntries(header.map((key, index) => [key, row[index]])))
+    }, null, 2);
+  } else if (format === 'xlsx') {
+    body = buildXlsx(header, rows, 'VPS');
+  } else {
+    body = toDelimited(header, rows, DELIMITERS[format]);
+  }
+
+  return { body, contentType, filename };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportResults
+};
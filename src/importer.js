@@ -0,0 +1,260 @@
+/**
+ * 服务器清单导入模块
+ * 解析 CSV / TSV / JSON 数据，按列映射转换为服务器记录，逐行校验并返回每行的错误原因
+ */
+
+const { normalizeServer, withValue } = require('./inventory');
+const { SPEC_FIELDS } = require('./specs');
+const { MAX_BATCH_SIZE } = require('./portfolio');
+const { DELIMITERS, parseDelimited } = require('./tabular');
+
+const IMPORT_FORMATS = ['csv', 'tsv', 'json'];
+
+// 字段及可自动识别的列名（比较时忽略大小写、空格、下划线与连字符）
+const FIELD_ALIASES = {
+  provider: ['provider', 'vendor', 'host', '商家', '服务商'],
+  plan: ['plan', 'name', 'server', '套餐', '名称'],
+  totalCost: ['totalcost', 'price', 'cost', 'amount', '价格', '总成本', '金额'],
+  cycle: ['cycle', 'billingcycle', 'billing', '付款周期', '周期'],
+  purchaseDate: ['purchasedate', 'date', 'startdate', '购买日期', '开始日期'],
+  currency: ['currency', '货币', '币种'],
+  timezone: ['timezone', 'tz', '时区'],
+  renewalPrice: ['renewalprice', 'renewal', '续费价格'],
+  taxRate: ['taxrate', 'tax', '税率'],
+  notes: ['notes', 'note', 'remark', '备注'],
+  cpu: ['cpu', 'vcpu', 'cores', '核心'],
+  memory: ['memory', 'ram', '内存'],
+  disk: ['disk', 'storage', '硬盘'],
+  bandwidth: ['bandwidth', 'port', '带宽'],
+  traffic: ['traffic', 'transfer', '流量']
+};
+
+const IMPORT_FIELDS = Object.keys(FIELD_ALIASES);
+
+// JSON 数据可直接携带的结构化字段
+const STRUCTURED_FIELDS = ['items', 'specs'];
+
+const REQUIRED_FIELDS = ['totalCost', 'cycle', 'purchaseDate'];
+
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[\s_-]/g, '');
+}
+
+/**
+ * 解析列映射
+ * mapping 优先（值为 null 或空字符串表示忽略该列），其余列按列名自动识别
+ * @param {Array<string>} headers - 列名
+ * @param {Object} [mapping] - 列映射：{ 列名: 字段 }
+ * @returns {{columns: Array<{header: string, field: string|null}>, ignored: Array<string>}}
+ * @throws {Error} 映射不合法或多列映射到同一字段时抛出异常
+ */
+function resolveColumns(headers, mapping = {}) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('mapping 必须是对象');
+  }
+
+  const used = {};
+  const columns = headers.map((header) => {
+    let field = null;
+    if (Object.prototype.hasOwnProperty.call(mapping, header)) {
+      field = mapping[header] || null;
+      if (field && !IMPORT_FIELDS.includes(field) && !STRUCTURED_FIELDS.includes(field)) {
+        throw new Error(`列 ${header} 映射的字段不支持：${field}，可选值：${IMPORT_FIELDS.join(', ')}`);
+      }
+    } else if (STRUCTURED_FIELDS.includes(header)) {
+      field = header;
+    } else {
+      const key = normalizeHeader(header);
+      field = IMPORT_FIELDS.find((name) => FIELD_ALIASES[name].includes(key) || normalizeHeader(name) === key) || null;
+    }
+
+    if (field) {
+      if (used[field] !== undefined) {
+        throw new Error(`列 ${used[field]} 与列 ${header} 都映射到字段 ${field}`);
+      }
+      used[field] = header;
+    }
+    return { header, field };
+  });
+
+  // 带费用明细 items 时套餐价格可省略
+  const missing = REQUIRED_FIELDS
+    .filter((field) => used[field] === undefined)
+    .filter((field) => !(field === 'totalCost' && used.items !== undefined));
+  if (missing.length > 0) {
+    throw new Error(`缺少必需列：${missing.join(', ')}，可通过 mapping 指定列名对应的字段`);
+  }
+
+  return {
+    columns,
+    ignored: columns.filter((column) => !column.field).map((column) => column.header)
+  };
+}
+
+/**
+ * 解析导入数据为原始行
+ * @param {string|Array<Object>} data - CSV / TSV 文本，或 JSON 数组（也可为 JSON 文本）
+ * @param {string} format - 数据格式：'csv' | 'tsv' | 'json'
+ * @returns {{headers: Array<string>, rows: Array<Object|null>}} 每行为 { 列名: 值 }，CSV / TSV 的空行为 null
+ * @throws {Error} 数据无法解析时抛出异常
+ */
+function parseImportData(data, format) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`不支持的导入格式：${format}，可选值：${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  if (format === 'json') {
+    let list = data;
+    if (typeof data === 'string') {
+      try {
+        list = JSON.parse(data);
+      } catch (error) {
+        throw new Error('JSON 数据解析失败');
+      }
+    }
+    if (!Array.isArray(list)) {
+      throw new Error('JSON 数据必须是数组');
+    }
+    const headers = [];
+    list.forEach((item) => {
+      if (item && typeof item === 'object' && !Array.isArray(item)) {
+        Object.keys(item).forEach((key) => {
+          if (!headers.includes(key)) headers.push(key);
+        });
+      }
+    });
+    return { headers, rows: list };
+  }
+
+  if (typeof data !== 'string') {
+    throw new Error(`${format.toUpperCase()} 数据必须是文本`);
+  }
+
+  const [headers, ...lines] = parseDelimited(data, DELIMITERS[format]);
+  if (!headers || headers.every((header) => header.trim() === '')) {
+    throw new Error('导入数据为空');
+  }
+  const trimmed = headers.map((header) => header.trim());
+  const rows = lines.map((line) => {
+    // 空行返回 null，由调用方跳过（保留行号）
+    if (line.every((cell) => cell.trim() === '')) {
+      return null;
+    }
+    const row = {};
+    trimmed.forEach((header, index) => {
+      row[header] = line[index];
+    });
+    return row;
+  });
+  return { headers: trimmed, rows };
+}
+
+/**
+ * 将一行原始数据转换为服务器字段
+ * @param {Object} row - { 列名: 值 }
+ * @param {Array<{header: string, field: string|null}>} columns - 列映射
+ * @returns {Object}
+ */
+function mapRow(row, columns) {
+  const input = {};
+  const specs = {};
+
+  columns.forEach(({ header, field }) => {
+    if (!field) return;
+    let value = row[header];
+    if (typeof value === 'string') {
+      value = value.trim();
+    }
+    if (value === undefined || value === null || value === '') return;
+
+    if (SPEC_FIELDS.includes(field)) {
+      specs[field] = value;
+    } else {
+      input[field] = value;
+    }
+  });
+
+  if (Object.keys(specs).length > 0) {
+    input.specs = { ...(input.specs || {}), ...specs };
+  }
+  return input;
+}
+
+/**
+ * 导入服务器清单
+ * 每行按服务器清单规则规范化并校验字段（与 POST /api/servers 相同），校验失败的行不导入，其余行一次性写入；
+ * 能导入但无法计算剩余价值的行（如未自动续费且已到期）照常导入，并在 warnings 中说明原因
+ * @param {Object} inventory - 服务器清单存储
+ * @param {Object} options - 导入参数
+ * @param {string|Array<Object>} options.data - 导入数据
+ * @param {string} [options.format='csv'] - 数据格式：'csv' | 'tsv' | 'json'
+ * @param {Object} [options.mapping] - 列映射：{ 列名: 字段 }
+ * @param {boolean} [options.dryRun=false] - 仅校验，不写入
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {Object} 导入结果：total、imported、failed、columns、ignoredColumns、errors、warnings、servers
+ * @throws {Error} 数据无法解析、列映射不合法或行数超过上限时抛出异常
+ */
+function importServers(inventory, options, now = new Date()) {
+  const { data, format = 'csv', mapping, dryRun = false } = options;
+
+  if (data === undefined || data === null || data === '') {
+    throw new Error('缺少必需参数：data');
+  }
+
+  const dataFormat = String(format).toLowerCase();
+  const { headers, rows } = parseImportData(data, dataFormat);
+  const total = dataFormat === 'json' ? rows.length : rows.filter(Boolean).length;
+  if (total === 0) {
+    throw new Error('导入数据没有数据行');
+  }
+  if (total > MAX_BATCH_SIZE) {
+    throw new Error(`单次最多导入 ${MAX_BATCH_SIZE} 台服务器`);
+  }
+
+  const { columns, ignored } = resolveColumns(headers, mapping || {});
+  const valid = [];
+  const errors = [];
+  const warnings = [];
+
+  rows.forEach((row, index) => {
+    // CSV / TSV 表头为第 1 行，数据从第 2 行开始；JSON 从第 1 个元素开始
+    const rowNumber = dataFormat === 'json' ? index + 1 : index + 2;
+    if (row === null && dataFormat !== 'json') return;
+    try {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        throw new Error('服务器数据必须是对象');
+      }
+      const record = normalizeServer(mapRow(row, columns));
+      const { valueError } = withValue(record, now);
+      if (valueError) {
+        warnings.push({ row: rowNumber, valueError });
+      }
+      valid.push(record);
+    } catch (error) {
+      errors.push({ row: rowNumber, error: error.message });
+    }
+  });
+
+  const servers = dryRun || valid.length === 0 ? valid : inventory.createMany(valid);
+
+  return {
+    dryRun: Boolean(dryRun),
+    total,
+    imported: dryRun ? 0 : servers.length,
+    failed: errors.length,
+    columns: columns.filter((column) => column.field),
+    ignoredColumns: ignored,
+    errors,
+    warnings,
+    servers
+  };
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_FIELDS,
+  resolveColumns,
+  parseImportData,
+  mapRow,
+  importServers
+};
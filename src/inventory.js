@@ -0,0 +1,311 @@
+/**
+ * 服务器清单存储模块
+ * 以本地 JSON 文件保存服务器记录，并为每条记录实时计算剩余价值
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { calculateByCycle, getCurrentTerm, parseCycle, isValidNumber, normalizeLineItems } = require('./calculator');
+const { resolveTimezone, toCalendarDate } = require('./dates');
+const { normalizeCurrency, isSupportedCurrency } = require('./currencies');
+const { normalizeSpecs } = require('./specs');
+
+const DEFAULT_INVENTORY_FILE = path.join(__dirname, '..', 'data', 'servers.json');
+
+// 可写入的字段（其余字段如 id、createdAt 由存储维护）
+const TEXT_FIELDS = { provider: 100, plan: 100, notes: 2000, timezone: 64 };
+
+/**
+ * 校验并规范化服务器记录
+ * @param {Object} input - 待写入的字段
+ * @param {Object} [current] - 已有记录（更新时传入，未提供的字段沿用原值）
+ * @returns {Object} 规范化后的记录字段
+ * @throws {Error} 字段不合法时抛出异常
+ */
+function normalizeServer(input, current = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('服务器数据必须是对象');
+  }
+
+  const record = { ...current };
+
+  Object.entries(TEXT_FIELDS).forEach(([field, maxLength]) => {
+    if (input[field] === undefined) return;
+    if (input[field] === null || input[field] === '') {
+      delete record[field];
+      return;
+    }
+    const value = String(input[field]).trim();
+    if (value.length > maxLength) {
+      throw new Error(`${field} 长度不能超过 ${maxLength} 个字符`);
+    }
+    record[field] = value;
+  });
+
+  if (record.timezone) {
+    record.timezone = resolveTimezone(record.timezone);
+  }
+
+  if (input.items !== undefined) {
+    if (input.items === null) {
+      delete record.items;
+    } else {
+      record.items = normalizeLineItems(input.items);
+    }
+  }
+
+  if (input.taxRate !== undefined) {
+    if (input.taxRate === null || input.taxRate === '') {
+      delete record.taxRate;
+    } else {
+      record.taxRate = Number(input.taxRate);
+      if (!isValidNumber(record.taxRate) || record.taxRate < 0 || record.taxRate > 100) {
+        throw new Error('税率必须在 0 到 100 之间');
+      }
+    }
+  }
+
+  // 有费用明细时 totalCost（套餐价格）可省略
+  if (input.totalCost !== undefined) {
+    if ((input.totalCost === null || input.totalCost === '') && record.items) {
+      delete record.totalCost;
+    } else {
+      record.totalCost = Number(input.totalCost);
+    }
+  }
+  if (record.totalCost !== undefined || !record.items) {
+    if (!isValidNumber(record.totalCost) || record.totalCost <= 0) {
+      throw new Error('totalCost 必须是大于 0 的数字');
+    }
+  }
+
+  if (input.cycle !== undefined) {
+    record.cycle = String(input.cycle).trim();
+  }
+  if (!record.cycle) {
+    throw new Error('缺少必需参数：cycle');
+  }
+  parseCycle(record.cycle);
+
+  if (input.purchaseDate !== undefined) {
+    const date = toCalendarDate(input.purchaseDate, record.timezone);
+    if (!date) {
+      throw new Error('购买日期格式不正确');
+    }
+    record.purchaseDate = typeof input.purchaseDate === 'string'
+      ? input.purchaseDate.trim()
+      : date.toISOString().split('T')[0];
+  }
+  if (!record.purchaseDate) {
+    throw new Error('缺少必需参数：purchaseDate');
+  }
+
+  if (input.currency !== undefined) {
+    record.currency = normalizeCurrency(input.currency);
+  }
+  record.currency = record.currency || 'CNY';
+  if (!isSupportedCurrency(record.currency)) {
+    throw new Error(`不支持的货币类型：${record.currency}`);
+  }
+
+  if (input.renewalPrice !== undefined) {
+    if (input.renewalPrice === null || input.renewalPrice === '') {
+      delete record.renewalPrice;
+    } else {
+      record.renewalPrice = Number(input.renewalPrice);
+      if (!isValidNumber(record.renewalPrice) || record.renewalPrice <= 0) {
+        throw new Error('续费价格必须是大于 0 的数字');
+      }
+    }
+  }
+
+  // 自动续费（默认开启）：到期后按付款周期滚动到下一期
+  if (input.autoRenew !== undefined) {
+    if (input.autoRenew === null || input.autoRenew === '') {
+      delete record.autoRenew;
+    } else if (typeof input.autoRenew === 'boolean') {
+      record.autoRenew = input.autoRenew;
+    } else {
+      throw new Error('autoRenew 必须是布尔值');
+    }
+  }
+
+  if (input.specs !== undefined) {
+    if (input.specs === null) {
+      delete record.specs;
+    } else {
+      record.specs = normalizeSpecs(input.specs);
+    }
+  }
+
+  return record;
+}
+
+/**
+ * 推算记录的当前周期
+ * 自动续费的记录已过首个周期时，按当前周期的开始日期计算：续费价格（未设置时为原价）
+ * 作为本期价格，开通费等一次性费用不再计入
+ * @param {Object} record - 服务器记录
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {{input: Object, term: {startDate: string, renewals: number}|null}} 计算参数与当前周期（未自动续费时为 null）
+ */
+function resolveCurrentTerm(record, now = new Date()) {
+  if (record.autoRenew === false) {
+    return { input: record, term: null };
+  }
+
+  const term = getCurrentTerm(record.purchaseDate, record.cycle, record.timezone, now);
+  if (term.renewals === 0) {
+    return { input: record, term };
+  }
+
+  const input = { ...record, purchaseDate: term.startDate };
+  if (record.renewalPrice !== undefined) {
+    input.totalCost = record.renewalPrice;
+    delete input.items;
+  } else if (record.items) {
+    input.items = record.items.filter((item) => item.type !== 'setup');
+  }
+  return { input, term };
+}
+
+/**
+ * 为记录附加实时剩余价值（自动续费的记录按当前周期计算）
+ * 计算失败（如购买日期晚于今天、未自动续费且已超过周期）时返回 valueError
+ * @param {Object} record - 服务器记录
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {Object}
+ */
+function withValue(record, now = new Date()) {
+  try {
+    const { input, term } = resolveCurrentTerm(record, now);
+    const result = calculateByCycle(input, now);
+    return {
+      ...record,
+      value: {
+        remainingValue: result.remainingValue,
+        usedValue: result.usedValue,
+        remainingDays: result.remainingDays,
+        usageRate: result.usageRate,
+        dailyRate: result.dailyRate,
+        totalDays: result.totalDays,
+        usedDays: result.usedDays,
+        expiryDate: result.expiryDate,
+        ...(term ? { termStartDate: term.startDate, renewals: term.renewals } : {}),
+        ...(result.breakdown ? { totalCost: result.totalCost, breakdown: result.breakdown } : {}),
+        ...(result.unitCosts ? { monthlyCost: result.monthlyCost, unitCosts: result.unitCosts } : {})
+      }
+    };
+  } catch (error) {
+    return { ...record, value: null, valueError: error.message };
+  }
+}
+
+/**
+ * 创建服务器清单存储
+ * @param {Object} [options] - 选项
+ * @param {string} [options.file] - 存储文件路径（默认环境变量 INVENTORY_FILE 或 data/servers.json）
+ * @returns {Object} 存储实例：list / get / create / createMany / update / remove
+ */
+function createInventory(options = {}) {
+  const file = options.file || process.env.INVENTORY_FILE || DEFAULT_INVENTORY_FILE;
+  let servers = null;
+
+  function load() {
+    if (servers) return servers;
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      servers = Array.isArray(stored.servers) ? stored.servers : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`服务器清单文件读取失败: ${error.message}`);
+      }
+      servers = [];
+    }
+    return servers;
+  }
+
+  // 先写临时文件再重命名，避免写入中断导致文件损坏
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ servers }, null, 2));
+    fs.renameSync(tmpFile, file);
+  }
+
+  return {
+    file,
+
+    list() {
+      return load().map((record) => ({ ...record }));
+    },
+
+    get(id) {
+      const record = load().find((item) => item.id === id);
+      return record ? { ...record } : null;
+    },
+
+    create(input) {
+      const now = new Date().toISOString();
+      const record = {
+        id: crypto.randomUUID(),
+        ...normalizeServer(input),
+        createdAt: now,
+        updatedAt: now
+      };
+      load().push(record);
+      save();
+      return { ...record };
+    },
+
+    // 批量新增（全部校验通过后一次写入）
+    createMany(inputs) {
+      const now = new Date().toISOString();
+      const records = inputs.map((input) => ({
+        id: crypto.randomUUID(),
+        ...normalizeServer(input),
+        createdAt: now,
+        updatedAt: now
+      }));
+      load().push(...records);
+      save();
+      return records.map((record) => ({ ...record }));
+    },
+
+    update(id, input) {
+      const list = load();
+      const index = list.findIndex((item) => item.id === id);
+      if (index === -1) {
+        return null;
+      }
+      const record = {
+        ...normalizeServer(input, list[index]),
+        id,
+        createdAt: list[index].createdAt,
+        updatedAt: new Date().toISOString()
+      };
+      list[index] = record;
+      save();
+      return { ...record };
+    },
+
+    remove(id) {
+      const list = load();
+      const index = list.findIndex((item) => item.id === id);
+      if (index === -1) {
+        return false;
+      }
+      list.splice(index, 1);
+      save();
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createInventory,
+  normalizeServer,
+  resolveCurrentTerm,
+  withValue
+};
@@ -0,0 +1,324 @@
+/**
+ * 金额计算模块
+ * 以最小货币单位（整数，BigInt）进行精确的十进制运算，按货币小数位数与舍入模式取整，并按货币格式化金额
+ */
+
+const { getCurrency, getCurrencySymbol } = require('./currencies');
+
+// 舍入模式：四舍五入（远离零）/ 银行家舍入（四舍六入五取偶）
+const ROUNDING_MODES = ['half-up', 'half-even'];
+
+const ROUNDING_ALIASES = {
+  'half-up': 'half-up',
+  halfup: 'half-up',
+  'half-even': 'half-even',
+  halfeven: 'half-even',
+  bankers: 'half-even',
+  banker: 'half-even'
+};
+
+// 不支持的货币按 2 位小数处理
+const DEFAULT_DIGITS = 2;
+
+// 日均成本等单价至少保留 2 位小数（JPY 等无辅币货币的日均成本取整到元会丢失精度）
+const MIN_RATE_DIGITS = 2;
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * 获取默认舍入模式（环境变量 DEFAULT_ROUNDING，未设置时为 half-up）
+ * @returns {string}
+ */
+function getDefaultRounding() {
+  return process.env.DEFAULT_ROUNDING || 'half-up';
+}
+
+/**
+ * 校验并返回舍入模式，未传入时使用默认舍入模式
+ * @param {string} [rounding] - 'half-up' | 'half-even'（也可写作 'bankers'）
+ * @returns {string} 规范化后的舍入模式
+ * @throws {Error} 舍入模式不支持时抛出异常
+ */
+function resolveRounding(rounding) {
+  const value = rounding === undefined || rounding === null || rounding === ''
+    ? getDefaultRounding()
+    : String(rounding);
+  const mode = ROUNDING_ALIASES[value.trim().toLowerCase().replace(/_/g, '-')];
+
+  if (!mode) {
+    throw new Error(`不支持的舍入模式：${value}，可选值：${ROUNDING_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * 获取货币的小数位数（最小货币单位），不支持的货币返回 2
+ * @param {string} currency - 货币代码
+ * @returns {number}
+ */
+function currencyDigits(currency) {
+  const info = getCurrency(currency);
+  return info ? info.digits : DEFAULT_DIGITS;
+}
+
+/**
+ * 解析数字为精确的十进制表示
+ * 数字按其最短十进制字符串解析（如 0.1 即十进制的 0.1），不引入二进制浮点误差
+ * @param {number|string} value - 数字
+ * @returns {{units: bigint, scale: number}} value = units / 10^scale
+ * @throws {Error} 不是有限数字时抛出异常
+ */
+function parseDecimal(value) {
+  const text = String(value).trim();
+  const match = text.match(DECIMAL_PATTERN);
+
+  if (!match || (!match[2] && !match[3])) {
+    throw new Error(`金额格式不正确：${value}`);
+  }
+
+  const [, sign, integer = '', fraction = '', exponent = '0'] = match;
+  let units = BigInt(`${sign === '-' ? '-' : ''}${integer}${fraction}` || '0');
+  let scale = fraction.length - Number(exponent);
+
+  if (scale < 0) {
+    units *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { units, scale };
+}
+
+/**
+ * 整数除法并按舍入模式取整
+ * @param {bigint} numerator - 被除数
+ * @param {bigint} denominator - 除数（不能为 0）
+ * @param {string} [rounding='half-up'] - 舍入模式
+ * @returns {bigint}
+ */
+function divideRounded(numerator, denominator, rounding = 'half-up') {
+  if (denominator < 0n) {
+    return divideRounded(-numerator, -denominator, rounding);
+  }
+
+  const quotient = numerator / denominator;
+  const remainder = numerator % denominator;
+  if (remainder === 0n) {
+    return quotient;
+  }
+
+  const sign = numerator < 0n ? -1n : 1n;
+  const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+
+  if (twice > denominator) {
+    return quotient + sign;
+  }
+  if (twice === denominator) {
+    if (rounding === 'half-even' && quotient % 2n === 0n) {
+      return quotient;
+    }
+    return quotient + sign;
+  }
+  return quotient;
+}
+
+/**
+ * 将金额转换为指定小数位数的整数单位
+ * @param {number|string} amount - 金额
+ * @param {number} digits - 小数位数
+ * @param {string} [rounding='half-up'] - 舍入模式
+ * @returns {bigint}
+ */
+function toUnits(amount, digits, rounding = 'half-up') {
+  const { units, scale } = parseDecimal(amount);
+
+  if (scale <= digits) {
+    return units * 10n ** BigInt(digits - scale);
+  }
+  return divideRounded(units, 10n ** BigInt(scale - digits), rounding);
+}
+
+/**
+ * 将整数单位转换回数字
+ * @param {bigint} units - 整数单位
+ * @param {number} digits - 小数位数
+ * @returns {number}
+ */
+function fromUnits(units, digits) {
+  return Number(`${units}e-${digits}`);
+}
+
+/**
+ * 按小数位数与舍入模式取整
+ * @param {number} value - 数值
+ * @param {number} digits - 小数位数
+ * @param {string} [rounding] - 舍入模式（默认为 DEFAULT_ROUNDING）
+ * @returns {number}
+ */
+function roundTo(value, digits, rounding) {
+  return fromUnits(toUnits(value, digits, resolveRounding(rounding)), digits);
+}
+
+/**
+ * 按货币的最小货币单位取整
+ * @param {number} amount - 金额
+ * @param {string} currency - 货币代码
+ * @param {string} [rounding] - 舍入模式（默认为 DEFAULT_ROUNDING）
+ * @returns {number}
+ */
+function roundMoney(amount, currency, rounding) {
+  return roundTo(amount, currencyDigits(currency), rounding);
+}
+
+/**
+ * 按货币取整单价（如日均成本），至少保留 2 位小数
+ * @param {number} rate - 单价
+ * @param {string} currency - 货币代码
+ * @param {string} [rounding] - 舍入模式（默认为 DEFAULT_ROUNDING）
+ * @returns {number}
+ */
+function roundRate(rate, currency, rounding) {
+  return roundTo(rate, Math.max(currencyDigits(currency), MIN_RATE_DIGITS), rounding);
+}
+
+/**
+ * 两个十进制数精确相乘，并按小数位数取整（只取整一次）
+ * @param {number|string} value - 被乘数
+ * @param {number|string} factor - 乘数
+ * @param {number} digits - 小数位数
+ * @param {string} rounding - 舍入模式
+ * @returns {number}
+ */
+function multiplyTo(value, factor, digits, rounding) {
+  const a = parseDecimal(value);
+  const b = parseDecimal(factor);
+  const product = a.units * b.units;
+  const scale = a.scale + b.scale;
+
+  const units = scale <= digits
+    ? product * 10n ** BigInt(digits - scale)
+    : divideRounded(product, 10n ** BigInt(scale - digits), rounding);
+  return fromUnits(units, digits);
+}
+
+/**
+ * 按汇率换算金额：金额与汇率按十进制精确相乘，再按目标货币的最小货币单位取整
+ * 如 24.33 USD × 150 = 3649.5 → 3650 JPY（浮点相乘得 3649.4999… 会被舍成 3649）
+ * @param {number} amount - 源货币金额
+ * @param {number|string} rate - 汇率（1 单位源货币可兑换的目标货币）
+ * @param {string} currency - 目标货币代码
+ * @param {string} [rounding] - 舍入模式（默认为 DEFAULT_ROUNDING）
+ * @returns {number}
+ */
+function convertMoney(amount, rate, currency, rounding) {
+  return multiplyTo(amount, rate, currencyDigits(currency), resolveRounding(rounding));
+}
+
+/**
+ * 按汇率换算单价（如日均成本），至少保留 2 位小数
+ * @param {number} value - 源货币单价
+ * @param {number|string} rate - 汇率
+ * @param {string} currency - 目标货币代码
+ * @param {string} [rounding] - 舍入模式（默认为 DEFAULT_ROUNDING）
+ * @returns {number}
+ */
+function convertRate(value, rate, currency, rounding) {
+  return multiplyTo(value, rate, Math.max(currencyDigits(currency), MIN_RATE_DIGITS), resolveRounding(rounding));
+}
+
+/**
+ * 创建金额运算上下文
+ * 金额以最小货币单位（BigInt）表示，单价（如日均成本）至少保留 2 位小数
+ * @param {Object} [options] - 选项
+ * @param {string} [options.currency='CNY'] - 货币代码
+ * @param {string} [options.rounding] - 舍入模式（默认为 DEFAULT_ROUNDING）
+ * @returns {Object} 上下文：currency、digits、rounding 与运算函数
+ * @throws {Error} 货币或舍入模式不支持时抛出异常
+ */
+function createMoney(options = {}) {
+  const info = getCurrency(options.currency || 'CNY');
+  if (!info) {
+    throw new Error(`不支持的货币类型：${options.currency}`);
+  }
+
+  const { digits } = info;
+  const rounding = resolveRounding(options.rounding);
+  const rateDigits = Math.max(digits, MIN_RATE_DIGITS);
+
+  return {
+    currency: info.code,
+    digits,
+    rounding,
+
+    // 金额 → 最小货币单位
+    units(amount) {
+      return toUnits(amount, digits, rounding);
+    },
+
+    // 最小货币单位 → 金额
+    value(units) {
+      return fromUnits(units, digits);
+    },
+
+    // 按比例分摊：units × numerator / denominator（比例可为小数，如百分比 12.5）
+    share(units, numerator, denominator = 1) {
+      const ratio = parseDecimal(numerator);
+      const scaled = parseDecimal(denominator);
+      return divideRounded(
+        units * ratio.units * 10n ** BigInt(scaled.scale),
+        scaled.units * 10n ** BigInt(ratio.scale),
+        rounding
+      );
+    },
+
+    // 单价：units / days（天数可为小数），至少保留 2 位小数
+    rate(units, days) {
+      const divisor = parseDecimal(days);
+      return fromUnits(divideRounded(
+        units * 10n ** BigInt(rateDigits - digits + divisor.scale),
+        divisor.units,
+        rounding
+      ), rateDigits);
+    },
+
+    // 任意数值按本货币取整
+    round(amount) {
+      return fromUnits(toUnits(amount, digits, rounding), digits);
+    }
+  };
+}
+
+/**
+ * 按货币格式化金额（货币符号、千位分隔符与货币小数位数）
+ * @param {number} amount - 金额
+ * @param {string} currency - 货币代码
+ * @param {Object} [options] - 选项
+ * @param {string} [options.rounding] - 舍入模式（默认为 DEFAULT_ROUNDING）
+ * @param {boolean} [options.grouping=true] - 是否使用千位分隔符
+ * @returns {string} 如 "¥1,294.50"、"¥294"（JPY）、"-$3.20"
+ */
+function formatMoney(amount, currency, options = {}) {
+  const { grouping = true } = options;
+  const digits = currencyDigits(currency);
+  const units = toUnits(amount, digits, resolveRounding(options.rounding));
+  const negative = units < 0n;
+  const text = String(negative ? -units : units).padStart(digits + 1, '0');
+  const integer = text.slice(0, text.length - digits);
+  const fraction = text.slice(text.length - digits);
+  const grouped = grouping ? integer.replace(/\B(?=(\d{3})+$)/g, ',') : integer;
+
+  return `${negative ? '-' : ''}${getCurrencySymbol(currency)}${grouped}${digits > 0 ? `.${fraction}` : ''}`;
+}
+
+module.exports = {
+  ROUNDING_MODES,
+  resolveRounding,
+  currencyDigits,
+  parseDecimal,
+  divideRounded,
+  roundMoney,
+  roundRate,
+  roundTo,
+  convertMoney,
+  convertRate,
+  createMoney,
+  formatMoney
+};
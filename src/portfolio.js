@@ -0,0 +1,149 @@
+/**
+ * 批量（资产组合）计算模块
+ * 逐台计算服务器剩余价值，并按指定货币汇总组合总剩余价值、月度支出与最近到期服务器
+ */
+
+const { calculateByCycle } = require('./calculator');
+const { fetchExchangeRate } = require('./exchange');
+const { normalizeCurrency, isSupportedCurrency } = require('./currencies');
+const { resolveRounding, createMoney, convertMoney, convertRate } = require('./money');
+const { DAYS_PER_MONTH } = require('./dates');
+
+// 单次批量计算的服务器数量上限
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * 批量计算服务器剩余价值
+ * 每台服务器单独返回成功或失败，单行错误不影响其它服务器
+ * @param {Array<Object>} servers - 服务器列表，字段同 calculateByCycle 的参数，另可包含 name、currency
+ * @param {Object} [options] - 选项
+ * @param {string} [options.currency='CNY'] - 汇总货币
+ * @param {string} [options.timezone] - 默认时区（服务器未指定 timezone 时使用）
+ * @param {string} [options.rounding] - 舍入模式：'half-up' | 'half-even'（服务器未指定 rounding 时使用）
+ * @param {Date} [options.now] - 当前时间（默认为系统时间）
+ * @returns {Promise<{results: Array<Object>, summary: Object}>}
+ */
+async function calculatePortfolio(servers, options = {}) {
+  const { timezone, now = new Date() } = options;
+  const target = normalizeCurrency(options.currency || 'CNY');
+
+  if (!Array.isArray(servers) || servers.length === 0) {
+    throw new Error('servers 必须是非空数组');
+  }
+  if (servers.length > MAX_BATCH_SIZE) {
+    throw new Error(`单次最多计算 ${MAX_BATCH_SIZE} 台服务器`);
+  }
+  if (!isSupportedCurrency(target)) {
+    throw new Error(`不支持的货币类型：${target}`);
+  }
+
+  const rounding = resolveRounding(options.rounding);
+
+  const results = [];
+  for (const [index, server] of servers.entries()) {
+    const name = server && server.name !== undefined ? String(server.name) : null;
+
+    try {
+      if (!server || typeof server !== 'object') {
+        throw new Error('服务器数据必须是对象');
+      }
+
+      const currency = normalizeCurrency(server.currency || target);
+      if (!isSupportedCurrency(currency)) {
+        throw new Error(`不支持的货币类型：${currency}`);
+      }
+
+      const data = calculateByCycle({ timezone, rounding, ...server, currency }, now);
+      const exchange = await fetchExchangeRate(currency, target);
+
+      results.push({
+        index,
+        name,
+        success: true,
+        data: {
+          ...data,
+          currency,
+          converted: {
+            currency: target,
+            rate: exchange.rate,
+            remainingValue: convertMoney(data.remainingValue, exchange.rate, target, rounding),
+            dailyRate: convertRate(data.dailyRate, exchange.rate, target, rounding),
+            totalCost: convertMoney(data.totalCost, exchange.rate, target, rounding)
+          }
+        }
+      });
+    } catch (error) {
+      results.push({ index, name, success: false, error: error.message });
+    }
+  }
+
+  return { results, summary: summarizePortfolio(results, createMoney({ currency: target, rounding })) };
+}
+
+/**
+ * 计算当前所在周期的日均成本（未取整）
+ * @param {Object} data - calculateByCycle 的计算结果
+ * @returns {number}
+ */
+function currentDailyRate(data) {
+  if (Array.isArray(data.terms)) {
+    const term = data.terms[data.currentTerm];
+    return term.price / term.totalDays;
+  }
+  // 按费用明细计算时，一次性费用不计入日均成本
+  if (data.breakdown) {
+    return data.breakdown.recurring / data.totalDays;
+  }
+  return data.totalCost / data.totalDays;
+}
+
+/**
+ * 汇总批量计算结果（换算后的金额以最小货币单位累加）
+ * @param {Array<Object>} results - calculatePortfolio 的逐台结果
+ * @param {Object} money - 汇总货币的金额运算上下文（createMoney 返回值）
+ * @returns {Object} 汇总数据
+ */
+function summarizePortfolio(results, money) {
+  const succeeded = results.filter((item) => item.success);
+  let totalRemainingValue = 0n;
+  let totalCost = 0n;
+  let dailyBurn = 0;
+  let nextExpiring = null;
+
+  succeeded.forEach(({ index, name, data }) => {
+    totalRemainingValue += money.units(data.converted.remainingValue);
+    totalCost += money.units(data.converted.totalCost);
+
+    // 已到期的服务器不再计入月度支出
+    if (data.remainingDays > 0) {
+      dailyBurn += currentDailyRate(data) * data.converted.rate;
+    }
+
+    if (data.remainingDays > 0 && (!nextExpiring || data.expiryDate < nextExpiring.expiryDate)) {
+      nextExpiring = {
+        index,
+        name,
+        expiryDate: data.expiryDate,
+        remainingDays: data.remainingDays,
+        remainingValue: data.converted.remainingValue
+      };
+    }
+  });
+
+  return {
+    currency: money.currency,
+    count: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    totalCost: money.value(totalCost),
+    totalRemainingValue: money.value(totalRemainingValue),
+    monthlyBurnRate: money.round(dailyBurn * DAYS_PER_MONTH),
+    nextExpiring
+  };
+}
+
+module.exports = {
+  calculatePortfolio,
+  summarizePortfolio,
+  MAX_BATCH_SIZE
+};
@@ -0,0 +1,191 @@
+/**
+ * 升降级差价计算模块
+ * 周期中途更换套餐时，计算原套餐未使用部分的抵扣额、新套餐费用、应补差价或退款，以及新的到期日期
+ */
+
+const {
+  calculateRemainingValue,
+  calculateItemizedValue,
+  isValidNumber,
+  getDaysByCycle,
+  getExpiryDate
+} = require('./calculator');
+const {
+  resolveTimezone,
+  toCalendarDate,
+  today,
+  addDays,
+  diffDays,
+  formatDate
+} = require('./dates');
+const { createMoney } = require('./money');
+
+// 差价计算方式
+// keep-expiry：保持原到期日，新套餐按剩余天数折算（WHMCS 等面板的默认方式）
+// new-term：从变更日起开始新周期，支付新套餐全价，抵扣原套餐剩余价值
+// extend：不补差价，原套餐剩余价值按新套餐日均价格折算为使用天数
+const PRORATION_MODES = ['keep-expiry', 'new-term', 'extend'];
+
+// 降级产生的差额处理方式：退回账户余额 / 原路退款 / 不退还
+const DOWNGRADE_REFUNDS = ['credit', 'refund', 'none'];
+
+/**
+ * 计算升降级差价
+ * @param {Object} input - 计算参数
+ * @param {Object} input.current - 当前套餐：{ totalCost, cycle, purchaseDate, items?, taxRate? }，purchaseDate 为本期开始日期
+ * @param {Object} input.target - 目标套餐：{ price, cycle? }，cycle 缺省时沿用当前套餐周期
+ * @param {string|Date} [input.date] - 变更日期（默认为今天）
+ * @param {string} [input.timezone] - IANA 时区
+ * @param {string} [input.mode='keep-expiry'] - 差价计算方式
+ * @param {string} [input.downgradeRefund='credit'] - 降级差额处理方式
+ * @param {string} [input.currency] - 货币代码（默认为 current.currency 或 CNY，决定金额的小数位数）
+ * @param {string} [input.rounding] - 舍入模式：'half-up' | 'half-even'
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {Object} 抵扣额、新套餐费用、应付 / 应退金额与新到期日期
+ */
+function calculateProration(input, now = new Date()) {
+  const {
+    current,
+    target,
+    date,
+    mode = 'keep-expiry',
+    downgradeRefund = 'credit'
+  } = input;
+
+  if (!current || typeof current !== 'object' || !target || typeof target !== 'object') {
+    throw new Error('缺少必需参数：current, target');
+  }
+
+  const { totalCost, cycle, purchaseDate, items, taxRate } = current;
+  if ((!totalCost && items === undefined) || !cycle || !purchaseDate) {
+    throw new Error('缺少必需参数：current.totalCost, current.cycle, current.purchaseDate');
+  }
+
+  const targetPrice = Number(target.price);
+  if (!isValidNumber(targetPrice) || targetPrice <= 0) {
+    throw new Error('目标套餐价格 target.price 必须是大于 0 的数字');
+  }
+  const targetCycle = target.cycle || cycle;
+
+  if (!PRORATION_MODES.includes(mode)) {
+    throw new Error(`不支持的差价计算方式：${mode}，可选值：${PRORATION_MODES.join(', ')}`);
+  }
+  if (!DOWNGRADE_REFUNDS.includes(downgradeRefund)) {
+    throw new Error(`不支持的降级差额处理方式：${downgradeRefund}，可选值：${DOWNGRADE_REFUNDS.join(', ')}`);
+  }
+
+  const money = createMoney({ currency: input.currency || current.currency, rounding: input.rounding });
+  const currency = { currency: money.currency, rounding: money.rounding };
+  const timezone = resolveTimezone(input.timezone || current.timezone);
+  const start = toCalendarDate(purchaseDate, timezone);
+  if (!start) {
+    throw new Error('购买日期格式不正确');
+  }
+
+  const changeDate = date === undefined || date === null || date === ''
+    ? today(timezone, now)
+    : toCalendarDate(date, timezone);
+  if (!changeDate) {
+    throw new Error('变更日期格式不正确');
+  }
+
+  // 当前套餐：按真实日历计算总天数，变更日之前的天数为已使用
+  const totalDays = getDaysByCycle(cycle, purchaseDate, timezone);
+  const expiryDate = getExpiryDate(purchaseDate, cycle, timezone);
+  const usedDays = diffDays(start, changeDate);
+  if (usedDays < 0) {
+    throw new Error('变更日期不能早于购买日期');
+  }
+  if (usedDays > totalDays) {
+    throw new Error('变更日期不能晚于当前周期到期日期');
+  }
+
+  const currentValue = items !== undefined || taxRate !== undefined
+    ? calculateItemizedValue(items || [], totalDays, usedDays, {
+      baseCost: totalCost ? Number(totalCost) : undefined,
+      taxRate,
+      ...currency
+    })
+    : calculateRemainingValue(Number(totalCost), totalDays, usedDays, undefined, currency);
+  const credit = money.units(currentValue.remainingValue);
+  const remainingDays = totalDays - usedDays;
+
+  // 目标套餐：从变更日起一个周期的天数（金额以最小货币单位计算）
+  const changeDay = formatDate(changeDate);
+  const targetDays = getDaysByCycle(targetCycle, changeDay, timezone);
+  const targetCost = money.units(targetPrice);
+  if (targetCost <= 0n) {
+    throw new Error(`目标套餐价格 target.price 不能小于 ${money.currency} 的最小货币单位`);
+  }
+
+  let newPlanCost;
+  let newExpiryDate;
+  let creditDays = null;
+
+  if (mode === 'keep-expiry') {
+    newPlanCost = money.share(targetCost, remainingDays, targetDays);
+    newExpiryDate = expiryDate;
+  } else if (mode === 'new-term') {
+    newPlanCost = targetCost;
+    newExpiryDate = getExpiryDate(changeDay, targetCycle, timezone);
+  } else {
+    creditDays = Number((credit * BigInt(targetDays)) / targetCost);
+    newPlanCost = money.share(targetCost, creditDays, targetDays);
+    newExpiryDate = addDays(changeDate, creditDays);
+  }
+
+  // 正数为应补差价，负数为降级差额
+  const netAmount = mode === 'extend' ? 0 : money.value(newPlanCost - credit);
+  const balance = Math.max(0, -netAmount);
+  // 按费用明细计算时，一次性费用不计入日均价格
+  const recurringCost = money.units(currentValue.breakdown ? currentValue.breakdown.recurring : currentValue.totalCost);
+
+  // 比较日均价格：target / targetDays 与 recurring / totalDays（交叉相乘，避免除法误差）
+  const targetScaled = targetCost * BigInt(totalDays);
+  const currentScaled = recurringCost * BigInt(targetDays);
+  let direction = 'same';
+  if (targetScaled > currentScaled) {
+    direction = 'upgrade';
+  } else if (targetScaled < currentScaled) {
+    direction = 'downgrade';
+  }
+
+  return {
+    currency: money.currency,
+    mode,
+    direction,
+    changeDate: changeDay,
+    current: {
+      totalCost: currentValue.totalCost,
+      cycle,
+      purchaseDate: formatDate(start),
+      expiryDate: formatDate(expiryDate),
+      totalDays,
+      usedDays,
+      remainingDays,
+      dailyRate: money.rate(recurringCost, totalDays)
+    },
+    target: {
+      price: money.value(targetCost),
+      cycle: targetCycle,
+      cycleDays: targetDays,
+      dailyRate: money.rate(targetCost, targetDays)
+    },
+    credit: money.value(credit),
+    newPlanCost: money.value(newPlanCost),
+    netAmount,
+    amountDue: Math.max(0, netAmount),
+    refundAmount: downgradeRefund === 'refund' ? balance : 0,
+    accountCredit: downgradeRefund === 'credit' ? balance : 0,
+    forfeited: downgradeRefund === 'none' ? balance : 0,
+    // extend 方式下不足一天的剩余价值不折算
+    ...(creditDays !== null ? { creditDays, forfeited: money.value(credit - newPlanCost) } : {}),
+    newExpiryDate: formatDate(newExpiryDate)
+  };
+}
+
+module.exports = {
+  PRORATION_MODES,
+  DOWNGRADE_REFUNDS,
+  calculateProration
+};
@@ -0,0 +1,275 @@
+/**
+ * PYQ 徽章模块
+ * 七彩渐变圆环徽章（默认 256x256，透明底）的参数解析与 SVG 生成
+ */
+
+const { escapeXml, sanitizeColor, parseNumber, clampInt, clampFloat, findRepeatedParamsError } = require('./utils');
+const { calculateByCycle } = require('./calculator');
+const { getCurrencySymbol } = require('./currencies');
+const { formatMoney } = require('./money');
+
+// 圆环中心文字的显示内容
+const PYQ_DISPLAYS = ['text', 'percent', 'value', 'days'];
+
+function resolveGradientAngle({ gradientAngle, gradientDirection }) {
+  if (gradientDirection) {
+    const key = String(gradientDirection).toLowerCase();
+    const map = {
+      horizontal: 0,
+      vertical: 90,
+      diagonal: 45,
+      diagonal2: 135
+    };
+    if (map[key] !== undefined) {
+      return map[key];
+    }
+  }
+  return clampFloat(gradientAngle, 45, 0, 360);
+}
+
+function buildPyqSvg(options) {
+  const {
+    size,
+    ringWidth,
+    ringPadding,
+    text,
+    textSize,
+    textColor,
+    font,
+    gradient,
+    background,
+    gradientAngle,
+    glow,
+    glowColor,
+    glowBlur,
+    glowOpacity,
+    shadow,
+    shadowColor,
+    shadowDx,
+    shadowDy,
+    shadowBlur,
+    progress,
+    trackColor
+  } = options;
+
+  const radius = size / 2 - ringWidth / 2 - ringPadding;
+  if (radius <= 0) {
+    return { error: 'size、ringWidth、ringPadding 组合导致圆环半径为非正值' };
+  }
+
+  const safeText = escapeXml((text || 'PYQ').toString().slice(0, 12));
+  const safeFont = escapeXml(
+    (font || 'Arial Rounded MT Bold, Helvetica Rounded, Arial, sans-serif').toString()
+  );
+  const safeTextColor = sanitizeColor(textColor) || '#ffffff';
+  const safeBackground = sanitizeColor(background);
+
+  const defaultGradient = ['#ff3b30', '#ff9500', '#ffcc00', '#34c759', '#007aff', '#af52de'];
+  const gradientStops = String(gradient || '')
+    .split(',')
+    .map((item) => sanitizeColor(item))
+    .filter(Boolean);
+  const colors = gradientStops.length >= 2 ? gradientStops : defaultGradient;
+  const stops = colors.map((color, index) => {
+    const offset = Math.round((index / (colors.length - 1)) * 100);
+    return `<stop offset="${offset}%" stop-color="${escapeXml(color)}"/>`;
+  }).join('');
+
+  const angle = resolveGradientAngle({ gradientAngle, gradientDirection: options.gradientDirection });
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const x1 = (50 - cos * 50).toFixed(2);
+  const y1 = (50 - sin * 50).toFixed(2);
+  const x2 = (50 + cos * 50).toFixed(2);
+  const y2 = (50 + sin * 50).toFixed(2);
+
+  const textX = size / 2;
+  const textY = size / 2;
+  const bgRect = safeBackground && safeBackground !== 'transparent' && safeBackground !== 'none'
+    ? `<rect width="${size}" height="${size}" fill="${escapeXml(safeBackground)}"/>`
+    : '';
+
+  const glowEnabled = Boolean(glow);
+  const shadowTarget = (shadow || '').toString().toLowerCase();
+  const safeGlowColor = sanitizeColor(glowColor) || 'rgba(255,255,255,0.7)';
+  const finalGlowBlur = clampFloat(glowBlur, 6, 0, 64);
+  const finalGlowOpacity = clampFloat(glowOpacity, 0.7, 0, 1);
+
+  const safeShadowColor = sanitizeColor(shadowColor) || 'rgba(0,0,0,0.25)';
+  const finalShadowDx = clampFloat(shadowDx, 0, -50, 50);
+  const finalShadowDy = clampFloat(shadowDy, 6, -50, 50);
+  const finalShadowBlur = clampFloat(shadowBlur, 8, 0, 64);
+
+  const ringFilter = shadowTarget === 'ring' || shadowTarget === 'both' ? 'url(#shadow)' : '';
+  const textFilter = shadowTarget === 'text' || shadowTarget === 'both' ? 'url(#shadow)' : '';
+
+  // 进度环模式：圆弧从 12 点方向顺时针绘制，未完成部分显示底色轨道
+  // 使用路径而非旋转圆形，保证渐变方向与完整圆环一致
+  const progressMode = progress !== undefined && progress !== null;
+  const circumference = 2 * Math.PI * radius;
+  const arcLength = progressMode ? (Math.min(Math.max(progress, 0), 100) / 100) * circumference : circumference;
+  const showArc = arcLength > 0;
+  const arcShape = progressMode
+    ? `path d="M${textX} ${textY - radius} a${radius} ${radius} 0 1 1 0 ${2 * radius} a${radius} ${radius} 0 1 1 0 ${-2 * radius}" stroke-linecap="round" stroke-dasharray="${arcLength.toFixed(2)} ${circumference.toFixed(2)}"`
+    : `circle cx="${textX}" cy="${textY}" r="${radius}"`;
+  const safeTrackColor = sanitizeColor(trackColor) || 'rgba(255,255,255,0.15)';
+  const track = progressMode
+    ? `<circle cx="${textX}" cy="${textY}" r="${radius}" fill="none" stroke="${escapeXml(safeTrackColor)}" stroke-width="${ringWidth}"/>`
+    : '';
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" aria-label="${safeText}">
+  <defs>
+    <linearGradient id="ring" x1="${x1}%" y1="${y1}%" x2="${x2}%" y2="${y2}%">
+      ${stops}
+    </linearGradient>
+    <filter id="glow" x="-50%" y="-50%" width="200%" height="200%">
+      <feGaussianBlur stdDeviation="${finalGlowBlur}" />
+    </filter>
+    <filter id="shadow" x="-50%" y="-50%" width="200%" height="200%">
+      <feDropShadow dx="${finalShadowDx}" dy="${finalShadowDy}" stdDeviation="${finalShadowBlur}" flood-color="${escapeXml(safeShadowColor)}" />
+    </filter>
+  </defs>
+  ${bgRect}
+  ${track}
+  ${glowEnabled && showArc ? `<${arcShape} fill="none" stroke="${escapeXml(safeGlowColor)}" stroke-width="${ringWidth}" opacity="${finalGlowOpacity}" filter="url(#glow)"/>` : ''}
+  ${showArc ? `<${arcShape} fill="none" stroke="url(#ring)" stroke-width="${ringWidth}"${ringFilter ? ` filter="${ringFilter}"` : ''}/>` : ''}
+  <text x="${textX}" y="${textY}" text-anchor="middle" dominant-baseline="middle"
+        font-size="${textSize}" font-weight="700" font-family="${safeFont}"
+        fill="${escapeXml(safeTextColor)}"${textFilter ? ` filter="${textFilter}"` : ''}>${safeText}</text>
+</svg>`;
+
+  return { svg };
+}
+
+/**
+ * 解析进度环数据
+ * percent 优先；否则传入 totalCost、cycle、purchaseDate 时按剩余价值计算
+ * @param {Object} query - 请求参数
+ * @returns {{progress?: number, value?: Object, error?: string}} 未启用进度环时 progress 为 undefined
+ */
+function resolvePyqProgress(query) {
+  const { percent, totalCost, cycle, purchaseDate, timezone, currency, rounding, arc = 'remaining' } = query;
+
+  if (percent !== undefined && percent !== '') {
+    const value = parseNumber(percent);
+    if (value === null || value < 0 || value > 100) {
+      return { error: 'percent 必须是 0 到 100 之间的数字' };
+    }
+    return { progress: value };
+  }
+
+  if (totalCost === undefined && cycle === undefined && purchaseDate === undefined) {
+    return {};
+  }
+
+  if (arc !== 'remaining' && arc !== 'used') {
+    return { error: `不支持的进度类型：${arc}，可选值：remaining, used` };
+  }
+
+  try {
+    const value = calculateByCycle({ totalCost, cycle, purchaseDate, timezone, currency, rounding });
+    const remainingRate = 100 - value.usageRate;
+    return { progress: arc === 'used' ? value.usageRate : remainingRate, value };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * 生成圆环中心文字
+ * @param {string} display - 显示内容：'text' | 'percent' | 'value' | 'days'
+ * @param {Object} query - 请求参数
+ * @param {{progress?: number, value?: Object}} ring - resolvePyqProgress 的结果
+ * @returns {{text?: string, error?: string}}
+ */
+function resolvePyqText(display, query, ring) {
+  if (!PYQ_DISPLAYS.includes(display)) {
+    return { error: `不支持的显示内容：${display}，可选值：${PYQ_DISPLAYS.join(', ')}` };
+  }
+
+  if (display === 'text') {
+    return { text: query.text };
+  }
+
+  if (display === 'percent') {
+    if (ring.progress === undefined) {
+      return { error: '显示百分比需要提供 percent 或 totalCost, cycle, purchaseDate' };
+    }
+    return { text: `${Math.round(ring.progress)}%` };
+  }
+
+  if (!ring.value) {
+    return { error: '显示剩余价值或天数需要提供 totalCost, cycle, purchaseDate' };
+  }
+
+  if (display === 'days') {
+    return { text: `${ring.value.remainingDays}d` };
+  }
+
+  // 千元以上省略小数，避免圆环内文字过长
+  const { remainingValue } = ring.value;
+  const currency = query.currency || 'CNY';
+  return {
+    text: remainingValue >= 1000
+      ? `${getCurrencySymbol(currency)}${Math.round(remainingValue)}`
+      : formatMoney(remainingValue, currency, { rounding: query.rounding })
+  };
+}
+
+/**
+ * 解析 PYQ 徽章请求参数并生成 SVG
+ * 尺寸类参数超出范围时取边界值；传入 percent 或 VPS 参数时圆环显示为进度环
+ * @param {Object} query - 请求参数
+ * @returns {{svg?: string, error?: string}}
+ */
+function buildPyqSvgFromQuery(query) {
+  const {
+    size,
+    ringWidth,
+    ringPadding,
+    textSize,
+    display = 'text'
+  } = query;
+
+  const repeatedError = findRepeatedParamsError(query);
+  if (repeatedError) {
+    return { error: repeatedError };
+  }
+
+  const ring = resolvePyqProgress(query);
+  if (ring.error) {
+    return { error: ring.error };
+  }
+
+  const { text, error } = resolvePyqText(String(display), query, ring);
+  if (error) {
+    return { error };
+  }
+
+  const finalSize = clampInt(size, 256, 64, 1024);
+  const finalRingWidth = clampInt(ringWidth, 18, 2, 128);
+  const finalPadding = clampInt(ringPadding, 8, 0, 128);
+
+  // 显示数值且未指定字号时，按圆环内径自动缩小文字，避免与圆环重叠
+  const innerDiameter = finalSize - 2 * (finalRingWidth + finalPadding);
+  const fitSize = Math.floor((innerDiameter * 0.85) / (Math.max(String(text || 'PYQ').length, 1) * 0.62));
+  const defaultTextSize = display === 'text' ? 64 : Math.max(10, Math.min(64, fitSize));
+
+  return buildPyqSvg({
+    ...query,
+    text,
+    progress: ring.progress,
+    size: finalSize,
+    ringWidth: finalRingWidth,
+    ringPadding: finalPadding,
+    textSize: clampInt(textSize, defaultTextSize, 10, 256)
+  });
+}
+
+module.exports = {
+  PYQ_DISPLAYS,
+  buildPyqSvg,
+  buildPyqSvgFromQuery
+};
@@ -0,0 +1,235 @@
+/**
+ * 退款策略计算模块
+ * 按服务商退款规则（全额退款期、按比例退款、手续费、仅退余额、按整月退款）计算可退金额，
+ * 并与线性折旧的剩余价值对比，判断退款与转让哪个更划算
+ */
+
+const {
+  calculateRemainingValue,
+  isValidNumber,
+  parseCycle,
+  getDaysByCycle,
+  getExpiryDate
+} = require('./calculator');
+const {
+  resolveTimezone,
+  toCalendarDate,
+  today,
+  addMonths,
+  diffDays,
+  formatDate
+} = require('./dates');
+const { createMoney } = require('./money');
+
+// 退款方式：按剩余天数比例 / 仅退未开始的整月 / 不退款
+const REFUND_METHODS = ['prorated', 'unused-months', 'none'];
+
+// 内置退款策略
+const BUILTIN_REFUND_POLICIES = {
+  none: { description: '不支持退款', method: 'none' },
+  'full-7d': { description: '购买后 7 天内全额退款，之后不退款', fullRefundDays: 7, method: 'none' },
+  'full-30d': { description: '购买后 30 天内全额退款，之后不退款', fullRefundDays: 30, method: 'none' },
+  prorated: { description: '按剩余天数比例退款', method: 'prorated' },
+  'full-30d-prorated': {
+    description: '购买后 30 天内全额退款，之后按剩余天数比例退款',
+    fullRefundDays: 30,
+    method: 'prorated'
+  },
+  credit: { description: '按剩余天数比例退回账户余额（不可提现）', method: 'prorated', creditOnly: true },
+  'unused-months': { description: '仅退还未开始的整月费用', method: 'unused-months' }
+};
+
+/**
+ * 解析退款策略
+ * 可传入内置策略名称，或自定义策略对象（可通过 extends 在内置策略基础上修改）
+ * @param {string|Object} policy - 策略名称或策略对象
+ * @returns {Object} 规范化后的策略：name、method、fullRefundDays、fee、feePercent、creditOnly
+ * @throws {Error} 策略不合法时抛出异常
+ */
+function resolveRefundPolicy(policy = 'prorated') {
+  const definition = typeof policy === 'string' ? { extends: policy } : policy;
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('退款策略必须是策略名称或对象');
+  }
+
+  let base = {};
+  if (definition.extends !== undefined) {
+    base = BUILTIN_REFUND_POLICIES[definition.extends];
+    if (!base) {
+      throw new Error(
+        `不支持的退款策略：${definition.extends}，可选值：${Object.keys(BUILTIN_REFUND_POLICIES).join(', ')}`
+      );
+    }
+  }
+
+  const { extends: baseName, ...overrides } = definition;
+  const merged = { ...base, ...overrides };
+  const resolved = {
+    name: definition.name !== undefined ? String(definition.name) : (baseName || 'custom'),
+    method: merged.method === undefined ? 'prorated' : merged.method,
+    fullRefundDays: merged.fullRefundDays === undefined ? 0 : Number(merged.fullRefundDays),
+    fee: merged.fee === undefined ? 0 : Number(merged.fee),
+    feePercent: merged.feePercent === undefined ? 0 : Number(merged.feePercent),
+    creditOnly: Boolean(merged.creditOnly)
+  };
+
+  if (!REFUND_METHODS.includes(resolved.method)) {
+    throw new Error(`不支持的退款方式：${resolved.method}，可选值：${REFUND_METHODS.join(', ')}`);
+  }
+
+  if (!Number.isInteger(resolved.fullRefundDays) || resolved.fullRefundDays < 0) {
+    throw new Error('全额退款天数必须是非负整数');
+  }
+
+  if (!isValidNumber(resolved.fee) || resolved.fee < 0) {
+    throw new Error('退款手续费必须是非负数字');
+  }
+
+  if (!isValidNumber(resolved.feePercent) || resolved.feePercent < 0 || resolved.feePercent > 100) {
+    throw new Error('退款手续费比例必须在 0 到 100 之间');
+  }
+
+  return resolved;
+}
+
+/**
+ * 计算未开始的整月数（当前所在月视为已使用）
+ * @param {Date} start - 购买日期（自然日）
+ * @param {Date} refundDate - 退款日期（自然日）
+ * @param {number} totalMonths - 本期总月数
+ * @returns {number}
+ */
+function countUnusedMonths(start, refundDate, totalMonths) {
+  let startedMonths = 0;
+  while (startedMonths < totalMonths && addMonths(start, startedMonths) <= refundDate) {
+    startedMonths += 1;
+  }
+  return totalMonths - startedMonths;
+}
+
+/**
+ * 计算指定日期可退款金额
+ * @param {Object} input - 计算参数
+ * @param {number} input.totalCost - 本期实付价格
+ * @param {string} input.cycle - 付款周期
+ * @param {string|Date} input.purchaseDate - 购买日期（本期开始日期）
+ * @param {string} [input.timezone] - IANA 时区
+ * @param {string|Date} [input.date] - 退款日期（默认为今天）
+ * @param {string|Object} [input.policy='prorated'] - 退款策略名称或自定义策略
+ * @param {string} [input.currency='CNY'] - 货币代码（决定金额的小数位数）
+ * @param {string} [input.rounding] - 舍入模式：'half-up' | 'half-even'
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {Object} 可退金额、线性剩余价值及对比结果
+ */
+function calculateRefund(input, now = new Date()) {
+  const { totalCost, cycle, purchaseDate, date } = input;
+
+  if (!totalCost || !cycle || !purchaseDate) {
+    throw new Error('缺少必需参数：totalCost, cycle, purchaseDate');
+  }
+
+  const cost = Number(totalCost);
+  if (!isValidNumber(cost) || cost <= 0) {
+    throw new Error('totalCost 必须是大于 0 的数字');
+  }
+
+  const policy = resolveRefundPolicy(input.policy);
+  const money = createMoney(input);
+  const currency = { currency: money.currency, rounding: money.rounding };
+  const timezone = resolveTimezone(input.timezone);
+
+  const start = toCalendarDate(purchaseDate, timezone);
+  if (!start) {
+    throw new Error('购买日期格式不正确');
+  }
+
+  const refundDate = date === undefined || date === null || date === ''
+    ? today(timezone, now)
+    : toCalendarDate(date, timezone);
+  if (!refundDate) {
+    throw new Error('退款日期格式不正确');
+  }
+  if (refundDate < start) {
+    throw new Error('退款日期不能早于购买日期');
+  }
+
+  const totalDays = getDaysByCycle(cycle, purchaseDate, timezone);
+  const usedDays = Math.min(diffDays(start, refundDate), totalDays);
+  const linear = calculateRemainingValue(cost, totalDays, usedDays, undefined, currency);
+  const costUnits = money.units(cost);
+  const linearValue = money.units(linear.remainingValue);
+
+  const inFullRefundWindow = policy.fullRefundDays > 0 && usedDays <= policy.fullRefundDays;
+  const result = {
+    currency: money.currency,
+    policy,
+    purchaseDate: formatDate(start),
+    refundDate: formatDate(refundDate),
+    expiryDate: formatDate(getExpiryDate(purchaseDate, cycle, timezone)),
+    totalCost: money.value(costUnits),
+    totalDays,
+    usedDays,
+    remainingDays: linear.remainingDays,
+    inFullRefundWindow
+  };
+
+  // 可退金额（扣除手续费前，以最小货币单位计算），全额退款期内不收取手续费
+  let grossRefund;
+  if (inFullRefundWindow) {
+    grossRefund = costUnits;
+  } else if (policy.method === 'prorated') {
+    grossRefund = money.share(costUnits, linear.remainingDays, totalDays);
+  } else if (policy.method === 'unused-months') {
+    const { unit, count } = parseCycle(cycle);
+    if (unit !== 'month') {
+      throw new Error('按整月退款仅支持按月或按年计费的付款周期');
+    }
+    result.unusedMonths = countUnusedMonths(start, refundDate, count);
+    grossRefund = money.share(costUnits, result.unusedMonths, count);
+  } else {
+    grossRefund = 0n;
+  }
+
+  let fee = 0n;
+  if (!inFullRefundWindow && grossRefund > 0n) {
+    fee = money.units(policy.fee) + money.share(grossRefund, policy.feePercent, 100);
+    fee = fee < grossRefund ? fee : grossRefund;
+  }
+  const refundAmount = grossRefund - fee;
+
+  // 退款金额不低于线性剩余价值时建议退款，否则建议转让；仅退余额时须高于剩余价值才建议退款
+  const refundBeatsResale = policy.creditOnly
+    ? refundAmount > linearValue
+    : refundAmount >= linearValue;
+
+  return {
+    ...result,
+    grossRefund: money.value(grossRefund),
+    fee: money.value(fee),
+    refundAmount: money.value(refundAmount),
+    refundType: policy.creditOnly ? 'credit' : 'cash',
+    linearValue: money.value(linearValue),
+    difference: money.value(refundAmount - linearValue),
+    recommendation: refundBeatsResale ? 'refund' : 'resell'
+  };
+}
+
+/**
+ * 列出内置退款策略
+ * @returns {Array<Object>}
+ */
+function listRefundPolicies() {
+  return Object.entries(BUILTIN_REFUND_POLICIES).map(([name, { description }]) => ({
+    ...resolveRefundPolicy(name),
+    description
+  }));
+}
+
+module.exports = {
+  REFUND_METHODS,
+  BUILTIN_REFUND_POLICIES,
+  resolveRefundPolicy,
+  calculateRefund,
+  listRefundPolicies
+};
@@ -0,0 +1,462 @@
+/**
+ * 到期提醒模块
+ * 定时检查服务器清单中各服务器的到期日期，在设定的提前天数（如 7、3、1 天）向 Webhook 发送提醒，
+ * 支持通用 JSON、Telegram、Discord、Slack 消息格式，失败自动重试并记录投递日志
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { withValue, resolveCurrentTerm } = require('./inventory');
+const { getExpiryDate } = require('./calculator');
+const {
+  DEFAULT_LEAD_DAYS,
+  resolveTimezone,
+  today,
+  diffDays,
+  formatDate,
+  normalizeLeadDays
+} = require('./dates');
+const { formatMoney } = require('./money');
+
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', 'data', 'reminders.json');
+
+// Webhook 消息格式
+const WEBHOOK_FORMATS = ['generic', 'telegram', 'discord', 'slack'];
+
+// 投递日志保留条数
+const MAX_LOGS = 200;
+
+/**
+ * 通过 HTTP(S) POST 发送 JSON
+ * @param {string} url - 请求地址
+ * @param {Object} body - 请求体
+ * @param {number} [timeout=5000] - 超时时间（毫秒）
+ * @returns {Promise<{statusCode: number}>} 非 2xx 响应时 reject
+ */
+function postJson(url, body, timeout = 5000) {
+  const client = url.startsWith('http://') ? http : https;
+  const payload = JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      }
+    }, (apiRes) => {
+      apiRes.resume();
+      apiRes.on('end', () => {
+        if (apiRes.statusCode < 200 || apiRes.statusCode >= 300) {
+          const error = new Error(`HTTP ${apiRes.statusCode}`);
+          error.statusCode = apiRes.statusCode;
+          reject(error);
+          return;
+        }
+        resolve({ statusCode: apiRes.statusCode });
+      });
+    });
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error('请求超时'));
+    });
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+/**
+ * 根据 Webhook 地址推断消息格式
+ * @param {string} url - Webhook 地址
+ * @returns {string}
+ */
+function detectWebhookFormat(url) {
+  if (/^https:\/\/api\.telegram\.org\//.test(url)) return 'telegram';
+  if (/^https:\/\/(discord|discordapp)\.com\/api\/webhooks\//.test(url)) return 'discord';
+  if (/^https:\/\/hooks\.slack\.com\//.test(url)) return 'slack';
+  return 'generic';
+}
+
+/**
+ * 隐藏 Webhook 地址中的凭据、路径与查询参数，只保留协议与主机，用于投递日志
+ * @param {string} url - Webhook 地址
+ * @returns {string}
+ */
+function redactWebhookUrl(url) {
+  const { protocol, host } = new URL(url);
+  return `${protocol}//${host}`;
+}
+
+/**
+ * 校验并规范化 Webhook 配置
+ * @param {Array<string|Object>} webhooks - Webhook 地址或 { url, format?, chatId? }
+ * @returns {Array<{url: string, format: string, chatId?: string}>}
+ * @throws {Error} 配置不合法时抛出异常
+ */
+function normalizeWebhooks(webhooks) {
+  return webhooks.map((item, index) => {
+    const webhook = typeof item === 'string' ? { url: item } : { ...item };
+    const url = String(webhook.url || '').trim();
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(`第 ${index + 1} 个 Webhook 地址必须以 http:// 或 https:// 开头`);
+    }
+    if (!URL.canParse(url)) {
+      throw new Error(`第 ${index + 1} 个 Webhook 地址格式不正确`);
+    }
+
+    const format = webhook.format || detectWebhookFormat(url);
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      throw new Error(`不支持的 Webhook 格式：${format}，可选值：${WEBHOOK_FORMATS.join(', ')}`);
+    }
+    if (format === 'telegram' && !webhook.chatId) {
+      throw new Error('Telegram Webhook 需要配置 chatId');
+    }
+
+    return { url, format, ...(webhook.chatId ? { chatId: String(webhook.chatId) } : {}) };
+  });
+}
+
+/**
+ * 从环境变量读取提醒配置
+ * REMINDER_WEBHOOK_URL（多个地址用逗号分隔）、REMINDER_WEBHOOK_FORMAT、REMINDER_TELEGRAM_CHAT_ID、
+ * REMINDER_LEAD_DAYS、REMINDER_CHECK_INTERVAL（分钟）、REMINDER_RETRIES、REMINDER_STATE_FILE
+ * @returns {Object} createReminderScheduler 的选项
+ */
+function getReminderConfigFromEnv() {
+  const env = process.env;
+  const urls = (env.REMINDER_WEBHOOK_URL || '').split(',').map((url) => url.trim()).filter(Boolean);
+  const stateFile = env.REMINDER_STATE_FILE;
+
+  return {
+    webhooks: urls.map((url) => ({
+      url,
+      format: env.REMINDER_WEBHOOK_FORMAT || undefined,
+      chatId: env.REMINDER_TELEGRAM_CHAT_ID || undefined
+    })),
+    leadDays: env.REMINDER_LEAD_DAYS || undefined,
+    interval: env.REMINDER_CHECK_INTERVAL ? Number(env.REMINDER_CHECK_INTERVAL) * 60 * 1000 : undefined,
+    retries: env.REMINDER_RETRIES !== undefined ? Number(env.REMINDER_RETRIES) : undefined,
+    // 未设置时使用默认路径，设置为 off 时不持久化
+    stateFile: stateFile === undefined ? undefined : (stateFile === 'off' ? false : stateFile)
+  };
+}
+
+/**
+ * 推算服务器当前周期的到期日期与剩余天数
+ * 自动续费的服务器按滚动后的当前周期计算；剩余价值无法计算（如费用数据不完整）时仍按周期推算到期日期
+ * @param {Object} server - 服务器清单记录
+ * @param {Date} now - 当前时间
+ * @returns {{expiryDate: string, remainingDays: number, remainingValue: number|null}|null} 日期无法推算时返回 null
+ */
+function currentExpiry(server, now) {
+  const { value } = withValue(server, now);
+  if (value) {
+    return value;
+  }
+
+  try {
+    const { input } = resolveCurrentTerm(server, now);
+    const expiry = getExpiryDate(input.purchaseDate, input.cycle, input.timezone);
+    return {
+      expiryDate: formatDate(expiry),
+      remainingDays: diffDays(today(resolveTimezone(input.timezone), now), expiry),
+      remainingValue: null
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 生成提醒文本
+ * @param {Object} reminder - 提醒内容
+ * @returns {string}
+ */
+function formatReminderText(reminder) {
+  const name = [reminder.server.provider, reminder.server.plan].filter(Boolean).join(' ') || reminder.server.id;
+  const when = reminder.remainingDays === 0 ? '今天到期' : `剩余 ${reminder.remainingDays} 天`;
+  return [
+    `⏰ VPS 即将到期：${name}`,
+    `到期日期：${reminder.expiryDate}（${when}）`,
+    `剩余价值：${reminder.remainingValue === null ? '无法计算' : formatMoney(reminder.remainingValue, reminder.currency)}`
+  ].join('\n');
+}
+
+/**
+ * 按 Webhook 格式生成请求体
+ * @param {Object} reminder - 提醒内容
+ * @param {{format: string, chatId?: string}} webhook - Webhook 配置
+ * @returns {Object}
+ */
+function buildReminderPayload(reminder, webhook) {
+  const text = formatReminderText(reminder);
+
+  switch (webhook.format) {
+    case 'telegram':
+      return { chat_id: webhook.chatId, text, disable_web_page_preview: true };
+    case 'discord':
+      return { content: text };
+    case 'slack':
+      return { text };
+    default:
+      return { event: 'vps.expiry_reminder', text, ...reminder };
+  }
+}
+
+/**
+ * 创建到期提醒调度器
+ * 同一服务器的同一到期日期，每个提前天数只提醒一次；
+ * 首次检查时已跨过多个提醒点（如新添加的服务器只剩 2 天）只发送最近的一次
+ * @param {Object} options - 选项
+ * @param {Object} options.inventory - 服务器清单存储（createInventory 返回的实例）
+ * @param {Array<string|Object>} [options.webhooks] - Webhook 地址或 { url, format?, chatId? }
+ * @param {Array<number>|string} [options.leadDays=[7, 3, 1]] - 提前提醒天数
+ * @param {number} [options.interval=3600000] - 检查间隔（毫秒）
+ * @param {number} [options.retries=3] - 失败重试次数
+ * @param {number} [options.retryDelay=1000] - 首次重试等待时间（毫秒），之后每次翻倍
+ * @param {number} [options.timeout=5000] - 单次请求超时时间（毫秒）
+ * @param {string|false} [options.stateFile] - 提醒状态与投递日志文件，false 表示不持久化
+ * @param {Function} [options.send] - (url, body, timeout) => Promise，默认通过 HTTP POST 发送
+ * @returns {Object} 调度器实例：enabled / check / start / stop / logs
+ */
+function createReminderScheduler(options) {
+  const {
+    inventory,
+    interval = 60 * 60 * 1000,
+    retries = 3,
+    retryDelay = 1000,
+    timeout = 5000,
+    send = postJson
+  } = options;
+
+  const webhooks = normalizeWebhooks(options.webhooks || []);
+  const leadDays = normalizeLeadDays(options.leadDays || DEFAULT_LEAD_DAYS);
+  const file = options.stateFile === undefined ? DEFAULT_STATE_FILE : options.stateFile;
+
+  if (!Number.isInteger(retries) || retries < 0 || retries > 10) {
+    throw new Error('重试次数必须是 0 到 10 之间的整数');
+  }
+  if (!Number.isFinite(interval) || interval < 60 * 1000) {
+    throw new Error('检查间隔不能小于 1 分钟');
+  }
+
+  let state = null;
+  let timer = null;
+  let running = null;
+
+  function load() {
+    if (state) return state;
+    state = { sent: {}, logs: [] };
+    if (!file) return state;
+    try {
+      const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+      state.sent = stored.sent && typeof stored.sent === 'object' ? stored.sent : {};
+      state.logs = Array.isArray(stored.logs) ? stored.logs : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`提醒状态文件读取失败: ${error.message}`);
+      }
+    }
+    return state;
+  }
+
+  // 先写临时文件再重命名，避免写入中断导致文件损坏
+  function save() {
+    if (!file) return;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpFile, file);
+    } catch (error) {
+      console.warn(`提醒状态文件写入失败: ${error.message}`);
+    }
+  }
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // 发送到单个 Webhook，失败时按指数退避重试
+  async function deliver(reminder, webhook) {
+    const body = buildReminderPayload(reminder, webhook);
+    let attempts = 0;
+    let lastError = null;
+
+    while (attempts <= retries) {
+      if (attempts > 0) {
+        await wait(retryDelay * 2 ** (attempts - 1));
+      }
+      attempts += 1;
+      try {
+        const response = await send(webhook.url, body, timeout);
+        return { status: 'delivered', attempts, statusCode: response && response.statusCode };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    return {
+      status: 'failed',
+      attempts,
+      statusCode: lastError.statusCode,
+      error: lastError.message
+    };
+  }
+
+  function record(entry) {
+    const { logs } = load();
+    logs.unshift(entry);
+    logs.splice(MAX_LOGS);
+  }
+
+  /**
+   * 找出到达提醒点的服务器
+   * @param {Date} now - 当前时间
+   * @returns {Array<{reminder: Object, keys: Array<string>}>}
+   */
+  function findDue(now) {
+    const { sent } = load();
+    const due = [];
+
+    inventory.list().forEach((server) => {
+      const value = currentExpiry(server, now);
+      if (!value || value.remainingDays < 0) return;
+
+      const keyOf = (lead) => `${server.id}:${value.expiryDate}:${lead}`;
+      const reached = leadDays.filter((lead) => value.remainingDays <= lead);
+      if (reached.length === 0 || reached.every((lead) => sent[keyOf(lead)])) return;
+
+      const leadDay = reached[reached.length - 1];
+      due.push({
+        keys: reached.map(keyOf),
+        reminder: {
+          server: {
+            id: server.id,
+            provider: server.provider || null,
+            plan: server.plan || null
+          },
+          leadDays: leadDay,
+          expiryDate: value.expiryDate,
+          remainingDays: value.remainingDays,
+          remainingValue: value.remainingValue,
+          currency: server.currency
+        }
+      });
+    });
+
+    return due;
+  }
+
+  // 清理已过期服务器的提醒记录
+  function prune(now) {
+    const { sent } = load();
+    const cutoff = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    Object.keys(sent).forEach((key) => {
+      const expiryDate = key.split(':')[1];
+      if (expiryDate < cutoff) {
+        delete sent[key];
+      }
+    });
+  }
+
+  async function runCheck(now) {
+    const due = webhooks.length > 0 ? findDue(now) : [];
+    const results = [];
+
+    for (const { reminder, keys } of due) {
+      const outcomes = [];
+      for (const webhook of webhooks) {
+        const outcome = await deliver(reminder, webhook);
+        const entry = {
+          id: crypto.randomUUID(),
+          serverId: reminder.server.id,
+          expiryDate: reminder.expiryDate,
+          leadDays: reminder.leadDays,
+          remainingDays: reminder.remainingDays,
+          webhook: redactWebhookUrl(webhook.url),
+          format: webhook.format,
+          ...outcome,
+          timestamp: new Date().toISOString()
+        };
+        record(entry);
+        outcomes.push(entry);
+      }
+
+      // 任一 Webhook 投递成功即视为已提醒；全部失败时下次检查再次尝试
+      const delivered = outcomes.some((entry) => entry.status === 'delivered');
+      if (delivered) {
+        const { sent } = load();
+        keys.forEach((key) => {
+          sent[key] = sent[key] || new Date().toISOString();
+        });
+      }
+      results.push({ ...reminder, delivered, deliveries: outcomes });
+    }
+
+    prune(now);
+    save();
+    return results;
+  }
+
+  const scheduler = {
+    enabled: webhooks.length > 0,
+    webhooks: webhooks.map((webhook) => ({ format: webhook.format })),
+    leadDays,
+
+    /**
+     * 立即检查一次并发送到期提醒（检查进行中时复用同一次检查）
+     * @param {Date} [now] - 当前时间（默认为系统时间）
+     * @returns {Promise<Array<Object>>} 本次发送的提醒及投递结果
+     */
+    check(now = new Date()) {
+      if (!running) {
+        running = runCheck(now).finally(() => {
+          running = null;
+        });
+      }
+      return running;
+    },
+
+    /**
+     * 按检查间隔定时检查（启动时立即检查一次）
+     */
+    start() {
+      if (timer || webhooks.length === 0) return;
+      const tick = () => {
+        scheduler.check().catch((error) => {
+          console.error('到期提醒检查失败:', error);
+        });
+      };
+      tick();
+      timer = setInterval(tick, interval);
+      timer.unref();
+    },
+
+    stop() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    },
+
+    /**
+     * 获取投递日志（最新的在前）
+     * @param {number} [limit=50] - 条数
+     * @returns {Array<Object>}
+     */
+    logs(limit = 50) {
+      return load().logs.slice(0, limit).map((entry) => ({ ...entry }));
+    }
+  };
+
+  return scheduler;
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  detectWebhookFormat,
+  getReminderConfigFromEnv,
+  buildReminderPayload,
+  createReminderScheduler
+};
@@ -0,0 +1,86 @@
+/**
+ * 徽章渲染模块
+ * 将 SVG 徽章输出为 SVG / PNG / WebP，PYQ 徽章与剩余价值徽章共用
+ */
+
+const { parseNumber } = require('./utils');
+
+// 支持的输出格式及对应的 Content-Type
+const RENDER_FORMATS = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// SVG 的基准 DPI（scale=1 时 1 个 SVG 像素对应 1 个输出像素）
+const BASE_DPI = 72;
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 4;
+
+/**
+ * 解析位图输出倍率
+ * scale 优先；仅传 dpi 时按 dpi / 72 换算
+ * @param {Object} query - 请求参数
+ * @returns {{scale?: number, error?: string}}
+ */
+function resolveRenderScale(query) {
+  const { scale, dpi } = query;
+
+  if (scale === undefined && dpi === undefined) {
+    return { scale: 1 };
+  }
+
+  const value = scale !== undefined ? parseNumber(scale) : parseNumber(dpi);
+  const resolved = scale !== undefined ? value : value / BASE_DPI;
+  if (value === null || resolved < MIN_SCALE || resolved > MAX_SCALE) {
+    return scale !== undefined
+      ? { error: `scale 必须是 ${MIN_SCALE} 到 ${MAX_SCALE} 之间的数字` }
+      : { error: `dpi 必须是 ${BASE_DPI * MIN_SCALE} 到 ${BASE_DPI * MAX_SCALE} 之间的数字` };
+  }
+
+  return { scale: resolved };
+}
+
+/**
+ * 按输出格式渲染 SVG
+ * @param {string} svg - SVG 文本
+ * @param {string} format - 输出格式：'svg' | 'png' | 'webp'
+ * @param {Object} [options] - 选项
+ * @param {number} [options.scale=1] - 位图输出倍率（SVG 输出忽略）
+ * @returns {Promise<{body: string|Buffer, contentType: string}>}
+ * @throws {Error} 不支持的格式、缺少 sharp 依赖或渲染失败时抛出异常
+ */
+async function renderSvg(svg, format, options = {}) {
+  const contentType = RENDER_FORMATS[format];
+  if (!contentType) {
+    throw new Error(`不支持的输出格式：${format}，可选值：${Object.keys(RENDER_FORMATS).join(', ')}`);
+  }
+
+  if (format === 'svg') {
+    return { body: svg, contentType };
+  }
+
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch (error) {
+    throw new Error(`${format.toUpperCase()} 导出需要安装依赖 sharp：npm install`);
+  }
+
+  const { scale = 1 } = options;
+  try {
+    const image = sharp(Buffer.from(svg), { density: BASE_DPI * scale });
+    const body = format === 'png'
+      ? await image.png().toBuffer()
+      : await image.webp({ lossless: true }).toBuffer();
+    return { body, contentType };
+  } catch (error) {
+    throw new Error(`${format.toUpperCase()} 生成失败`);
+  }
+}
+
+module.exports = {
+  RENDER_FORMATS,
+  resolveRenderScale,
+  renderSvg
+};
@@ -5,200 +5,96 @@
 
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const {
   calculateRemainingValue,
+  calculateItemizedValue,
   getDaysByCycle,
-  calculateUsedDays
+  calculateByCycle,
+  withDailySpecs
 } = require('./calculator');
+const { resolveTimezone, toCalendarDate, today, daysSince, formatDate } = require('./dates');
+const { calculateTradeQuote } = require('./trade');
+const { calculateRefund, listRefundPolicies } = require('./refund');
+const { calculateProration } = require('./proration');
+const { fetchExchangeRate } = require('./exchange');
+const { calculatePortfolio } = require('./portfolio');
+const { comparePlans } = require('./compare');
+const { buildTimeline } = require('./timeline');
+const { resolveChartOptions, buildTimelineSvg } = require('./chart');
+const { createInventory, withValue } = require('./inventory');
+const { importServers } = require('./importer');
+const { exportResults } = require('./exporter');
+const { createReminderScheduler, getReminderConfigFromEnv } = require('./reminders');
+const {
+  resolveCalendarOptions,
+  buildServerEvents,
+  buildCalendar,
+  fromInventoryRecord,
+  fromQuery
+} = require('./calendar');
+const {
+  normalizeCurrency,
+  isSupportedCurrency,
+  getCurrency,
+  listCurrencies
+} = require('./currencies');
+const {
+  resolveRounding,
+  roundMoney,
+  convertMoney,
+  convertRate,
+  createMoney,
+  formatMoney
+} = require('./money');
+const {
+  sanitizeColor,
+  clampInt
+} = require('./utils');
+const {
+  resolveBadgeData,
+  resolveBadgeRequest,
+  formatBadgeMessage,
+  buildValueBadgeSvg,
+  buildShieldsEndpoint
+} = require('./badge');
+const { buildPyqSvgFromQuery } = require('./pyq');
+const { resolveRenderScale, renderSvg } = require('./render');
+const { getSigningSecret, pickSignedParams, signBadgeParams } = require('./signing');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const MS_PER_DAY = 1000 * 60 * 60 * 24;
-
-function parseNumber(value) {
-  const num = Number(value);
-  return Number.isFinite(num) ? num : null;
-}
-
-function isValidDate(value) {
-  const date = new Date(value);
-  return !Number.isNaN(date.getTime());
+const inventory = createInventory();
+
+// 到期提醒（配置 REMINDER_WEBHOOK_URL 后启用），配置无效时不启动调度器
+let reminders = null;
+let reminderConfigError = null;
+try {
+  reminders = createReminderScheduler({ inventory, ...getReminderConfigFromEnv() });
+} catch (error) {
+  reminderConfigError = `到期提醒配置无效：${error.message}`;
+  console.error(reminderConfigError);
 }
 
-function escapeXml(value) {
-  return String(value)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
+function parseOptionalNumber(value) {
+  return value === undefined || value === null || value === '' ? undefined : Number(value);
 }
 
-function sanitizeColor(value) {
-  const trimmed = String(value || '').trim();
-  if (!trimmed) return null;
-  if (/[<>"'&]/.test(trimmed)) return null;
-  if (!/^[#a-zA-Z0-9(),.%\s-]+$/.test(trimmed)) return null;
-  return trimmed;
-}
-
-function clampInt(value, fallback, min, max) {
-  const num = parseNumber(value);
-  if (num === null) return fallback;
-  const rounded = Math.round(num);
-  if (!Number.isFinite(rounded)) return fallback;
-  if (rounded < min) return min;
-  if (rounded > max) return max;
-  return rounded;
-}
-
-function clampFloat(value, fallback, min, max) {
-  const num = parseNumber(value);
-  if (num === null) return fallback;
-  if (num < min) return min;
-  if (num > max) return max;
-  return num;
-}
-
-function resolveGradientAngle({ gradientAngle, gradientDirection }) {
-  if (gradientDirection) {
-    const key = String(gradientDirection).toLowerCase();
-    const map = {
-      horizontal: 0,
-      vertical: 90,
-      diagonal: 45,
-      diagonal2: 135
-    };
-    if (map[key] !== undefined) {
-      return map[key];
-    }
-  }
-  return clampFloat(gradientAngle, 45, 0, 360);
-}
+// 计算结果中需要按汇率换算的金额字段
+const MONEY_FIELDS = [
+  'remainingValue',
+  'usedValue',
+  'dailyRate',
+  'totalCost',
+  'renewalDailyRate',
+  'renewalRemainingValue'
+];
 
-function buildPyqSvg(options) {
-  const {
-    size,
-    ringWidth,
-    ringPadding,
-    text,
-    textSize,
-    textColor,
-    font,
-    gradient,
-    background,
-    gradientAngle,
-    glow,
-    glowColor,
-    glowBlur,
-    glowOpacity,
-    shadow,
-    shadowColor,
-    shadowDx,
-    shadowDy,
-    shadowBlur
-  } = options;
-
-  const radius = size / 2 - ringWidth / 2 - ringPadding;
-  if (radius <= 0) {
-    return { error: 'size、ringWidth、ringPadding 组合导致圆环半径为非正值' };
-  }
-
-  const safeText = escapeXml((text || 'PYQ').toString().slice(0, 12));
-  const safeFont = escapeXml(
-    (font || 'Arial Rounded MT Bold, Helvetica Rounded, Arial, sans-serif').toString()
-  );
-  const safeTextColor = sanitizeColor(textColor) || '#ffffff';
-  const safeBackground = sanitizeColor(background);
-
-  const defaultGradient = ['#ff3b30', '#ff9500', '#ffcc00', '#34c759', '#007aff', '#af52de'];
-  const gradientStops = (gradient || '')
-    .split(',')
-    .map((item) => sanitizeColor(item))
-    .filter(Boolean);
-  const colors = gradientStops.length >= 2 ? gradientStops : defaultGradient;
-  const stops = colors.map((color, index) => {
-    const offset = Math.round((index / (colors.length - 1)) * 100);
-    return `<stop offset="${offset}%" stop-color="${escapeXml(color)}"/>`;
-  }).join('');
-
-  const angle = resolveGradientAngle({ gradientAngle, gradientDirection: options.gradientDirection });
-  const rad = (angle * Math.PI) / 180;
-  const cos = Math.cos(rad);
-  const sin = Math.sin(rad);
-  const x1 = (50 - cos * 50).toFixed(2);
-  const y1 = (50 - sin * 50).toFixed(2);
-  const x2 = (50 + cos * 50).toFixed(2);
-  const y2 = (50 + sin * 50).toFixed(2);
-
-  const textX = size / 2;
-  const textY = size / 2;
-  const bgRect = safeBackground && safeBackground !== 'transparent' && safeBackground !== 'none'
-    ? `<rect width="${size}" height="${size}" fill="${escapeXml(safeBackground)}"/>`
-    : '';
-
-  const glowEnabled = Boolean(glow);
-  const shadowTarget = (shadow || '').toString().toLowerCase();
-  const safeGlowColor = sanitizeColor(glowColor) || 'rgba(255,255,255,0.7)';
-  const finalGlowBlur = clampFloat(glowBlur, 6, 0, 64);
-  const finalGlowOpacity = clampFloat(glowOpacity, 0.7, 0, 1);
-
-  const safeShadowColor = sanitizeColor(shadowColor) || 'rgba(0,0,0,0.25)';
-  const finalShadowDx = clampFloat(shadowDx, 0, -50, 50);
-  const finalShadowDy = clampFloat(shadowDy, 6, -50, 50);
-  const finalShadowBlur = clampFloat(shadowBlur, 8, 0, 64);
-
-  const ringFilter = shadowTarget === 'ring' || shadowTarget === 'both' ? 'url(#shadow)' : '';
-  const textFilter = shadowTarget === 'text' || shadowTarget === 'both' ? 'url(#shadow)' : '';
-
-  const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" aria-label="${safeText}">
-  <defs>
-    <linearGradient id="ring" x1="${x1}%" y1="${y1}%" x2="${x2}%" y2="${y2}%">
-      ${stops}
-    </linearGradient>
-    <filter id="glow" x="-50%" y="-50%" width="200%" height="200%">
-      <feGaussianBlur stdDeviation="${finalGlowBlur}" />
-    </filter>
-    <filter id="shadow" x="-50%" y="-50%" width="200%" height="200%">
-      <feDropShadow dx="${finalShadowDx}" dy="${finalShadowDy}" stdDeviation="${finalShadowBlur}" flood-color="${escapeXml(safeShadowColor)}" />
-    </filter>
-  </defs>
-  ${bgRect}
-  ${glowEnabled ? `<circle cx="${textX}" cy="${textY}" r="${radius}" fill="none" stroke="${escapeXml(safeGlowColor)}" stroke-width="${ringWidth}" opacity="${finalGlowOpacity}" filter="url(#glow)"/>` : ''}
-  <circle cx="${textX}" cy="${textY}" r="${radius}" fill="none" stroke="url(#ring)" stroke-width="${ringWidth}"${ringFilter ? ` filter="${ringFilter}"` : ''}/>
-  <text x="${textX}" y="${textY}" text-anchor="middle" dominant-baseline="middle"
-        font-size="${textSize}" font-weight="700" font-family="${safeFont}"
-        fill="${escapeXml(safeTextColor)}"${textFilter ? ` filter="${textFilter}"` : ''}>${safeText}</text>
-</svg>`;
-
-  return { svg };
-}
+// 单价字段（至少保留 2 位小数，不按货币格式化）
+const RATE_FIELDS = ['dailyRate', 'renewalDailyRate'];
 
-// 汇率缓存（内存）
-const exchangeRateCache = {
-  data: {}, // { 'USD-CNY': { rate: 7.2, timestamp: 1234567890, source: 'api' } }
-  duration: 60 * 60 * 1000 // 1小时缓存
-};
-
-// 汇率 API 源列表（按优先级排序）
-const EXCHANGE_RATE_APIS = [
-  {
-    name: 'exchangerate-api.com',
-    url: (from) => `https://api.exchangerate-api.com/v4/latest/${from}`,
-    parse: (data, to) => data.rates?.[to]
-  },
-  {
-    name: 'open.er-api.com',
-    url: (from) => `https://open.er-api.com/v6/latest/${from}`,
-    parse: (data, to) => data.rates?.[to]
-  },
-  {
-    name: 'api.frankfurter.app',
-    url: (from, to) => `https://api.frankfurter.app/latest?from=${from}&to=${to}`,
-    parse: (data, to) => data.rates?.[to]
-  }
-];
+// 按货币格式化的金额字段
+const FORMATTED_FIELDS = MONEY_FIELDS.filter((field) => !RATE_FIELDS.includes(field));
 
 // 中间件
 app.use(express.json());
@@ -213,95 +109,140 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// 获取汇率数据（支持多 API 源和缓存）
-async function fetchExchangeRate(from, to) {
-  const cacheKey = `${from}-${to}`;
-  const now = Date.now();
-
-  // 检查缓存
-  const cached = exchangeRateCache.data[cacheKey];
-  if (cached && (now - cached.timestamp < exchangeRateCache.duration)) {
-    return { ...cached, fromCache: false }; // 缓存仍有效，标记为非降级缓存
+// 解析目标货币列表（数组或逗号分隔字符串）
+function parseCurrencyList(value) {
+  if (value === undefined || value === null || value === '') {
+    return [];
   }
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(normalizeCurrency).filter(Boolean))];
+}
 
-  const https = require('https');
+// 按货币格式化计算结果中的金额字段（如 JPY 显示为 "¥294"）
+function formatMoneyFields(result, currency, rounding) {
+  const formatted = {};
+  FORMATTED_FIELDS.forEach((field) => {
+    if (typeof result[field] === 'number') {
+      formatted[field] = formatMoney(result[field], currency, { rounding });
+    }
+  });
+  return formatted;
+}
 
-  // 尝试所有 API 源
-  for (const api of EXCHANGE_RATE_APIS) {
+// 按购买日汇率换算实付价格，拆分汇率损益与折旧
+// 以今天汇率计：剩余价值 - 购买日成本 = 汇率损益（currencyGain）- 折旧（depreciation）
+// 各金额换算取整后以最小货币单位相减，保证等式在取整后仍成立
+async function convertAtPurchaseDate(result, from, to, purchaseDate, rate, rounding) {
+  const historical = await fetchExchangeRate(from, to, purchaseDate);
+  const money = createMoney({ currency: to, rounding });
+  const convert = (value, fx) => money.units(convertMoney(value, fx, to, rounding));
+  const purchaseCost = convert(result.totalCost, historical.rate);
+  const currentCost = convert(result.totalCost, rate);
+  const remainingValue = convert(result.remainingValue, rate);
+
+  return {
+    rate: historical.rate,
+    date: historical.date,
+    source: historical.source,
+    totalCost: money.value(purchaseCost),
+    currencyGain: money.value(currentCost - purchaseCost),
+    depreciation: money.value(currentCost - remainingValue),
+    netChange: money.value(remainingValue - purchaseCost)
+  };
+}
+
+// 将计算结果中的金额换算为目标货币（金额与汇率精确相乘，按目标货币的小数位数与舍入模式取整）
+// 单个货币换算失败不影响其它货币，失败信息记录在对应货币的 error 字段中
+// 传入购买日期时，额外按购买日汇率换算实付价格（historical）
+async function convertResult(result, currency, targetCurrencies, purchaseDate, rounding) {
+  const from = normalizeCurrency(currency || 'CNY');
+  const targets = parseCurrencyList(targetCurrencies);
+  const mode = resolveRounding(rounding);
+
+  const unsupported = [from, ...targets].filter((code) => !isSupportedCurrency(code));
+  if (unsupported.length > 0) {
+    throw new Error(`不支持的货币类型：${unsupported.join(', ')}`);
+  }
+
+  const conversions = {};
+  for (const to of targets) {
     try {
-      const url = api.url(from, to);
-      const data = await new Promise((resolve, reject) => {
-        https.get(url, (apiRes) => {
-          let data = '';
-          apiRes.on('data', (chunk) => { data += chunk; });
-          apiRes.on('end', () => {
-            try {
-              resolve(JSON.parse(data));
-            } catch (e) {
-              reject(new Error('解析失败'));
-            }
-          });
-        }).on('error', reject);
+      const rate = await fetchExchangeRate(from, to);
+      const converted = {
+        rate: rate.rate,
+        source: rate.source,
+        fromCache: rate.fromCache,
+        age: rate.age,
+        timestamp: new Date(rate.timestamp).toISOString()
+      };
+      MONEY_FIELDS.forEach((field) => {
+        if (typeof result[field] === 'number') {
+          const convert = RATE_FIELDS.includes(field) ? convertRate : convertMoney;
+          converted[field] = convert(result[field], rate.rate, to, mode);
+        }
       });
-
-      const rate = api.parse(data, to);
-      if (rate && rate > 0) {
-        // 成功获取汇率，更新缓存
-        const result = {
-          rate: parseFloat(rate.toFixed(4)),
-          timestamp: now,
-          source: api.name
-        };
-        exchangeRateCache.data[cacheKey] = result;
-        return { ...result, fromCache: false };
+      // 各字段分别取整后，已使用价值按总成本减剩余价值计算，保证换算后仍能加总
+      if (typeof result.usedValue === 'number' && typeof result.totalCost === 'number') {
+        converted.usedValue = roundMoney(converted.totalCost - converted.remainingValue, to, mode);
       }
+      converted.formatted = formatMoneyFields(converted, to, mode);
+      if (purchaseDate && typeof result.totalCost === 'number') {
+        try {
+          converted.historical = await convertAtPurchaseDate(result, from, to, purchaseDate, rate.rate, mode);
+        } catch (error) {
+          converted.historical = { error: error.message };
+        }
+      }
+      conversions[to] = converted;
     } catch (error) {
-      console.log(`API ${api.name} 失败:`, error.message);
-      continue; // 尝试下一个 API
+      conversions[to] = { error: error.message };
     }
   }
 
-  // 所有 API 都失败，使用降级缓存
-  if (cached) {
-    console.log(`所有 API 失败，使用降级缓存: ${cacheKey}`);
-    return { ...cached, fromCache: true }; // 标记为降级缓存
-  }
-
-  throw new Error('所有汇率 API 源均不可用且无可用缓存');
+  return { currency: from, formatted: formatMoneyFields(result, from, mode), conversions };
 }
 
+// 货币列表（代码、符号、小数位数）
+app.get('/api/currencies', (req, res) => {
+  res.json({
+    success: true,
+    data: listCurrencies().map(getCurrency)
+  });
+});
+
 // 汇率 API（支持多源和缓存）
 app.get('/api/exchange-rate', async (req, res) => {
   try {
-    const { from = 'USD', to = 'CNY' } = req.query;
+    const from = normalizeCurrency(req.query.from || 'USD');
+    const to = normalizeCurrency(req.query.to || 'CNY');
+    const { date } = req.query;
 
-    // 支持的货币列表（新增韩元）
-    const supportedCurrencies = ['USD', 'CNY', 'EUR', 'GBP', 'JPY', 'KRW'];
+    if (date !== undefined) {
+      // 仅接受合法的日历日期（如 2025-02-30 视为格式错误）
+      if (typeof date !== 'string' || !toCalendarDate(date, 'UTC')) {
+        return res.status(400).json({
+          success: false,
+          error: '日期格式不正确'
+        });
+      }
+      if (daysSince(date, 'UTC') < 0) {
+        return res.status(400).json({
+          success: false,
+          error: '日期不能晚于今天'
+        });
+      }
+    }
 
-    if (!supportedCurrencies.includes(from) || !supportedCurrencies.includes(to)) {
+    const unsupported = [from, to].filter((code) => !isSupportedCurrency(code));
+    if (unsupported.length > 0) {
       return res.status(400).json({
         success: false,
-        error: `不支持的货币类型，支持的货币：${supportedCurrencies.join(', ')}`
+        error: `不支持的货币类型：${unsupported.join(', ')}，支持的货币见 /api/currencies`
       });
     }
 
-    // 如果是相同货币，直接返回 1
-    if (from === to) {
-      return res.json({
-        success: true,
-        data: {
-          base: from,
-          target: to,
-          rate: 1,
-          timestamp: new Date().toISOString(),
-          source: 'direct',
-          fromCache: false
-        }
-      });
-    }
-
-    // 获取汇率数据
-    const result = await fetchExchangeRate(from, to);
+    // 获取汇率数据（相同货币直接返回 1）
+    const result = await fetchExchangeRate(from, to, date);
 
     res.json({
       success: true,
@@ -309,8 +250,10 @@ app.get('/api/exchange-rate', async (req, res) => {
         base: from,
         target: to,
         rate: result.rate,
+        date: result.date,
         timestamp: new Date(result.timestamp).toISOString(),
         source: result.source,
+        age: result.age, // 汇率数据年龄（秒）
         fromCache: result.fromCache // 是否使用降级缓存
       }
     });
@@ -322,162 +265,35 @@ app.get('/api/exchange-rate', async (req, res) => {
   }
 });
 
-// SVG 徽章生成 API（支持动态计算）
-app.get('/api/badge.svg', (req, res) => {
-  try {
-    const {
-      startDate,
-      endDate,
-      currency = 'CNY',
-      remainingValue: inputRemainingValue,
-      totalCost,
-      totalDays,  // 新增：总天数，用于动态计算
-      source      // 新增：出处网址
-    } = req.query;
-
-    // 参数验证
-    if (!startDate || !endDate || totalCost === undefined) {
-      return res.status(400).json({
-        success: false,
-        error: '缺少必需参数：startDate, endDate, totalCost'
-      });
-    }
-
-    if (!isValidDate(startDate) || !isValidDate(endDate)) {
-      return res.status(400).json({
-        success: false,
-        error: '日期格式不正确'
-      });
-    }
-
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-
-    if (end < start) {
-      return res.status(400).json({
-        success: false,
-        error: '结束日期不能早于开始日期'
-      });
-    }
-
-    const totalCostNum = parseNumber(totalCost);
-    if (totalCostNum === null || totalCostNum <= 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'totalCost 必须是大于 0 的数字'
-      });
-    }
-
-    // 货币符号映射
-    const currencySymbols = {
-      'CNY': '¥',
-      'USD': '$',
-      'EUR': '€',
-      'GBP': '£',
-      'JPY': '¥',
-      'KRW': '₩'
-    };
-
-    const symbol = currencySymbols[currency] || currency;
-
-    let remainingValue = parseNumber(inputRemainingValue);
-    let usageRate;
-
-    // 如果提供了 totalDays，则进行动态计算
-    if (totalDays !== undefined) {
-      const totalDaysNum = parseNumber(totalDays);
-      if (!Number.isInteger(totalDaysNum) || totalDaysNum <= 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'totalDays 必须是大于 0 的整数'
-        });
-      }
-
-      const now = Date.now();
-
-      // 计算已使用天数
-      const usedDays = Math.floor((now - start.getTime()) / MS_PER_DAY);
-      if (usedDays < 0) {
-        return res.status(400).json({
-          success: false,
-          error: '开始日期不能晚于当前日期'
-        });
-      }
-
-      // 确保不超过总天数
-      const actualUsedDays = Math.min(usedDays, totalDaysNum);
-
-      // 计算剩余天数和剩余价值
-      const remainingDays = Math.max(0, totalDaysNum - actualUsedDays);
-      const dailyRate = totalCostNum / totalDaysNum;
-      remainingValue = dailyRate * remainingDays;
+// 输出徽章图片（SVG 原样返回，PNG / WebP 按 scale / dpi 栅格化）
+async function sendImage(res, svg, format, query) {
+  const { scale, error } = resolveRenderScale(query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
 
-      // 计算使用率
-      usageRate = ((actualUsedDays / totalDaysNum) * 100).toFixed(1);
-    } else {
-      if (remainingValue === null) {
-        return res.status(400).json({
-          success: false,
-          error: '缺少必需参数：remainingValue'
-        });
-      }
-      // 静态模式：使用传入的剩余价值
-      usageRate = ((totalCostNum - remainingValue) / totalCostNum * 100).toFixed(1);
-    }
+  try {
+    const { body, contentType } = await renderSvg(svg, format, { scale });
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(body);
+  } catch (renderError) {
+    res.status(500).json({
+      success: false,
+      error: renderError.message
+    });
+  }
+}
 
-    // 根据使用率选择颜色
-    let color = '#44cc11'; // 绿色（使用率低）
-    if (usageRate > 70) {
-      color = '#e05d44'; // 红色（使用率高）
-    } else if (usageRate > 40) {
-      color = '#dfb317'; // 橙色（使用率中等）
+// 剩余价值徽章 API（支持动态计算，输出 SVG / PNG / WebP）
+app.get('/api/badge.:format(svg|png|webp)', async (req, res) => {
+  try {
+    const { data, options, error, status } = resolveBadgeRequest(req.query);
+    if (error) {
+      return res.status(status).json({ success: false, error });
     }
 
-    // 生成 SVG
-    const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="280" height="${source ? '140' : '120'}" role="img" aria-label="VPS 剩余价值">
-  <title>VPS 剩余价值</title>
-  <defs>
-    <linearGradient id="grad" x1="0%" y1="0%" x2="0%" y2="100%">
-      <stop offset="0%" style="stop-color:#667eea;stop-opacity:1" />
-      <stop offset="100%" style="stop-color:#764ba2;stop-opacity:1" />
-    </linearGradient>
-  </defs>
-
-  <!-- 背景 -->
-  <rect width="280" height="${source ? '140' : '120'}" rx="8" fill="url(#grad)"/>
-
-  <!-- 标题 -->
-  <text x="140" y="25" font-family="Arial, sans-serif" font-size="14" font-weight="bold" fill="white" text-anchor="middle">
-    VPS 剩余价值
-  </text>
-
-  <!-- 日期范围 -->
-  <text x="140" y="45" font-family="Arial, sans-serif" font-size="11" fill="white" text-anchor="middle" opacity="0.9">
-    ${startDate} 至 ${endDate}
-  </text>
-
-  <!-- 剩余价值 -->
-  <text x="140" y="75" font-family="Arial, sans-serif" font-size="24" font-weight="bold" fill="white" text-anchor="middle">
-    ${symbol}${parseFloat(remainingValue).toFixed(2)}
-  </text>
-
-  <!-- 使用率 -->
-  <rect x="40" y="90" width="200" height="20" rx="10" fill="white" opacity="0.3"/>
-  <rect x="40" y="90" width="${usageRate * 2}" height="20" rx="10" fill="${color}"/>
-  <text x="140" y="104" font-family="Arial, sans-serif" font-size="11" font-weight="bold" fill="white" text-anchor="middle">
-    已使用 ${usageRate}%
-  </text>${source ? `
-
-  <!-- 出处 -->
-  <text x="140" y="128" font-family="Arial, sans-serif" font-size="9" fill="white" text-anchor="middle" opacity="0.7">
-    出自: ${source}
-  </text>` : ''}
-</svg>`;
-
-    res.setHeader('Content-Type', 'image/svg+xml');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.send(svg);
+    await sendImage(res, buildValueBadgeSvg(data, options), req.params.format, req.query);
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -486,143 +302,101 @@ app.get('/api/badge.svg', (req, res) => {
   }
 });
 
-// PYQ 徽章（256x256，透明底，七彩渐变圆环）
-app.get('/svgsc', (req, res) => {
-  const {
-    size,
-    ringWidth,
-    ringPadding,
-    text,
-    textSize,
-    textColor,
-    font,
-    gradient,
-    background,
-    gradientAngle,
-    gradientDirection,
-    glow,
-    glowColor,
-    glowBlur,
-    glowOpacity,
-    shadow,
-    shadowColor,
-    shadowDx,
-    shadowDy,
-    shadowBlur
-  } = req.query;
+// shields.io endpoint 徽章数据（schemaVersion / label / message / color）
+// 参数不合法时仍返回 200，以 isError 让 shields.io 在徽章上显示错误原因
+app.get('/api/badge.json', (req, res) => {
+  const { data, options, error } = resolveBadgeRequest(req.query);
 
-  const finalSize = clampInt(size, 256, 64, 1024);
-  const finalRingWidth = clampInt(ringWidth, 18, 2, 128);
-  const finalPadding = clampInt(ringPadding, 8, 0, 128);
-  const finalTextSize = clampInt(textSize, 64, 10, 256);
-
-  const { svg, error } = buildPyqSvg({
-    size: finalSize,
-    ringWidth: finalRingWidth,
-    ringPadding: finalPadding,
-    text,
-    textSize: finalTextSize,
-    textColor,
-    font,
-    gradient,
-    background,
-    gradientAngle,
-    gradientDirection,
-    glow,
-    glowColor,
-    glowBlur,
-    glowOpacity,
-    shadow,
-    shadowColor,
-    shadowDx,
-    shadowDy,
-    shadowBlur
-  });
+  res.setHeader('Cache-Control', 'no-cache');
+  if (error) {
+    return res.json({
+      schemaVersion: 1,
+      label: 'VPS',
+      message: error,
+      color: 'lightgrey',
+      isError: true
+    });
+  }
+
+  res.json(buildShieldsEndpoint(data, options));
+});
 
+// 徽章数据 API（与 /api/badge.svg 相同的计算结果，供其它徽章服务或脚本使用）
+app.get('/api/badge/data', (req, res) => {
+  const { data, options, error, status } = resolveBadgeRequest(req.query);
   if (error) {
-    return res.status(400).json({ success: false, error });
+    return res.status(status).json({ success: false, error });
   }
 
-  res.setHeader('Content-Type', 'image/svg+xml');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.send(svg);
+  res.json({
+    success: true,
+    data: {
+      ...data,
+      label: options.title,
+      message: formatBadgeMessage(data)
+    }
+  });
 });
 
-app.get('/svgsc.png', async (req, res) => {
-  let sharp;
-  try {
-    sharp = require('sharp');
-  } catch (error) {
-    return res.status(500).json({
+// 徽章链接签名 API
+// 需配置 BADGE_SIGNING_SECRET（签名密钥）与 BADGE_SIGNING_TOKEN（调用凭证，Authorization: Bearer <token>）
+app.post('/api/badge/sign', (req, res) => {
+  const secret = getSigningSecret();
+  const token = process.env.BADGE_SIGNING_TOKEN;
+  if (!secret || !token) {
+    return res.status(503).json({
       success: false,
-      error: 'PNG 导出需要安装依赖 sharp：npm install'
+      error: '徽章签名未启用：请配置 BADGE_SIGNING_SECRET 和 BADGE_SIGNING_TOKEN'
     });
   }
 
-  const {
-    size,
-    ringWidth,
-    ringPadding,
-    text,
-    textSize,
-    textColor,
-    font,
-    gradient,
-    background,
-    gradientAngle,
-    gradientDirection,
-    glow,
-    glowColor,
-    glowBlur,
-    glowOpacity,
-    shadow,
-    shadowColor,
-    shadowDx,
-    shadowDy,
-    shadowBlur
-  } = req.query;
-
-  const finalSize = clampInt(size, 256, 64, 1024);
-  const finalRingWidth = clampInt(ringWidth, 18, 2, 128);
-  const finalPadding = clampInt(ringPadding, 8, 0, 128);
-  const finalTextSize = clampInt(textSize, 64, 10, 256);
-
-  const { svg, error } = buildPyqSvg({
-    size: finalSize,
-    ringWidth: finalRingWidth,
-    ringPadding: finalPadding,
-    text,
-    textSize: finalTextSize,
-    textColor,
-    font,
-    gradient,
-    background,
-    gradientAngle,
-    gradientDirection,
-    glow,
-    glowColor,
-    glowBlur,
-    glowOpacity,
-    shadow,
-    shadowColor,
-    shadowDx,
-    shadowDy,
-    shadowBlur
-  });
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(String(req.get('Authorization') || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({
+      success: false,
+      error: '签名凭证无效'
+    });
+  }
 
+  const params = pickSignedParams(req.body || {});
+  const { error } = resolveBadgeData(params);
   if (error) {
     return res.status(400).json({ success: false, error });
   }
 
+  const sig = signBadgeParams(params, secret);
+  const query = new URLSearchParams({ ...params, sig }).toString();
+
+  res.json({
+    success: true,
+    data: {
+      params,
+      sig,
+      query,
+      urls: {
+        svg: `/api/badge.svg?${query}`,
+        png: `/api/badge.png?${query}`,
+        webp: `/api/badge.webp?${query}`,
+        json: `/api/badge.json?${query}`
+      }
+    }
+  });
+});
+
+// PYQ 徽章（256x256，透明底，七彩渐变圆环，输出 SVG / PNG / WebP）
+app.get(['/svgsc', '/svgsc.:format(png|webp)'], async (req, res) => {
   try {
-    const pngBuffer = await sharp(Buffer.from(svg)).png().toBuffer();
-    res.setHeader('Content-Type', 'image/png');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.send(pngBuffer);
+    const { svg, error } = buildPyqSvgFromQuery(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await sendImage(res, svg, req.params.format || 'svg', req.query);
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'PNG 生成失败'
+      error: error.message
     });
   }
 });
@@ -701,12 +475,24 @@ app.get('/ewm', async (req, res) => {
 });
 
 // 计算剩余价值 API
-app.post('/api/calculate', (req, res) => {
+app.post('/api/calculate', async (req, res) => {
   try {
-    const { totalCost, totalDays, usedDays } = req.body;
-
-    // 参数验证
-    if (totalCost === undefined || totalDays === undefined || usedDays === undefined) {
+    const {
+      totalCost,
+      totalDays,
+      usedDays,
+      renewalPrice,
+      currency,
+      targetCurrencies,
+      purchaseDate,
+      items,
+      taxRate,
+      specs,
+      rounding
+    } = req.body;
+
+    // 参数验证（传入费用明细 items 时 totalCost 可省略）
+    if ((totalCost === undefined && items === undefined) || totalDays === undefined || usedDays === undefined) {
       return res.status(400).json({
         success: false,
         error: '缺少必需参数：totalCost, totalDays, usedDays'
@@ -714,15 +500,30 @@ app.post('/api/calculate', (req, res) => {
     }
 
     // 执行计算
-    const result = calculateRemainingValue(
-      Number(totalCost),
-      Number(totalDays),
-      Number(usedDays)
-    );
+    const calculation = items !== undefined || taxRate !== undefined
+      ? calculateItemizedValue(items || [], Number(totalDays), Number(usedDays), {
+        baseCost: parseOptionalNumber(totalCost),
+        taxRate: parseOptionalNumber(taxRate),
+        renewalPrice: parseOptionalNumber(renewalPrice),
+        currency,
+        rounding
+      })
+      : calculateRemainingValue(
+        Number(totalCost),
+        Number(totalDays),
+        Number(usedDays),
+        parseOptionalNumber(renewalPrice),
+        { currency, rounding }
+      );
+    // 传入硬件配置时附加月度成本与单位月成本（日均成本按总天数计算）
+    const result = withDailySpecs(calculation, specs, Number(totalDays), { currency, rounding });
 
     res.json({
       success: true,
-      data: result
+      data: {
+        ...result,
+        ...await convertResult(result, currency, targetCurrencies, purchaseDate, rounding)
+      }
     });
   } catch (error) {
     res.status(400).json({
@@ -733,39 +534,502 @@ app.post('/api/calculate', (req, res) => {
 });
 
 // 快捷计算端点（通过付款周期和购买日期）
-app.post('/api/calculate-by-cycle', (req, res) => {
+app.post('/api/calculate-by-cycle', async (req, res) => {
   try {
-    const { totalCost, cycle, purchaseDate } = req.body;
+    const { purchaseDate, currency, targetCurrencies, rounding } = req.body;
+    const data = calculateByCycle(req.body);
 
-    // 参数验证
-    if (!totalCost || !cycle || !purchaseDate) {
+    res.json({
+      success: true,
+      data: {
+        ...data,
+        ...await convertResult(data, currency, targetCurrencies, purchaseDate, rounding)
+      }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 批量计算端点（逐台返回结果，并按指定货币汇总）
+app.post('/api/calculate-batch', async (req, res) => {
+  try {
+    const { servers, currency, timezone, rounding } = req.body;
+
+    if (servers === undefined) {
       return res.status(400).json({
         success: false,
-        error: '缺少必需参数：totalCost, cycle, purchaseDate'
+        error: '缺少必需参数：servers'
       });
     }
 
-    // 获取总天数
-    const totalDays = getDaysByCycle(cycle);
+    const data = await calculatePortfolio(servers, { currency, timezone, rounding });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // 计算已使用天数
-    const usedDays = calculateUsedDays(purchaseDate);
+// 套餐对比端点（统一货币的月度成本、单位配置价格与性价比排名）
+app.post('/api/compare-plans', async (req, res) => {
+  try {
+    const { plans, currency, weights } = req.body;
 
-    // 执行计算
-    const result = calculateRemainingValue(
-      Number(totalCost),
-      totalDays,
-      usedDays
-    );
+    if (plans === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少必需参数：plans'
+      });
+    }
 
+    res.json({
+      success: true,
+      data: await comparePlans(plans, { currency, weights })
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 剩余价值时间线端点（从购买日期到到期日期的逐日 / 逐周剩余价值）
+app.post('/api/timeline', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: buildTimeline(req.body)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 剩余价值曲线图（输出 SVG / PNG / WebP）
+app.get('/api/timeline.:format(svg|png|webp)', async (req, res) => {
+  const {
+    totalCost,
+    cycle,
+    purchaseDate,
+    timezone,
+    renewals,
+    renewalPrice,
+    interval,
+    currency,
+    rounding
+  } = req.query;
+
+  let timeline;
+  try {
+    timeline = buildTimeline({
+      totalCost,
+      cycle,
+      purchaseDate,
+      timezone,
+      renewals: parseOptionalNumber(renewals),
+      renewalPrice,
+      interval,
+      currency,
+      rounding
+    });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const { options, error } = resolveChartOptions(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  await sendImage(res, buildTimelineSvg(timeline, options), req.params.format, req.query);
+});
+
+// 输出导出文件
+async function sendExport(res, servers, options) {
+  const { body, contentType, filename } = await exportResults(servers, options);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+// 服务器清单：导入（CSV / TSV / JSON，逐行校验）
+// 请求体可以是 JSON（{ data, format, mapping, dryRun }），也可以直接上传 CSV / TSV 文本（参数通过查询字符串传入）
+app.post(
+  '/api/servers/import',
+  express.text({ type: ['text/csv', 'text/tab-separated-values', 'text/plain'], limit: '1mb' }),
+  (req, res) => {
+    try {
+      let options = req.body || {};
+      if (typeof req.body === 'string') {
+        let mapping;
+        if (req.query.mapping) {
+          try {
+            mapping = JSON.parse(req.query.mapping);
+          } catch (error) {
+            throw new Error('mapping 必须是 JSON 对象');
+          }
+        }
+        options = {
+          data: req.body,
+          format: req.query.format || (req.is('text/tab-separated-values') ? 'tsv' : 'csv'),
+          mapping,
+          dryRun: req.query.dryRun === 'true' || req.query.dryRun === '1'
+        };
+      }
+
+      const result = importServers(inventory, options);
+      res.status(result.imported > 0 ? 201 : 200).json({
+        success: true,
+        data: {
+          ...result,
+          servers: result.servers.map((record) => withValue(record))
+        }
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+);
+
+// 服务器清单：导出计算结果（CSV / TSV / JSON / XLSX）
+app.get('/api/servers/export', async (req, res) => {
+  try {
+    await sendExport(res, inventory.list(), {
+      format: req.query.format,
+      currency: req.query.currency,
+      timezone: req.query.timezone
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 导出任意服务器列表的计算结果（参数同 /api/calculate-batch）
+app.post('/api/export', async (req, res) => {
+  try {
+    const { servers, format, currency, timezone } = req.body;
+    if (servers === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少必需参数：servers'
+      });
+    }
+    await sendExport(res, servers, { format, currency, timezone });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 服务器清单：列表（附实时剩余价值）
+app.get('/api/servers', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: inventory.list().map((record) => withValue(record))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 服务器清单：新增
+app.post('/api/servers', (req, res) => {
+  try {
+    const record = inventory.create(req.body);
+    res.status(201).json({
+      success: true,
+      data: withValue(record)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 服务器清单：详情
+app.get('/api/servers/:id', (req, res) => {
+  try {
+    const record = inventory.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: '服务器不存在'
+      });
+    }
+    res.json({
+      success: true,
+      data: withValue(record)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 服务器清单：更新（仅修改传入的字段）
+app.put('/api/servers/:id', (req, res) => {
+  try {
+    const record = inventory.update(req.params.id, req.body);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: '服务器不存在'
+      });
+    }
+    res.json({
+      success: true,
+      data: withValue(record)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 服务器清单：删除
+app.delete('/api/servers/:id', (req, res) => {
+  try {
+    if (!inventory.remove(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: '服务器不存在'
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 输出 iCalendar 订阅
+function sendCalendar(res, events, options, filename) {
+  res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.send(buildCalendar(events, options));
+}
+
+// 日历订阅：传入 totalCost、cycle、purchaseDate 时生成单台服务器的日历，否则包含服务器清单中的全部服务器
+app.get('/api/calendar.ics', (req, res) => {
+  let options;
+  let events;
+  try {
+    options = resolveCalendarOptions(req.query);
+    const { totalCost, cycle, purchaseDate } = req.query;
+    if (totalCost !== undefined || cycle !== undefined || purchaseDate !== undefined) {
+      events = buildServerEvents(fromQuery(req.query), options);
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    if (!events) {
+      // 数据不完整的记录不影响其它服务器
+      events = inventory.list().flatMap((record) => {
+        try {
+          return buildServerEvents(fromInventoryRecord(record), options);
+        } catch (error) {
+          return [];
+        }
+      });
+    }
+    sendCalendar(res, events, options, 'vps-renewals.ics');
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 日历订阅：服务器清单中的单台服务器
+app.get('/api/servers/:id/calendar.ics', (req, res) => {
+  try {
+    const record = inventory.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: '服务器不存在'
+      });
+    }
+    const server = fromInventoryRecord(record);
+    const options = resolveCalendarOptions(req.query);
+    sendCalendar(res, buildServerEvents(server, options), { ...options, name: `VPS 到期：${server.name}` }, `vps-${record.id}.ics`);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 到期提醒：配置与投递日志
+app.get('/api/reminders', (req, res) => {
+  if (!reminders) {
+    return res.status(503).json({
+      success: false,
+      error: reminderConfigError
+    });
+  }
+
+  try {
     res.json({
       success: true,
       data: {
-        ...result,
-        totalDays,
-        usedDays,
-        purchaseDate,
-        cycle
+        enabled: reminders.enabled,
+        webhooks: reminders.webhooks,
+        leadDays: reminders.leadDays,
+        logs: reminders.logs(clampInt(req.query.limit, 50, 1, 200))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 到期提醒：立即检查并发送到达提醒点的提醒
+app.post('/api/reminders/check', async (req, res) => {
+  if (!reminders || !reminders.enabled) {
+    return res.status(503).json({
+      success: false,
+      error: reminderConfigError || '未配置到期提醒 Webhook（REMINDER_WEBHOOK_URL）'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      data: await reminders.check()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 转让报价端点（剩余价值 + 溢价/折价 + 平台手续费）
+app.post('/api/trade-quote', (req, res) => {
+  try {
+    const {
+      totalCost,
+      cycle,
+      purchaseDate,
+      timezone,
+      remainingValue,
+      remainingDays,
+      premium,
+      premiumType,
+      transferFee,
+      transferFeeType,
+      feePaidBy,
+      renewalPrice,
+      renewalCycle,
+      currency,
+      rounding
+    } = req.body;
+
+    const zone = resolveTimezone(timezone);
+    let value;
+    let days;
+
+    if (remainingValue !== undefined) {
+      // 直接传入剩余价值与剩余天数
+      if (remainingDays === undefined) {
+        return res.status(400).json({
+          success: false,
+          error: '缺少必需参数：remainingDays'
+        });
+      }
+      value = Number(remainingValue);
+      days = Number(remainingDays);
+    } else {
+      if (!totalCost || !cycle || !purchaseDate) {
+        return res.status(400).json({
+          success: false,
+          error: '缺少必需参数：remainingValue, remainingDays 或 totalCost, cycle, purchaseDate'
+        });
+      }
+      const result = calculateByCycle({ totalCost, cycle, purchaseDate, timezone: zone, currency, rounding });
+      value = result.remainingValue;
+      days = result.remainingDays;
+    }
+
+    // 新购对比：按续费价格从今天起购买一个周期
+    const freshCycle = renewalCycle || cycle;
+    const freshPrice = renewalPrice !== undefined ? renewalPrice : totalCost;
+    if (!freshCycle || freshPrice === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少必需参数：renewalPrice, renewalCycle'
+      });
+    }
+    const renewalDays = getDaysByCycle(freshCycle, formatDate(today(zone)), zone);
+
+    const quote = calculateTradeQuote({
+      remainingValue: value,
+      remainingDays: days,
+      premium: parseOptionalNumber(premium),
+      premiumType,
+      transferFee: parseOptionalNumber(transferFee),
+      transferFeeType,
+      feePaidBy,
+      renewalPrice: Number(freshPrice),
+      renewalDays,
+      currency,
+      rounding
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        renewalPrice: Number(freshPrice),
+        renewalCycle: freshCycle,
+        renewalDays
       }
     });
   } catch (error) {
@@ -776,6 +1040,82 @@ app.post('/api/calculate-by-cycle', (req, res) => {
   }
 });
 
+// 升降级差价计算 API
+app.post('/api/proration', (req, res) => {
+  try {
+    const {
+      current,
+      target,
+      date,
+      timezone,
+      mode,
+      downgradeRefund,
+      currency,
+      rounding
+    } = req.body;
+
+    if (!current || !target) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少必需参数：current, target'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: calculateProration({ current, target, date, timezone, mode, downgradeRefund, currency, rounding })
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 内置退款策略列表
+app.get('/api/refund-policies', (req, res) => {
+  res.json({
+    success: true,
+    data: listRefundPolicies()
+  });
+});
+
+// 退款计算 API（按退款策略计算指定日期的可退金额，并与线性剩余价值对比）
+app.post('/api/refund-quote', (req, res) => {
+  try {
+    const {
+      totalCost,
+      cycle,
+      purchaseDate,
+      timezone,
+      date,
+      policy,
+      currency,
+      rounding
+    } = req.body;
+
+    if (!totalCost || !cycle || !purchaseDate) {
+      return res.status(400).json({
+        success: false,
+        error: '缺少必需参数：totalCost, cycle, purchaseDate'
+      });
+    }
+
+    const result = calculateRefund({ totalCost, cycle, purchaseDate, timezone, date, policy, currency, rounding });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // 错误处理中间件
 app.use((err, req, res, next) => {
   console.error('服务器错误:', err);
@@ -802,9 +1142,17 @@ if (process.env.NODE_ENV !== 'test') {
     console.log(`健康检查: http://localhost:${PORT}/api/health`);
   });
 
+  if (reminders && reminders.enabled) {
+    reminders.start();
+    console.log(`到期提醒已启用：提前 ${reminders.leadDays.join('、')} 天`);
+  }
+
   // 优雅关闭
   process.on('SIGTERM', () => {
     console.log('收到 SIGTERM 信号，准备关闭服务器...');
+    if (reminders) {
+      reminders.stop();
+    }
     server.close(() => {
       console.log('服务器已关闭');
       process.exit(0);
@@ -0,0 +1,98 @@
+/**
+ * 徽章链接签名模块
+ * 使用服务端密钥对徽章参数做 HMAC-SHA256 签名，防止他人篡改链接中的剩余价值等数值
+ */
+
+const crypto = require('crypto');
+
+// 参与签名的参数（决定徽章数值与文案），外观参数（样式、颜色、倍率等）可自由修改
+const SIGNED_PARAMS = [
+  'startDate',
+  'endDate',
+  'currency',
+  'remainingValue',
+  'totalCost',
+  'totalDays',
+  'timezone',
+  'rounding',
+  'source',
+  'title'
+];
+
+// 签名状态
+const SIGNATURE_STATUS = {
+  VERIFIED: 'verified',   // 签名有效
+  UNSIGNED: 'unsigned',   // 未携带签名
+  INVALID: 'invalid',     // 签名无效（参数被篡改）
+  DISABLED: 'disabled'    // 服务端未配置密钥
+};
+
+/**
+ * 获取签名密钥（环境变量 BADGE_SIGNING_SECRET）
+ * @returns {string|null} 未配置时返回 null
+ */
+function getSigningSecret() {
+  return process.env.BADGE_SIGNING_SECRET || null;
+}
+
+/**
+ * 提取参与签名的参数
+ * @param {Object} params - 徽章参数
+ * @returns {Object} 仅包含 SIGNED_PARAMS 中出现的参数（值统一为字符串）
+ */
+function pickSignedParams(params) {
+  const picked = {};
+  SIGNED_PARAMS.forEach((key) => {
+    if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+      picked[key] = String(params[key]);
+    }
+  });
+  return picked;
+}
+
+/**
+ * 计算徽章参数签名
+ * 按参数名排序后拼接为 key=value&...，与参数在 URL 中的顺序无关
+ * @param {Object} params - 徽章参数
+ * @param {string} secret - 签名密钥
+ * @returns {string} base64url 编码的签名
+ */
+function signBadgeParams(params, secret) {
+  const picked = pickSignedParams(params);
+  const canonical = Object.keys(picked)
+    .sort()
+    .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(picked[key])}`)
+    .join('&');
+  return crypto.createHmac('sha256', secret).update(canonical).digest('base64url');
+}
+
+/**
+ * 校验徽章链接签名
+ * @param {Object} query - 请求参数（签名位于 sig 参数）
+ * @param {string|null} [secret] - 签名密钥（默认读取环境变量）
+ * @returns {string} SIGNATURE_STATUS 中的状态
+ */
+function verifyBadgeParams(query, secret = getSigningSecret()) {
+  if (!secret) {
+    return SIGNATURE_STATUS.DISABLED;
+  }
+  if (!query.sig) {
+    return SIGNATURE_STATUS.UNSIGNED;
+  }
+
+  const expected = Buffer.from(signBadgeParams(query, secret));
+  const actual = Buffer.from(String(query.sig));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return SIGNATURE_STATUS.INVALID;
+  }
+  return SIGNATURE_STATUS.VERIFIED;
+}
+
+module.exports = {
+  SIGNED_PARAMS,
+  SIGNATURE_STATUS,
+  getSigningSecret,
+  pickSignedParams,
+  signBadgeParams,
+  verifyBadgeParams
+};
@@ -0,0 +1,60 @@
+/**
+ * 硬件配置模块
+ * 校验配置字段，并计算每核 CPU、每 GB 内存 / 硬盘、每 TB 流量等单位月成本
+ */
+
+// 配置字段：存储单位、计价单位及换算系数（计价单位数量 = 存储值 / divisor）
+const SPEC_DIMENSIONS = {
+  cpu: { unit: 'vCPU', priceUnit: 'vCPU', divisor: 1 },
+  memory: { unit: 'MB', priceUnit: 'GB', divisor: 1024 },
+  disk: { unit: 'GB', priceUnit: 'GB', divisor: 1 },
+  bandwidth: { unit: 'Mbps', priceUnit: 'Mbps', divisor: 1 },
+  traffic: { unit: 'GB/月', priceUnit: 'TB', divisor: 1000 }
+};
+
+const SPEC_FIELDS = Object.keys(SPEC_DIMENSIONS);
+
+/**
+ * 校验并规范化配置
+ * @param {Object} specs - 配置：cpu（核）、memory（MB）、disk（GB）、bandwidth（Mbps）、traffic（GB/月）
+ * @returns {Object} 仅包含已填写字段的配置
+ * @throws {Error} 配置不合法时抛出异常
+ */
+function normalizeSpecs(specs) {
+  if (!specs || typeof specs !== 'object' || Array.isArray(specs)) {
+    throw new Error('specs 必须是对象');
+  }
+
+  const normalized = {};
+  SPEC_FIELDS.forEach((field) => {
+    if (specs[field] === undefined || specs[field] === null || specs[field] === '') return;
+    const value = Number(specs[field]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`specs.${field} 必须是非负数字`);
+    }
+    normalized[field] = value;
+  });
+  return normalized;
+}
+
+/**
+ * 计算单位月成本
+ * @param {Object} specs - 已规范化的配置
+ * @param {number} monthlyCost - 月度成本
+ * @returns {Object} 每 vCPU、每 GB 内存、每 GB 硬盘、每 Mbps 带宽、每 TB 流量的月成本（未填写或为 0 的字段为 null）
+ */
+function calculateUnitCosts(specs, monthlyCost) {
+  const unitCosts = {};
+  SPEC_FIELDS.forEach((field) => {
+    const amount = specs[field] / SPEC_DIMENSIONS[field].divisor;
+    unitCosts[field] = amount > 0 ? parseFloat((monthlyCost / amount).toFixed(4)) : null;
+  });
+  return unitCosts;
+}
+
+module.exports = {
+  SPEC_DIMENSIONS,
+  SPEC_FIELDS,
+  normalizeSpecs,
+  calculateUnitCosts
+};
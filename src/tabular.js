@@ -0,0 +1,284 @@
+/**
+ * 表格数据模块
+ * CSV / TSV 的解析与生成（RFC 4180 引号规则），以及不依赖第三方库的 XLSX（Office Open XML）生成
+ */
+
+const { escapeXml } = require('./utils');
+
+// 分隔符
+const DELIMITERS = {
+  csv: ',',
+  tsv: '\t'
+};
+
+/**
+ * 解析 CSV / TSV 文本
+ * 支持双引号包裹的字段（字段内可包含分隔符、换行，"" 表示一个双引号），忽略 UTF-8 BOM
+ * 空行保留为 ['']，以便调用方按表格行号报告错误
+ * @param {string} text - 文本内容
+ * @param {string} [delimiter=','] - 分隔符
+ * @returns {Array<Array<string>>} 行列表
+ * @throws {Error} 引号未闭合时抛出异常
+ */
+function parseDelimited(text, delimiter = ',') {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+
+  const endRow = () => {
+    row.push(field);
+    rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      index += 1;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      if (char === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+    } else {
+      field += char;
+    }
+    index += 1;
+  }
+
+  if (quoted) {
+    throw new Error('引号未闭合');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * 转换单元格文本
+ * 以 = + - @ 开头的文本会被表格软件当作公式执行，加单引号前缀避免公式注入（数字不受影响）
+ * @param {*} value - 单元格值
+ * @returns {string}
+ */
+function toCellText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+  const text = String(value);
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * 生成 CSV / TSV 文本（CRLF 换行，带 UTF-8 BOM 以便 Excel 正确识别中文）
+ * @param {Array<string>} header - 表头
+ * @param {Array<Array<*>>} rows - 数据行
+ * @param {string} [delimiter=','] - 分隔符
+ * @returns {string}
+ */
+function toDelimited(header, rows, delimiter = ',') {
+  const encode = (value) => {
+    const text = toCellText(value);
+    return /[",\t\r\n]/.test(text) || text.includes(delimiter)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+
+  return `\uFEFF${[header, ...rows].map((row) => row.map(encode).join(delimiter)).join('\r\n')}\r\n`;
+}
+
+// CRC-32（ZIP 文件校验）
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 打包 ZIP 文件（不压缩）
+ * @param {Array<{name: string, content: string}>} files - 文件列表
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // 解压所需版本
+    local.writeUInt16LE(0x0800, 6); // 文件名为 UTF-8
+    local.writeUInt16LE(0, 8); // 存储（不压缩）
+    local.writeUInt32LE(0, 10); // 修改时间 / 日期
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(0, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralSize = centrals.reduce((sum, buffer) => sum + buffer.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+/**
+ * 列序号转换为列名（0 → A，26 → AA）
+ * @param {number} index - 列序号
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * 生成 XLSX 工作簿（单个工作表，表头加粗）
+ * 数字写入数值单元格，其余写入内联字符串
+ * @param {Array<string>} header - 表头
+ * @param {Array<Array<*>>} rows - 数据行
+ * @param {string} [sheetName='Sheet1'] - 工作表名称
+ * @returns {Buffer}
+ */
+function buildXlsx(header, rows, sheetName = 'Sheet1') {
+  const cell = (value, rowIndex, colIndex, style) => {
+    const ref = `${columnName(colIndex)}${rowIndex + 1}`;
+    const styleAttr = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+    }
+    if (value === undefined || value === null || value === '') {
+      return '';
+    }
+    return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  };
+
+  const sheetRows = [header, ...rows].map((row, rowIndex) => (
+    `<row r="${rowIndex + 1}">${row.map((value, colIndex) => cell(value, rowIndex, colIndex, rowIndex === 0 ? 1 : 0)).join('')}</row>`
+  )).join('');
+
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const ns = 'http://schemas.openxmlformats.org';
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xml}<Types xmlns="${ns}/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xml}<Relationships xmlns="${ns}/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xml}<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships">`
+        + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xml}<Relationships xmlns="${ns}/package/2006/relationships">`
+        + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>`
+        + `<Relationship Id="rId2" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      content: `${xml}<styleSheet xmlns="${ns}/spreadsheetml/2006/main">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${xml}<worksheet xmlns="${ns}/spreadsheetml/2006/main">`
+        + `<sheetData>${sheetRows}</sheetData>`
+        + '</worksheet>'
+    }
+  ]);
+}
+
+module.exports = {
+  DELIMITERS,
+  parseDelimited,
+  toDelimited,
+  buildXlsx
+};
@@ -0,0 +1,207 @@
+/**
+ * 剩余价值时间线模块
+ * 计算从购买日期到到期日期每天（或每周）的剩余价值，支持已付多期记录与计划续费
+ */
+
+const {
+  calculateItemizedValue,
+  isValidNumber,
+  getExpiryDate
+} = require('./calculator');
+const {
+  resolveTimezone,
+  toCalendarDate,
+  today,
+  addDays,
+  diffDays,
+  formatDate
+} = require('./dates');
+const { createMoney } = require('./money');
+
+// 时间线采样间隔（天）
+const TIMELINE_INTERVALS = {
+  day: 1,
+  week: 7
+};
+
+// 单条时间线的最大采样点数
+const MAX_POINTS = 1500;
+
+// 计划续费次数上限
+const MAX_RENEWALS = 20;
+
+/**
+ * 生成时间线各期（已付各期 + 计划续费）
+ * 已付各期在购买日即已付款，全部计入剩余价值；计划续费在该期开始时才计入
+ * @param {Object} input - 计算参数（同 buildTimeline）
+ * @param {Date} start - 购买日期（自然日）
+ * @returns {Array<{price: number, cycle: string, start: Date, expiry: Date, paidOn: Date}>}
+ */
+function buildSegments(input, start) {
+  const { totalCost, cycle, terms, items, taxRate } = input;
+  const renewals = input.renewals === undefined ? 0 : Number(input.renewals);
+
+  if (!Number.isInteger(renewals) || renewals < 0 || renewals > MAX_RENEWALS) {
+    throw new Error(`续费次数 renewals 必须是 0 到 ${MAX_RENEWALS} 之间的整数`);
+  }
+
+  let paid;
+  if (terms !== undefined) {
+    if (!Array.isArray(terms) || terms.length === 0) {
+      throw new Error('续费记录 terms 必须是非空数组');
+    }
+    paid = terms.map((term, index) => {
+      const price = Number(term && term.price);
+      if (!isValidNumber(price) || price <= 0) {
+        throw new Error(`第 ${index + 1} 期价格必须是大于 0 的数字`);
+      }
+      if (!(term.cycle || cycle)) {
+        throw new Error(`第 ${index + 1} 期缺少付款周期`);
+      }
+      return { price, cycle: term.cycle || cycle };
+    });
+  } else {
+    if ((!totalCost && items === undefined) || !cycle) {
+      throw new Error('缺少必需参数：totalCost, cycle, purchaseDate');
+    }
+    // 费用明细中的一次性费用不随时间折旧，时间线只包含周期性部分
+    const price = items !== undefined || taxRate !== undefined
+      ? calculateItemizedValue(items || [], 1, 0, {
+        baseCost: totalCost ? Number(totalCost) : undefined,
+        taxRate,
+        currency: input.currency,
+        rounding: input.rounding
+      }).breakdown.recurring
+      : Number(totalCost);
+    if (!isValidNumber(price) || price <= 0) {
+      throw new Error('totalCost 必须是大于 0 的数字');
+    }
+    paid = [{ price, cycle }];
+  }
+
+  const last = paid[paid.length - 1];
+  let renewalPrice = last.price;
+  if (input.renewalPrice !== undefined && input.renewalPrice !== null && input.renewalPrice !== '') {
+    renewalPrice = Number(input.renewalPrice);
+    if (!isValidNumber(renewalPrice) || renewalPrice <= 0) {
+      throw new Error('续费价格必须是大于 0 的数字');
+    }
+  }
+  const planned = Array.from({ length: renewals }, () => ({ price: renewalPrice, cycle: last.cycle, planned: true }));
+
+  let segmentStart = start;
+  return [...paid, ...planned].map((term) => {
+    const expiry = getExpiryDate(formatDate(segmentStart), term.cycle);
+    const segment = {
+      price: term.price,
+      cycle: term.cycle,
+      start: segmentStart,
+      expiry,
+      days: diffDays(segmentStart, expiry),
+      paidOn: term.planned ? segmentStart : start,
+      planned: Boolean(term.planned)
+    };
+    segmentStart = expiry;
+    return segment;
+  });
+}
+
+/**
+ * 计算某一天的剩余价值（各期按最小货币单位分别折算后求和）
+ * @param {Array<Object>} segments - 各期
+ * @param {Date} date - 日期
+ * @param {Object} money - createMoney 返回的金额运算上下文
+ * @returns {number}
+ */
+function valueOn(segments, date, money) {
+  return money.value(segments.reduce((sum, segment) => {
+    if (segment.paidOn > date) return sum;
+    const remainingDays = Math.min(Math.max(diffDays(date, segment.expiry), 0), segment.days);
+    return sum + money.share(money.units(segment.price), remainingDays, segment.days);
+  }, 0n));
+}
+
+/**
+ * 生成剩余价值时间线
+ * @param {Object} input - 计算参数
+ * @param {number} [input.totalCost] - 购买价格（单期）
+ * @param {string} input.cycle - 付款周期
+ * @param {string|Date} input.purchaseDate - 购买日期
+ * @param {string} [input.timezone] - IANA 时区
+ * @param {Array<{price: number, cycle?: string}>} [input.terms] - 已付多期记录
+ * @param {Array<Object>} [input.items] - 费用明细
+ * @param {number} [input.taxRate] - 税率（百分比）
+ * @param {number} [input.renewals=0] - 到期后计划续费次数
+ * @param {number} [input.renewalPrice] - 计划续费价格（默认为最后一期价格）
+ * @param {string} [input.interval='day'] - 采样间隔：'day' | 'week'
+ * @param {string} [input.currency='CNY'] - 货币代码（决定金额的小数位数）
+ * @param {string} [input.rounding] - 舍入模式：'half-up' | 'half-even'
+ * @param {Date} [now] - 当前时间（默认为系统时间）
+ * @returns {Object} 时间线：各期、采样点与今天的剩余价值
+ */
+function buildTimeline(input, now = new Date()) {
+  const { purchaseDate, interval = 'day' } = input;
+
+  if (!purchaseDate) {
+    throw new Error('缺少必需参数：purchaseDate');
+  }
+
+  const step = TIMELINE_INTERVALS[interval];
+  if (!step) {
+    throw new Error(`不支持的时间间隔：${interval}，可选值：${Object.keys(TIMELINE_INTERVALS).join(', ')}`);
+  }
+
+  const money = createMoney(input);
+  const timezone = resolveTimezone(input.timezone);
+  const start = toCalendarDate(purchaseDate, timezone);
+  if (!start) {
+    throw new Error('购买日期格式不正确');
+  }
+
+  const segments = buildSegments(input, start);
+  const end = segments[segments.length - 1].expiry;
+  const totalDays = diffDays(start, end);
+
+  if (Math.ceil(totalDays / step) + 1 > MAX_POINTS) {
+    throw new Error(`时间线采样点过多（最多 ${MAX_POINTS} 个），请使用更大的时间间隔`);
+  }
+
+  const points = [];
+  for (let offset = 0; offset < totalDays; offset += step) {
+    const date = addDays(start, offset);
+    points.push({ date: formatDate(date), remainingValue: valueOn(segments, date, money) });
+  }
+  points.push({ date: formatDate(end), remainingValue: 0 });
+
+  const current = today(timezone, now);
+  const todayPoint = current >= start && current <= end
+    ? { date: formatDate(current), remainingValue: valueOn(segments, current, money) }
+    : null;
+
+  return {
+    purchaseDate: formatDate(start),
+    expiryDate: formatDate(end),
+    timezone,
+    interval,
+    currency: money.currency,
+    totalCost: money.value(segments.reduce((sum, segment) => sum + money.units(segment.price), 0n)),
+    terms: segments.map((segment, index) => ({
+      index,
+      price: segment.price,
+      cycle: segment.cycle,
+      startDate: formatDate(segment.start),
+      expiryDate: formatDate(segment.expiry),
+      planned: segment.planned
+    })),
+    points,
+    today: todayPoint
+  };
+}
+
+module.exports = {
+  TIMELINE_INTERVALS,
+  MAX_POINTS,
+  MAX_RENEWALS,
+  buildSegments,
+  buildTimeline
+};
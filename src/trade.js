@@ -0,0 +1,122 @@
+/**
+ * VPS 转让报价模块
+ * 在剩余价值基础上计算溢价/折价、平台转让手续费与买家实际日均成本
+ */
+
+const { isValidNumber } = require('./calculator');
+const { createMoney, roundTo } = require('./money');
+
+const PREMIUM_TYPES = ['percent', 'fixed'];
+const FEE_TYPES = ['percent', 'fixed'];
+const FEE_PAYERS = ['buyer', 'seller', 'split'];
+
+/**
+ * 计算转让报价
+ * @param {Object} options - 报价参数
+ * @param {number} options.remainingValue - 剩余价值
+ * @param {number} options.remainingDays - 剩余天数
+ * @param {number} [options.premium=0] - 溢价（负数为折价）
+ * @param {string} [options.premiumType='percent'] - 溢价类型：'percent' | 'fixed'
+ * @param {number} [options.transferFee=0] - 平台转让手续费
+ * @param {string} [options.transferFeeType='fixed'] - 手续费类型：'percent'（按成交价百分比）| 'fixed'
+ * @param {string} [options.feePaidBy='buyer'] - 手续费承担方：'buyer' | 'seller' | 'split'
+ * @param {number} options.renewalPrice - 同款套餐续费价格（新购价格）
+ * @param {number} options.renewalDays - 续费周期天数
+ * @param {string} [options.currency='CNY'] - 货币代码（决定金额的小数位数）
+ * @param {string} [options.rounding] - 舍入模式：'half-up' | 'half-even'
+ * @returns {Object} 报价结果
+ */
+function calculateTradeQuote(options) {
+  const {
+    remainingValue,
+    remainingDays,
+    premium = 0,
+    premiumType = 'percent',
+    transferFee = 0,
+    transferFeeType = 'fixed',
+    feePaidBy = 'buyer',
+    renewalPrice,
+    renewalDays
+  } = options;
+  const money = createMoney(options);
+
+  if (!isValidNumber(remainingValue) || remainingValue < 0) {
+    throw new Error('剩余价值必须是非负数字');
+  }
+
+  if (!isValidNumber(remainingDays) || remainingDays <= 0) {
+    throw new Error('剩余天数必须大于 0');
+  }
+
+  if (!PREMIUM_TYPES.includes(premiumType)) {
+    throw new Error(`不支持的溢价类型：${premiumType}，可选值：${PREMIUM_TYPES.join(', ')}`);
+  }
+
+  if (!isValidNumber(premium)) {
+    throw new Error('溢价必须是数字');
+  }
+
+  if (!FEE_TYPES.includes(transferFeeType)) {
+    throw new Error(`不支持的手续费类型：${transferFeeType}，可选值：${FEE_TYPES.join(', ')}`);
+  }
+
+  if (!isValidNumber(transferFee) || transferFee < 0) {
+    throw new Error('转让手续费必须是非负数字');
+  }
+
+  if (!FEE_PAYERS.includes(feePaidBy)) {
+    throw new Error(`不支持的手续费承担方：${feePaidBy}，可选值：${FEE_PAYERS.join(', ')}`);
+  }
+
+  if (!isValidNumber(renewalPrice) || renewalPrice <= 0) {
+    throw new Error('续费价格必须是大于 0 的数字');
+  }
+
+  if (!isValidNumber(renewalDays) || renewalDays <= 0) {
+    throw new Error('续费周期天数必须大于 0');
+  }
+
+  // 溢价/折价后的建议售价（以最小货币单位计算）
+  const value = money.units(remainingValue);
+  const premiumAmount = premiumType === 'percent'
+    ? money.share(value, premium, 100)
+    : money.units(premium);
+  const askingPrice = value + premiumAmount;
+
+  if (askingPrice < 0n) {
+    throw new Error('折价后售价不能为负数');
+  }
+
+  // 平台手续费及承担方（平摊时买家承担取整后的一半，其余由卖家承担）
+  const feeAmount = transferFeeType === 'percent'
+    ? money.share(askingPrice, transferFee, 100)
+    : money.units(transferFee);
+  const buyerFee = feePaidBy === 'buyer' ? feeAmount : (feePaidBy === 'split' ? money.share(feeAmount, 1, 2) : 0n);
+  const buyerPays = askingPrice + buyerFee;
+  const sellerReceives = askingPrice - (feeAmount - buyerFee);
+
+  // 与按续费价新购对比：剩余天数按续费价折算的成本 - 买家实付
+  const freshCost = (renewalPrice * remainingDays) / renewalDays;
+  const savings = money.share(money.units(renewalPrice), remainingDays, renewalDays) - buyerPays;
+
+  return {
+    currency: money.currency,
+    remainingValue: money.value(value),
+    premiumAmount: money.value(premiumAmount),
+    askingPrice: money.value(askingPrice),
+    transferFee: money.value(feeAmount),
+    feePaidBy,
+    buyerPays: money.value(buyerPays),
+    sellerReceives: money.value(sellerReceives),
+    remainingDays,
+    buyerDailyCost: money.rate(buyerPays, remainingDays),
+    freshDailyCost: money.rate(money.units(renewalPrice), renewalDays),
+    savings: money.value(savings),
+    savingsRate: roundTo((money.value(savings) / freshCost) * 100, 2, money.rounding),
+    beatsFresh: savings > 0n
+  };
+}
+
+module.exports = {
+  calculateTradeQuote
+};
@@ -0,0 +1,59 @@
+/**
+ * 通用工具函数
+ * 数值解析、重复参数检查、XML 转义与颜色过滤等，供 API 与 SVG 生成共用
+ */
+
+function parseNumber(value) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+// 重复的查询参数会被解析为数组，无法确定取值
+function findRepeatedParamsError(query) {
+  const repeated = Object.keys(query).filter((key) => Array.isArray(query[key]));
+  return repeated.length > 0 ? `参数不能重复：${repeated.join(', ')}` : null;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function sanitizeColor(value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return null;
+  if (/[<>"'&]/.test(trimmed)) return null;
+  if (!/^[#a-zA-Z0-9(),.%\s-]+$/.test(trimmed)) return null;
+  return trimmed;
+}
+
+function clampInt(value, fallback, min, max) {
+  const num = parseNumber(value);
+  if (num === null) return fallback;
+  const rounded = Math.round(num);
+  if (!Number.isFinite(rounded)) return fallback;
+  if (rounded < min) return min;
+  if (rounded > max) return max;
+  return rounded;
+}
+
+function clampFloat(value, fallback, min, max) {
+  const num = parseNumber(value);
+  if (num === null) return fallback;
+  if (num < min) return min;
+  if (num > max) return max;
+  return num;
+}
+
+module.exports = {
+  parseNumber,
+  findRepeatedParamsError,
+  escapeXml,
+  sanitizeColor,
+  clampInt,
+  clampFloat
+};
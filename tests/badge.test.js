@@ -0,0 +1,161 @@
+const {
+  BADGE_STYLES,
+  measureText,
+  usageColor,
+  resolveBadgeData,
+  resolveBadgeOptions,
+  resolveBadgeRequest,
+  formatBadgeMessage,
+  buildValueBadgeSvg,
+  buildShieldsEndpoint
+} = require('../src/badge');
+
+describe('resolveBadgeData 动态计算', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T18:30:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const query = { startDate: '2026-10-01', endDate: '2026-10-31', totalCost: '30', totalDays: '30' };
+
+  test('按时区确定今天是哪一天', () => {
+    expect(resolveBadgeData({ ...query, timezone: 'UTC' }).data).toMatchObject({ remainingValue: 12, usageRate: 60 });
+    expect(resolveBadgeData({ ...query, timezone: 'Asia/Shanghai' }).data).toMatchObject({ remainingValue: 11, usageRate: 63.3 });
+  });
+
+  test('时区不支持或开始日期晚于今天时返回错误', () => {
+    expect(resolveBadgeData({ ...query, timezone: 'Mars/Base' })).toEqual({ error: '不支持的时区：Mars/Base' });
+    expect(resolveBadgeData({ ...query, startDate: '2026-10-21', endDate: '2026-11-20' }))
+      .toEqual({ error: '开始日期不能晚于当前日期' });
+  });
+
+  test('不存在的日期返回错误，不按满额价值计算', () => {
+    expect(resolveBadgeData({ ...query, startDate: '2026-02-30' })).toEqual({ error: '日期格式不正确' });
+  });
+});
+
+describe('resolveBadgeData 静态模式', () => {
+  const query = { startDate: '2026-01-01', endDate: '2027-01-01', totalCost: '120', remainingValue: '24.333' };
+
+  test('使用传入的剩余价值并按货币取整', () => {
+    expect(resolveBadgeData(query).data).toEqual({
+      startDate: '2026-01-01',
+      endDate: '2027-01-01',
+      currency: 'CNY',
+      symbol: '¥',
+      remainingValue: 24.33,
+      totalCost: 120,
+      rounding: 'half-up',
+      usageRate: 79.7,
+      color: '#e05d44',
+      source: ''
+    });
+    expect(resolveBadgeData({ ...query, currency: 'JPY', source: 'example.com' }).data)
+      .toMatchObject({ remainingValue: 24, symbol: '¥', source: 'example.com' });
+  });
+
+  test('参数不合法时返回错误', () => {
+    expect(resolveBadgeData({}).error).toBe('缺少必需参数：startDate, endDate, totalCost');
+    expect(resolveBadgeData({ ...query, endDate: 'x' }).error).toBe('日期格式不正确');
+    expect(resolveBadgeData({ ...query, endDate: '2027-02-29' }).error).toBe('日期格式不正确');
+    expect(resolveBadgeData({ ...query, currency: ['CNY', 'USD'], totalCost: ['1', '2'] }).error)
+      .toBe('参数不能重复：totalCost, currency');
+    expect(resolveBadgeData({ ...query, endDate: '2025-01-01' }).error).toBe('结束日期不能早于开始日期');
+    expect(resolveBadgeData({ ...query, totalCost: '0' }).error).toBe('totalCost 必须是大于 0 的数字');
+    expect(resolveBadgeData({ ...query, rounding: 'up' }).error).toMatch('不支持的舍入模式：up');
+    expect(resolveBadgeData({ ...query, totalDays: '1.5' }).error).toBe('totalDays 必须是大于 0 的整数');
+    expect(resolveBadgeData({ ...query, remainingValue: undefined }).error).toBe('缺少必需参数：remainingValue');
+  });
+
+  test('按使用率选择颜色', () => {
+    expect(usageColor(80)).toBe('#e05d44');
+    expect(usageColor(50)).toBe('#dfb317');
+    expect(usageColor(10)).toBe('#44cc11');
+  });
+});
+
+describe('徽章样式', () => {
+  const { data } = resolveBadgeData({ startDate: '2026-01-01', endDate: '2027-01-01', totalCost: '120', remainingValue: '96' });
+
+  test('估算文本宽度，全角字符按 1em 计算', () => {
+    expect(measureText('剩余', 10)).toBe(20);
+    expect(measureText('iW A-a', 10)).toBe(33);
+  });
+
+  test('解析外观参数', () => {
+    const { options } = resolveBadgeOptions({ style: 'FLAT', lang: 'en', color: 'red', labelColor: '"><script>' });
+
+    expect(options).toMatchObject({ style: 'flat', title: 'VPS Value', color: 'red', labelColor: null });
+    expect(resolveBadgeOptions({ lang: 'fr', title: 'x'.repeat(50) }).options)
+      .toMatchObject({ style: 'card', title: 'x'.repeat(40), labels: { used: '已使用' } });
+    expect(resolveBadgeOptions({ style: 'round' }).error)
+      .toBe(`不支持的徽章样式：round，可选值：${BADGE_STYLES.join(', ')}`);
+  });
+
+  test('flat / flat-square 生成 shields.io 风格单行徽章', () => {
+    const flat = buildValueBadgeSvg(data, resolveBadgeOptions({ style: 'flat' }).options);
+    const square = buildValueBadgeSvg(data, resolveBadgeOptions({ style: 'flat-square', labelColor: '#333' }).options);
+
+    expect(flat).toContain('height="20"');
+    expect(flat).toContain('aria-label="VPS 剩余价值: ¥96.00 · 20%"');
+    expect(flat).toContain('rx="3"');
+    expect(flat).toContain('url(#s)');
+    expect(square).toContain('rx="0"');
+    expect(square).toContain('fill="#333"');
+    expect(square).not.toContain('url(#s)');
+  });
+
+  test('卡片徽章支持深色 / 浅色主题与自定义颜色', () => {
+    const card = buildValueBadgeSvg({ ...data, source: 'example.com' }, resolveBadgeOptions({}).options);
+    const dark = buildValueBadgeSvg(data, resolveBadgeOptions({ style: 'dark' }).options);
+    const light = buildValueBadgeSvg(data, resolveBadgeOptions({ style: 'light', background: '#fff000', textColor: '#111' }).options);
+
+    expect(card).toContain('stop-color:#667eea');
+    expect(card).toContain('出自: example.com');
+    expect(card).toContain('height="140"');
+    expect(dark).toContain('stop-color:#24292f');
+    expect(dark).not.toContain('出自');
+    expect(light).toContain('stroke="#d0d7de"');
+    expect(light).toContain('stop-color:#fff000');
+    expect(light).toContain('fill="#111"');
+  });
+});
+
+describe('shields.io endpoint', () => {
+  const query = { startDate: '2026-01-01', endDate: '2027-01-01', totalCost: '120', remainingValue: '96' };
+
+  test('生成 endpoint 格式数据', () => {
+    const { data, options } = resolveBadgeRequest({ ...query, style: 'flat-square', labelColor: '#555' });
+
+    expect(data.signature).toBe('disabled');
+    expect(formatBadgeMessage(data)).toBe('¥96.00 · 20%');
+    expect(buildShieldsEndpoint(data, options)).toEqual({
+      schemaVersion: 1,
+      label: 'VPS 剩余价值',
+      message: '¥96.00 · 20%',
+      color: '44cc11',
+      labelColor: '555',
+      style: 'flat-square'
+    });
+  });
+
+  test('卡片样式不输出 style，自定义颜色优先', () => {
+    const { data, options } = resolveBadgeRequest({ ...query, color: 'blue', currency: 'KWD' });
+
+    expect(buildShieldsEndpoint(data, options)).toEqual({
+      schemaVersion: 1,
+      label: 'VPS 剩余价值',
+      message: 'د.ك96.000 · 20%',
+      color: 'blue'
+    });
+  });
+
+  test('参数不合法时返回错误与 HTTP 状态码', () => {
+    expect(resolveBadgeRequest({})).toEqual({ status: 400, error: '缺少必需参数：startDate, endDate, totalCost' });
+    expect(resolveBadgeRequest({ ...query, style: 'round' })).toMatchObject({ status: 400 });
+    expect(resolveBadgeRequest({ ...query, sig: ['a', 'b'] })).toEqual({ status: 400, error: '参数不能重复：sig' });
+  });
+});
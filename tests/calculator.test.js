@@ -0,0 +1,267 @@
+const {
+  calculateRemainingValue,
+  validateInputs,
+  isValidNumber,
+  parseCycle,
+  getExpiryDate,
+  getCurrentTerm,
+  getDaysByCycle,
+  calculateUsedDays,
+  normalizeLineItems,
+  calculateItemizedValue,
+  calculateByCycle,
+  withDailySpecs
+} = require('../src/calculator');
+const { formatDate } = require('../src/dates');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('calculateRemainingValue', () => {
+  test('按剩余天数比例计算剩余价值', () => {
+    const result = calculateRemainingValue(100, 30, 10);
+
+    expect(result).toEqual({
+      remainingValue: 66.67,
+      usedValue: 33.33,
+      remainingDays: 20,
+      usageRate: 33.33,
+      dailyRate: 3.33,
+      totalCost: 100
+    });
+  });
+
+  test('已使用价值与剩余价值之和等于总成本', () => {
+    const result = calculateRemainingValue(99.99, 365, 123);
+    expect(result.usedValue + result.remainingValue).toBeCloseTo(99.99, 10);
+  });
+
+  test('参数不合法时抛出异常', () => {
+    expect(() => calculateRemainingValue(0, 30, 1)).toThrow('总成本必须是大于 0 的数字');
+    expect(() => calculateRemainingValue(10, 0, 0)).toThrow('总天数必须是大于 0 的整数');
+    expect(() => calculateRemainingValue(10, 30, -1)).toThrow('已使用天数必须是非负整数');
+    expect(() => calculateRemainingValue(10, 30, 31)).toThrow('已使用天数不能超过总天数');
+    expect(() => validateInputs(NaN, 30, 1)).toThrow('总成本必须是大于 0 的数字');
+  });
+
+  test('isValidNumber 只接受有限数字', () => {
+    expect(isValidNumber(1.5)).toBe(true);
+    expect(isValidNumber('1')).toBe(false);
+    expect(isValidNumber(Infinity)).toBe(false);
+    expect(isValidNumber(NaN)).toBe(false);
+  });
+});
+
+describe('parseCycle', () => {
+  test('解析预设周期', () => {
+    expect(parseCycle('monthly')).toEqual({ unit: 'month', count: 1 });
+    expect(parseCycle('Quarterly')).toEqual({ unit: 'month', count: 3 });
+    expect(parseCycle('triennial')).toEqual({ unit: 'month', count: 36 });
+  });
+
+  test('解析自定义周期', () => {
+    expect(parseCycle('45d')).toEqual({ unit: 'day', count: 45 });
+    expect(parseCycle('every 3 months')).toEqual({ unit: 'month', count: 3 });
+    expect(parseCycle('2y')).toEqual({ unit: 'month', count: 24 });
+  });
+
+  test('不支持的周期抛出异常', () => {
+    expect(() => parseCycle('weekly')).toThrow('不支持的付款周期：weekly');
+    expect(() => parseCycle('0d')).toThrow('不支持的付款周期');
+    expect(() => parseCycle('3651d')).toThrow('不支持的付款周期');
+    expect(() => parseCycle(undefined)).toThrow('不支持的付款周期');
+  });
+});
+
+describe('自然月周期', () => {
+  test('月末购买时到期日取目标月份最后一天', () => {
+    expect(formatDate(getExpiryDate('2025-01-31', 'monthly'))).toBe('2025-02-28');
+    expect(formatDate(getExpiryDate('2024-01-31', 'monthly'))).toBe('2024-02-29');
+    expect(formatDate(getExpiryDate('2024-02-29', 'yearly'))).toBe('2025-02-28');
+  });
+
+  test('按真实日历计算总天数', () => {
+    expect(getDaysByCycle('monthly', '2025-02-01')).toBe(28);
+    expect(getDaysByCycle('monthly', '2024-02-01')).toBe(29);
+    expect(getDaysByCycle('yearly', '2024-01-01')).toBe(366);
+    expect(getDaysByCycle('45d', '2025-01-01')).toBe(45);
+  });
+
+  test('未传入购买日期时返回名义天数', () => {
+    expect(getDaysByCycle('monthly')).toBe(30);
+    expect(getDaysByCycle('quarterly')).toBe(90);
+    expect(getDaysByCycle('biennial')).toBe(730);
+    expect(getDaysByCycle('45d')).toBe(45);
+  });
+
+  test('购买日期格式不正确时抛出异常', () => {
+    expect(() => getExpiryDate('2025-02-30', 'monthly')).toThrow('购买日期格式不正确');
+  });
+});
+
+describe('calculateUsedDays', () => {
+  test('计算购买日期到今天的天数', () => {
+    expect(calculateUsedDays('2026-10-01', 'UTC', NOW)).toBe(18);
+  });
+
+  test('日期不合法或晚于今天时抛出异常', () => {
+    expect(() => calculateUsedDays('not-a-date', 'UTC', NOW)).toThrow('购买日期格式不正确');
+    expect(() => calculateUsedDays('2026-10-20', 'UTC', NOW)).toThrow('购买日期不能晚于当前日期');
+  });
+});
+
+describe('getCurrentTerm', () => {
+  test('未到期时为第一期', () => {
+    expect(getCurrentTerm('2026-10-01', 'monthly', 'UTC', NOW)).toEqual({ startDate: '2026-10-01', renewals: 0 });
+  });
+
+  test('到期后按周期首尾相接地滚动', () => {
+    expect(getCurrentTerm('2024-01-31', 'monthly', 'UTC', NOW)).toEqual({ startDate: '2026-09-28', renewals: 32 });
+    expect(getCurrentTerm('2025-10-19', 'yearly', 'UTC', NOW)).toEqual({ startDate: '2026-10-19', renewals: 1 });
+  });
+});
+
+describe('calculateByCycle', () => {
+  test('按付款周期与购买日期计算', () => {
+    const result = calculateByCycle({ totalCost: 120, cycle: 'yearly', purchaseDate: '2026-01-01' }, NOW);
+
+    expect(result).toMatchObject({
+      totalDays: 365,
+      usedDays: 291,
+      remainingDays: 74,
+      remainingValue: 24.33,
+      expiryDate: '2027-01-01',
+      timezone: 'UTC'
+    });
+  });
+
+  test('缺少必需参数时抛出异常', () => {
+    expect(() => calculateByCycle({ cycle: 'monthly', purchaseDate: '2026-10-01' }, NOW))
+      .toThrow('缺少必需参数：totalCost, cycle, purchaseDate');
+  });
+
+  test('按多期续费记录计算', () => {
+    const result = calculateByCycle({
+      cycle: 'monthly',
+      purchaseDate: '2026-08-19',
+      terms: [{ price: 10 }, { price: 20 }, { price: 30, cycle: '45d' }]
+    }, NOW);
+
+    expect(result.expiryDate).toBe('2026-12-03');
+    expect(result.currentTerm).toBe(2);
+    expect(result.terms.map((term) => term.remainingValue)).toEqual([0, 0, 30]);
+    expect(result.remainingValue).toBe(30);
+    expect(result.totalCost).toBe(60);
+  });
+
+  test('多期续费记录参数不合法时抛出异常', () => {
+    const base = { cycle: 'monthly', purchaseDate: '2026-10-01' };
+    expect(() => calculateByCycle({ ...base, purchaseDate: undefined, terms: [{ price: 1 }] }, NOW))
+      .toThrow('缺少必需参数：purchaseDate');
+    expect(() => calculateByCycle({ ...base, terms: [{ price: 1 }], items: [] }, NOW))
+      .toThrow('多期续费记录 terms 不支持费用明细 items');
+    expect(() => calculateByCycle({ ...base, terms: [] }, NOW)).toThrow('续费记录 terms 必须是非空数组');
+    expect(() => calculateByCycle({ ...base, terms: [{ price: 0 }] }, NOW)).toThrow('第 1 期价格必须是大于 0 的数字');
+    expect(() => calculateByCycle({ ...base, cycle: undefined, terms: [{ price: 1 }] }, NOW))
+      .toThrow('第 1 期缺少付款周期');
+    expect(() => calculateByCycle({ ...base, purchaseDate: '2026-01-01', terms: [{ price: 1 }] }, NOW))
+      .toThrow('已使用天数不能超过总天数');
+  });
+});
+
+describe('续费价格', () => {
+  test('传入续费价格时额外返回按续费价计算的剩余价值', () => {
+    const result = calculateRemainingValue(10, 30, 12, 30);
+
+    expect(result).toMatchObject({
+      remainingValue: 6,
+      dailyRate: 0.33,
+      renewalDailyRate: 1,
+      renewalRemainingValue: 18
+    });
+  });
+
+  test('续费价格不合法时抛出异常', () => {
+    expect(() => calculateRemainingValue(10, 30, 12, 0)).toThrow('续费价格必须是大于 0 的数字');
+    expect(() => calculateByCycle({ totalCost: 10, cycle: 'monthly', purchaseDate: '2026-10-01', renewalPrice: 'abc' }, NOW))
+      .toThrow('续费价格必须是大于 0 的数字');
+  });
+
+  test('续费价格为空字符串时视为未传入', () => {
+    const result = calculateByCycle({ totalCost: 10, cycle: 'monthly', purchaseDate: '2026-10-01', renewalPrice: '' }, NOW);
+    expect(result).not.toHaveProperty('renewalRemainingValue');
+  });
+
+  test('多期续费记录按当前周期天数计算续费价值', () => {
+    const result = calculateByCycle({
+      cycle: 'monthly',
+      purchaseDate: '2026-09-01',
+      terms: [{ price: 5 }, { price: 10 }],
+      renewalPrice: '31'
+    }, NOW);
+
+    expect(result).toMatchObject({ currentTerm: 1, remainingDays: 13, renewalDailyRate: 1, renewalRemainingValue: 13 });
+  });
+});
+
+describe('费用明细', () => {
+  test('开通费不计入剩余价值，折扣按周期性费用计算，税费随对应项目折旧', () => {
+    const result = calculateItemizedValue([
+      { name: '开通费', type: 'setup', amount: 20 },
+      { type: 'discount', percent: 10 },
+      { name: 'IPv4', amount: 5, taxable: false }
+    ], 30, 10, { baseCost: 100, taxRate: 20 });
+
+    expect(result).toMatchObject({
+      remainingValue: 74.93,
+      usedValue: 61.47,
+      remainingDays: 20,
+      dailyRate: 3.75,
+      totalCost: 136.4,
+      taxRate: 20,
+      breakdown: { recurring: 112.4, setup: 24, discount: -12.6, tax: 21.9 }
+    });
+    expect(result.items).toEqual([
+      { name: '套餐', type: 'recurring', taxable: true, amount: 100, tax: 20, total: 120, remainingValue: 80 },
+      { name: '开通费', type: 'setup', taxable: true, amount: 20, tax: 4, total: 24, remainingValue: 0 },
+      { name: '优惠', type: 'discount', taxable: true, percent: 10, amount: -10.5, tax: -2.1, total: -12.6, remainingValue: -8.4 },
+      { name: 'IPv4', type: 'recurring', taxable: false, amount: 5, tax: 0, total: 5, remainingValue: 3.33 }
+    ]);
+  });
+
+  test('传入续费价格时额外返回续费价值', () => {
+    expect(calculateItemizedValue([{ amount: 30 }], 30, 10, { renewalPrice: 60 }))
+      .toMatchObject({ remainingValue: 20, taxRate: 0, renewalRemainingValue: 40 });
+  });
+
+  test('费用明细不合法时抛出异常', () => {
+    expect(() => normalizeLineItems({})).toThrow('费用明细 items 必须是数组');
+    expect(() => normalizeLineItems([null])).toThrow('第 1 项费用必须是对象');
+    expect(() => normalizeLineItems([{ type: 'fee', amount: 1 }])).toThrow('第 1 项费用类型不支持：fee');
+    expect(() => normalizeLineItems([{ type: 'discount', percent: 0 }])).toThrow('第 1 项折扣比例必须在 0 到 100 之间');
+    expect(() => normalizeLineItems([{ amount: 1 }, { amount: -1 }])).toThrow('第 2 项费用金额必须是大于 0 的数字');
+    expect(() => calculateItemizedValue([], 30, 1)).toThrow('费用明细 items 不能为空');
+    expect(() => calculateItemizedValue([{ amount: 1 }], 30, 1, { taxRate: 120 })).toThrow('税率必须在 0 到 100 之间');
+    expect(() => calculateItemizedValue([{ amount: 10 }, { type: 'discount', amount: 11 }], 30, 1))
+      .toThrow('折扣金额不能超过周期性费用');
+  });
+
+  test('按付款周期计算时传入税率即按费用明细计算', () => {
+    const result = calculateByCycle({ totalCost: 30, taxRate: 10, cycle: '30d', purchaseDate: '2026-10-09' }, NOW);
+
+    expect(result).toMatchObject({ totalCost: 33, remainingValue: 22, breakdown: { tax: 3 } });
+  });
+});
+
+describe('withDailySpecs', () => {
+  test('按总天数计算月度成本，开通费不计入', () => {
+    const result = calculateItemizedValue([{ type: 'setup', amount: 100 }], 365, 0, { baseCost: 365, currency: 'JPY' });
+
+    expect(withDailySpecs(result, { cpu: 2 }, 365, { currency: 'JPY' }))
+      .toMatchObject({ totalCost: 465, specs: { cpu: 2 }, monthlyCost: 30, unitCosts: { cpu: 15.2188 } });
+  });
+
+  test('未传入配置时原样返回', () => {
+    const result = calculateRemainingValue(30, 30, 10);
+    expect(withDailySpecs(result, undefined, 30)).toBe(result);
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  escapeText,
+  foldLine,
+  resolveAlarms,
+  resolveCalendarOptions,
+  buildServerEvents,
+  buildCalendar,
+  fromInventoryRecord,
+  fromQuery
+} = require('../src/calendar');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const SERVER = { key: 'k', name: 'A', totalCost: 30, cycle: 'monthly', purchaseDate: '2026-10-05' };
+
+describe('iCalendar 格式', () => {
+  test('转义 TEXT 属性值', () => {
+    expect(escapeText('a\\b;c,d\r\ne\nf')).toBe('a\\\\b\\;c\\,d\\ne\\nf');
+  });
+
+  test('按 75 字节折行且不拆分多字节字符', () => {
+    const ascii = foldLine('x'.repeat(150));
+    expect(ascii.split('\r\n ').map((part) => part.length)).toEqual([75, 74, 1]);
+
+    const folded = foldLine(`SUMMARY:${'到'.repeat(30)}`);
+    const parts = folded.split('\r\n ');
+    expect(parts.every((part) => Buffer.byteLength(part) <= 75)).toBe(true);
+    expect(parts.join('')).toBe(`SUMMARY:${'到'.repeat(30)}`);
+    expect(foldLine('short')).toBe('short');
+  });
+
+  test('生成日历与提醒', () => {
+    const events = buildServerEvents(SERVER, { renewals: 0, now: NOW });
+    const ics = buildCalendar(events, { name: 'My, VPS', alarms: [3, 0], now: NOW });
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).toContain('X-WR-CALNAME:My\\, VPS\r\n');
+    expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT12H\r\n');
+    expect(ics).toContain('UID:k-0@vps-value-calculator\r\n');
+    expect(ics).toContain('DTSTAMP:20261019T120000Z\r\n');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20261105\r\nDTEND;VALUE=DATE:20261106\r\n');
+    expect(ics.replace(/\r\n /g, '')).toContain('DESCRIPTION:价格：¥30.00 / monthly\\n本期：2026-10-05 至 2026-11-05（31 天）\r\n');
+    expect(ics).toContain('TRIGGER:-P3D\r\n');
+    expect(ics).toContain('TRIGGER:PT0S\r\n');
+  });
+
+  test('默认日历名称与提醒天数', () => {
+    const ics = buildCalendar([]);
+
+    expect(ics).toContain('NAME:VPS 到期日历\r\n');
+    expect(ics).not.toContain('BEGIN:VEVENT');
+  });
+});
+
+describe('resolveCalendarOptions', () => {
+  test('解析提醒天数与续费次数', () => {
+    expect(resolveAlarms()).toEqual([7, 3, 1]);
+    expect(resolveAlarms('none')).toEqual([]);
+    expect(resolveAlarms('1,5,1')).toEqual([5, 1]);
+
+    expect(resolveCalendarOptions({})).toEqual({ alarms: [7, 3, 1] });
+    expect(resolveCalendarOptions({ alarms: '2', renewals: '' })).toEqual({ alarms: [2] });
+    expect(resolveCalendarOptions({ renewals: '3' })).toEqual({ alarms: [7, 3, 1], renewals: 3 });
+  });
+
+  test('参数不合法时抛出异常', () => {
+    expect(() => resolveCalendarOptions({ renewals: '21' })).toThrow('续费次数 renewals 必须是 0 到 20 之间的整数');
+    expect(() => resolveCalendarOptions({ renewals: '1.5' })).toThrow('续费次数 renewals 必须是 0 到 20 之间的整数');
+    expect(() => resolveCalendarOptions({ alarms: 'x' })).toThrow('提前提醒天数必须是 0 到 365 之间的整数：x');
+  });
+});
+
+describe('buildServerEvents', () => {
+  test('当前周期未到期时只包含到期事件', () => {
+    expect(buildServerEvents(SERVER, { now: NOW })).toEqual([{
+      uid: 'k-0@vps-value-calculator',
+      date: new Date('2026-11-05T00:00:00Z'),
+      summary: 'VPS 到期：A',
+      description: '价格：¥30.00 / monthly\n本期：2026-10-05 至 2026-11-05（31 天）'
+    }]);
+  });
+
+  test('按计划续费次数追加到期事件', () => {
+    const events = buildServerEvents({ ...SERVER, renewalPrice: 60 }, { renewals: 1, now: NOW });
+
+    expect(events.map((event) => event.summary)).toEqual(['VPS 到期：A', 'VPS 到期（计划续费）：A']);
+    expect(events[1].description).toBe(
+      '价格：¥60.00 / monthly\n本期：2026-11-05 至 2026-12-05（30 天）\n按计划续费推算，实际到期日期以续费后为准'
+    );
+  });
+
+  test('自动续费且已付各期均已到期时追加今天所在周期', () => {
+    const events = buildServerEvents({
+      ...SERVER,
+      purchaseDate: '2026-07-05',
+      terms: [{ price: 10 }, { price: 20 }],
+      currency: 'USD'
+    }, { now: NOW });
+
+    expect(events.map((event) => [event.uid, formatDay(event.date), event.summary])).toEqual([
+      ['k-0@vps-value-calculator', '2026-08-05', 'VPS 续费：A'],
+      ['k-1@vps-value-calculator', '2026-09-05', 'VPS 续费：A'],
+      ['k-3@vps-value-calculator', '2026-11-05', 'VPS 到期（计划续费）：A']
+    ]);
+    expect(events[2].description).toContain('价格：$20.00 / monthly');
+  });
+
+  test('关闭自动续费时不追加', () => {
+    const events = buildServerEvents({ ...SERVER, purchaseDate: '2026-07-05', autoRenew: false }, { now: NOW });
+
+    expect(events.map((event) => [formatDay(event.date), event.summary])).toEqual([['2026-08-05', 'VPS 到期：A']]);
+  });
+
+  test('参数不合法时抛出异常', () => {
+    expect(() => buildServerEvents({ ...SERVER, purchaseDate: '' })).toThrow('缺少必需参数：purchaseDate');
+    expect(() => buildServerEvents({ ...SERVER, purchaseDate: '2026-02-30' })).toThrow('购买日期格式不正确');
+  });
+
+  function formatDay(date) {
+    return date.toISOString().slice(0, 10);
+  }
+});
+
+describe('日历服务器', () => {
+  test('服务器清单记录', () => {
+    expect(fromInventoryRecord({ id: 'a1', provider: 'Example', plan: 'Mini' }))
+      .toMatchObject({ key: 'server-a1', name: 'Example Mini' });
+    expect(fromInventoryRecord({ id: 'a1' }).name).toBe('a1');
+  });
+
+  test('请求参数', () => {
+    const query = { totalCost: '30', cycle: 'monthly', purchaseDate: '2026-10-05', currency: 'USD' };
+
+    expect(fromQuery({ ...query, id: 'my-vps', name: 'N'.repeat(120) })).toEqual({
+      key: 'vps-my-vps',
+      name: 'N'.repeat(100),
+      totalCost: '30',
+      cycle: 'monthly',
+      purchaseDate: '2026-10-05',
+      timezone: undefined,
+      taxRate: undefined,
+      currency: 'USD',
+      renewalPrice: undefined
+    });
+
+    const generated = fromQuery({ ...query, id: 'bad id' });
+    expect(generated.name).toBe('VPS');
+    expect(generated.key).toMatch(/^vps-[0-9a-f]{16}$/);
+    expect(fromQuery(query).key).toBe(generated.key);
+    expect(fromQuery({ ...query, purchaseDate: '2026-10-06' }).key).not.toBe(generated.key);
+  });
+});
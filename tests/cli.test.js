@@ -0,0 +1,185 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vps-calc-cli-'));
+const ratesFile = path.join(dataDir, 'rates.json');
+fs.writeFileSync(ratesFile, JSON.stringify({ base: 'USD', rates: { CNY: 7.1, JPY: 150.3 } }));
+
+Object.assign(process.env, {
+  EXCHANGE_RATE_PROVIDERS: 'static',
+  EXCHANGE_RATE_STATIC_FILE: ratesFile,
+  EXCHANGE_RATE_CACHE_FILE: 'off'
+});
+
+const { main } = require('../src/cli');
+const { version } = require('../package.json');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const batchFile = path.join(dataDir, 'servers.csv');
+fs.writeFileSync(batchFile, [
+  'provider,plan,price,cycle,date,currency',
+  'Ex,Mini,30,30d,2026-10-09,USD',
+  '',
+  'Bad,,0,monthly,2026-10-01,'
+].join('\n'));
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function run(args) {
+  const output = { stdout: '', stderr: '' };
+  const code = await main(args, {
+    stdout: { write: (text) => { output.stdout += text; } },
+    stderr: { write: (text) => { output.stderr += text; } },
+    now: NOW
+  });
+  return { code, ...output };
+}
+
+describe('vps-calc 单台计算', () => {
+  test('输出对齐的表格并换算货币', async () => {
+    const { code, stdout, stderr } = await run([
+      '-c', '120', '--cycle', 'yearly', '-d', '2026-01-01', '--currency', 'usd', '--to', 'CNY', '-n', '主机'
+    ]);
+
+    expect(code).toBe(0);
+    expect(stderr).toBe('');
+    expect(stdout).toBe([
+      '名称  价格     周期    购买日期    到期日期    剩余天数  使用率  剩余价值  剩余价值（CNY）',
+      '----  -------  ------  ----------  ----------  --------  ------  --------  ---------------',
+      '主机  $120.00  yearly  2026-01-01  2027-01-01  74        79.73%  $24.33    ¥172.74',
+      ''
+    ].join('\n'));
+  });
+
+  test('直接给出总天数与已使用天数时不需要日期', async () => {
+    const { code, stdout } = await run(['-c', '30', '--total-days', '30', '--used-days', '10', '-o', 'json']);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(stdout)).toMatchObject({
+      name: null,
+      currency: 'CNY',
+      cycle: null,
+      expiryDate: null,
+      totalDays: 30,
+      usedDays: 10,
+      remainingValue: 20
+    });
+  });
+
+  test('按舍入模式取整', async () => {
+    const halfUp = await run(['-c', '0.25', '--total-days', '2', '--used-days', '1', '-o', 'json']);
+    const halfEven = await run(['-c', '0.25', '--total-days', '2', '--used-days', '1', '-o', 'json', '--rounding', 'bankers']);
+
+    expect(JSON.parse(halfUp.stdout).remainingValue).toBe(0.13);
+    expect(JSON.parse(halfEven.stdout).remainingValue).toBe(0.12);
+  });
+
+  test('参数不合法时输出错误并返回 1', async () => {
+    const cases = [
+      [['--bogus'], "错误：Unknown option '--bogus'\n使用 vps-calc --help 查看帮助\n"],
+      [['-c', '1', '-o', 'csv'], '错误：不支持的输出格式：csv，可选值：table, json, markdown\n'],
+      [['-c', '1', '--to', 'XXX'], '错误：不支持的货币类型：XXX\n'],
+      [['-c', '1', '--currency', 'XXX'], '错误：不支持的货币类型：XXX\n'],
+      [['--cycle', 'yearly'], '错误：缺少必需参数：--cost（或使用 --file 批量计算）\n'],
+      [['-c', '1', '--cycle', 'yearly'], '错误：缺少必需参数：purchaseDate（--purchase-date）\n'],
+      [['-c', '1', '-d', '2026-01-01'], '错误：缺少必需参数：cycle（--cycle）\n'],
+      [['-c', '1', '--total-days', '1.5', '--used-days', '0'], '错误：--total-days 必须是非负整数\n'],
+      [['-c', '1', '--rounding', 'down'], '错误：不支持的舍入模式：down，可选值：half-up, half-even\n']
+    ];
+
+    for (const [args, stderr] of cases) {
+      expect(await run(args)).toEqual({ code: 1, stdout: '', stderr });
+    }
+  });
+});
+
+describe('vps-calc 批量计算', () => {
+  test('输出 Markdown，单行错误不影响其它行', async () => {
+    const { code, stdout } = await run(['-f', batchFile, '-o', 'markdown', '--to', 'cny']);
+
+    expect(code).toBe(1);
+    expect(stdout).toBe([
+      '| 名称 | 价格 | 周期 | 购买日期 | 到期日期 | 剩余天数 | 使用率 | 剩余价值 | 剩余价值（CNY） | 错误 |',
+      '| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |',
+      '| Ex Mini | $30.00 | 30d | 2026-10-09 | 2026-11-08 | 20 | 33.33% | $20.00 | ¥142.00 |  |',
+      '| Bad | - | - | - | - | - | - | - | - | 总成本必须是大于 0 的数字 |',
+      ''
+    ].join('\n'));
+  });
+
+  test('JSON 输出数组并带文件行号，Markdown 转义竖线', async () => {
+    const jsonFile = path.join(dataDir, 'servers.json');
+    fs.writeFileSync(jsonFile, JSON.stringify([{ plan: 'a|b', price: 30, cycle: '30d', date: '2026-10-09' }, null]));
+
+    const json = await run(['--file', jsonFile, '-o', 'json']);
+    expect(json.code).toBe(0);
+    expect(JSON.parse(json.stdout)).toEqual([expect.objectContaining({ row: 1, name: 'a|b', remainingValue: 20 })]);
+
+    const markdown = await run(['--file', jsonFile, '-o', 'markdown']);
+    expect(markdown.stdout).toContain('| a\\|b | ¥30.00 |');
+  });
+
+  test('没有名称时使用行号', async () => {
+    const tsvFile = path.join(dataDir, 'servers.tsv');
+    fs.writeFileSync(tsvFile, 'price\tcycle\tdate\n30\t30d\t2026-10-09\n');
+
+    const { stdout } = await run(['-f', tsvFile]);
+    expect(stdout.split('\n')[2]).toMatch(/^#2 {4}¥30\.00/);
+  });
+
+  test('文件不合法时输出错误', async () => {
+    expect((await run(['-f', 'servers.xml'])).stderr)
+      .toBe('错误：无法识别文件格式：servers.xml，支持的扩展名：csv, tsv, json\n');
+    expect((await run(['-f', path.join(dataDir, 'missing.csv')])).stderr).toMatch(/^错误：文件读取失败：ENOENT/);
+    expect((await run(['-f', batchFile, '--badge', 'a.svg'])).stderr).toBe('错误：--badge 仅支持单台计算\n');
+  });
+});
+
+describe('vps-calc 徽章输出', () => {
+  const args = ['-c', '120', '--cycle', 'yearly', '-d', '2026-01-01'];
+
+  test('写入 SVG / PNG 徽章', async () => {
+    const svgFile = path.join(dataDir, 'badge.svg');
+    expect((await run([...args, '--currency', 'USD', '--to', 'JPY', '--badge', svgFile, '--lang', 'en'])).code).toBe(0);
+    const svg = fs.readFileSync(svgFile, 'utf8');
+    expect(svg).toContain('<svg');
+    expect(svg).toContain('¥3657');
+
+    const pngFile = path.join(dataDir, 'badge.png');
+    expect((await run([...args, '--badge', pngFile, '--style', 'flat', '--scale', '2'])).code).toBe(0);
+    expect(fs.readFileSync(pngFile).subarray(1, 4).toString()).toBe('PNG');
+  });
+
+  test('参数不合法时输出错误', async () => {
+    expect((await run([...args, '--badge', 'badge.gif'])).stderr).toBe('错误：徽章文件扩展名必须是：svg, png, webp\n');
+    expect((await run(['-c', '1', '--total-days', '1', '--used-days', '0', '--badge', 'a.svg'])).stderr)
+      .toBe('错误：生成徽章需要 --cycle 与 --purchase-date\n');
+    expect((await run([...args, '--badge', 'a.svg', '--style', 'round'])).stderr).toMatch(/^错误：不支持的徽章样式：round/);
+    expect((await run([...args, '--badge', 'a.png', '--scale', '9'])).stderr).toMatch(/^错误：scale 必须是/);
+  });
+});
+
+describe('vps-calc 帮助与版本', () => {
+  test('显示帮助与版本号', async () => {
+    expect((await run(['--help'])).stdout).toMatch(/^用法：vps-calc \[选项\]/);
+    expect(await run(['-v'])).toEqual({ code: 0, stdout: `${version}\n`, stderr: '' });
+  });
+
+  test('命令行入口设置退出码', () => {
+    const bin = path.join(__dirname, '..', 'bin', 'vps-calc.js');
+    expect(execFileSync(process.execPath, [bin, '--version'], { encoding: 'utf8', timeout: 10000 })).toBe(`${version}\n`);
+
+    let status;
+    try {
+      execFileSync(process.execPath, [bin, '--bogus'], { stdio: 'pipe', timeout: 10000 });
+    } catch (error) {
+      ({ status } = error);
+    }
+    expect(status).toBe(1);
+  });
+});
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vps-calc-compare-'));
+const ratesFile = path.join(dataDir, 'rates.json');
+fs.writeFileSync(ratesFile, JSON.stringify({ base: 'USD', rates: { CNY: 7.1 } }));
+
+Object.assign(process.env, {
+  EXCHANGE_RATE_PROVIDERS: 'static',
+  EXCHANGE_RATE_STATIC_FILE: ratesFile,
+  EXCHANGE_RATE_CACHE_FILE: 'off'
+});
+
+const { DEFAULT_WEIGHTS, MAX_PLANS, comparePlans } = require('../src/compare');
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const PLANS = [
+  { name: 'A', price: 30, cycle: 'monthly', specs: { cpu: 2, memory: 2048, disk: 40, traffic: 1000 } },
+  { name: 'B', price: 10, cycle: 'monthly', currency: 'usd', specs: { cpu: 8, memory: 8192, disk: 100, traffic: 4000 } },
+  { price: 90, cycle: '90d', specs: { cpu: 1 } }
+];
+
+describe('comparePlans', () => {
+  test('统一货币后按加权得分排名', async () => {
+    const result = await comparePlans(PLANS);
+
+    expect(result.weights).toEqual(DEFAULT_WEIGHTS);
+    expect(result.plans.map((plan) => [plan.name, plan.rank, plan.score, plan.monthlyCost])).toEqual([
+      ['B', 1, 100, 71],
+      ['A', 2, 66.27, 30],
+      [null, 3, 8.75, 30.44]
+    ]);
+    expect(result.plans[1]).toMatchObject({
+      rate: 1,
+      unitCosts: { cpu: 15, memory: 15, disk: 0.75, bandwidth: null, traffic: 30 },
+      scores: { cpu: 59.17, memory: 59.17, disk: 94.67, bandwidth: 0, traffic: 59.17 },
+      bestIn: []
+    });
+    expect(result.plans[0].bestIn).toEqual(['cpu', 'memory', 'disk', 'traffic']);
+    expect(result.best).toEqual({
+      cpu: { index: 1, name: 'B', unitCost: 8.875 },
+      memory: { index: 1, name: 'B', unitCost: 8.875 },
+      disk: { index: 1, name: 'B', unitCost: 0.71 },
+      bandwidth: null,
+      traffic: { index: 1, name: 'B', unitCost: 17.75 }
+    });
+  });
+
+  test('自定义权重，得分相同时月度成本低的排在前面', async () => {
+    const result = await comparePlans([
+      { name: 'expensive', price: 20, cycle: 'monthly', specs: { cpu: 2 } },
+      { name: 'cheap', price: 10, cycle: 'monthly', specs: { cpu: 1, disk: 10 } }
+    ], { currency: 'usd', weights: { cpu: 1, memory: 0, disk: 0, traffic: 0 } });
+
+    expect(result.currency).toBe('USD');
+    expect(result.plans.map((plan) => [plan.name, plan.score])).toEqual([['cheap', 100], ['expensive', 100]]);
+  });
+
+  test('参数不合法时抛出异常', async () => {
+    const plan = { price: 1, cycle: 'monthly' };
+
+    await expect(comparePlans([plan])).rejects.toThrow('plans 必须是至少包含 2 个套餐的数组');
+    await expect(comparePlans(new Array(MAX_PLANS + 1).fill(plan))).rejects.toThrow(`单次最多对比 ${MAX_PLANS} 个套餐`);
+    await expect(comparePlans([plan, plan], { currency: 'XYZ' })).rejects.toThrow('不支持的货币类型：XYZ');
+    await expect(comparePlans([plan, null])).rejects.toThrow('第 2 个套餐必须是对象');
+    await expect(comparePlans([plan, { cycle: 'monthly' }])).rejects.toThrow('第 2 个套餐价格必须是大于 0 的数字');
+    await expect(comparePlans([plan, { price: 1 }])).rejects.toThrow('第 2 个套餐缺少付款周期');
+    await expect(comparePlans([plan, { ...plan, currency: 'XYZ' }])).rejects.toThrow('第 2 个套餐货币类型不支持：XYZ');
+  });
+
+  test('权重不合法时抛出异常', async () => {
+    const plans = PLANS.slice(0, 2);
+
+    await expect(comparePlans(plans, { weights: [] })).rejects.toThrow('weights 必须是对象');
+    await expect(comparePlans(plans, { weights: { gpu: 1 } })).rejects.toThrow('不支持的权重字段：gpu');
+    await expect(comparePlans(plans, { weights: { cpu: -1 } })).rejects.toThrow('weights.cpu 必须是非负数字');
+    await expect(comparePlans(plans, { weights: { cpu: 0, memory: 0, disk: 0, traffic: 0 } }))
+      .rejects.toThrow('权重不能全部为 0');
+  });
+});
@@ -0,0 +1,32 @@
+const {
+  CURRENCIES,
+  normalizeCurrency,
+  isSupportedCurrency,
+  getCurrency,
+  getCurrencySymbol,
+  listCurrencies
+} = require('../src/currencies');
+
+describe('货币注册表', () => {
+  test('包含 ISO 4217 货币及其小数位数', () => {
+    expect(listCurrencies().length).toBeGreaterThan(150);
+    expect(listCurrencies()).toEqual(Object.keys(CURRENCIES));
+    expect(getCurrency('jpy')).toEqual({ code: 'JPY', symbol: '¥', digits: 0 });
+    expect(getCurrency('KWD').digits).toBe(3);
+    expect(getCurrency('USD')).toEqual({ code: 'USD', symbol: '$', digits: 2 });
+  });
+
+  test('规范化货币代码', () => {
+    expect(normalizeCurrency(' usd ')).toBe('USD');
+    expect(normalizeCurrency(undefined)).toBe('');
+    expect(normalizeCurrency(null)).toBe('');
+  });
+
+  test('不支持的货币', () => {
+    expect(isSupportedCurrency('XYZ')).toBe(false);
+    expect(isSupportedCurrency('toString')).toBe(false);
+    expect(getCurrency('XYZ')).toBeNull();
+    expect(getCurrencySymbol('XYZ')).toBe('XYZ');
+    expect(getCurrencySymbol('eur')).toBe('€');
+  });
+});
@@ -0,0 +1,91 @@
+const {
+  getDefaultTimezone,
+  resolveTimezone,
+  toCalendarDate,
+  today,
+  addDays,
+  addMonths,
+  diffDays,
+  daysSince,
+  formatDate,
+  normalizeLeadDays
+} = require('../src/dates');
+const { calculateByCycle } = require('../src/calculator');
+
+describe('时区', () => {
+  afterEach(() => {
+    delete process.env.DEFAULT_TIMEZONE;
+  });
+
+  test('未传入时区时使用 DEFAULT_TIMEZONE，默认为 UTC', () => {
+    expect(getDefaultTimezone()).toBe('UTC');
+    expect(resolveTimezone()).toBe('UTC');
+
+    process.env.DEFAULT_TIMEZONE = 'Asia/Shanghai';
+    expect(resolveTimezone('')).toBe('Asia/Shanghai');
+    expect(resolveTimezone(' Europe/Berlin ')).toBe('Europe/Berlin');
+  });
+
+  test('不支持的时区抛出异常', () => {
+    expect(() => resolveTimezone('Mars/Base')).toThrow('不支持的时区：Mars/Base');
+  });
+
+  test('同一时刻在不同时区属于不同的自然日', () => {
+    const now = new Date('2026-10-19T18:30:00Z');
+
+    expect(formatDate(today('UTC', now))).toBe('2026-10-19');
+    expect(formatDate(today('Asia/Shanghai', now))).toBe('2026-10-20');
+    expect(formatDate(today('America/Los_Angeles', new Date('2026-10-19T05:00:00Z')))).toBe('2026-10-18');
+  });
+
+  test('带时间的日期按时区换算，仅含年月日的日期不换算', () => {
+    expect(formatDate(toCalendarDate('2026-03-01T20:00:00-05:00', 'UTC'))).toBe('2026-03-02');
+    expect(formatDate(toCalendarDate('2026-03-01T20:00:00-05:00', 'America/New_York'))).toBe('2026-03-01');
+    expect(formatDate(toCalendarDate('2026-03-01', 'Pacific/Kiritimati'))).toBe('2026-03-01');
+  });
+
+  test('不合法的日期返回 null', () => {
+    expect(toCalendarDate('2026-02-30', 'UTC')).toBeNull();
+    expect(toCalendarDate('2026-13-01', 'UTC')).toBeNull();
+    expect(toCalendarDate('2026-00-10', 'UTC')).toBeNull();
+    expect(toCalendarDate('not-a-date', 'UTC')).toBeNull();
+    expect(daysSince('not-a-date', 'UTC')).toBeNull();
+  });
+
+  test('已使用天数按时区的自然日计算', () => {
+    const now = new Date('2026-10-19T18:30:00Z');
+    const input = { totalCost: 30, cycle: 'monthly', purchaseDate: '2026-10-01' };
+
+    expect(calculateByCycle({ ...input, timezone: 'UTC' }, now).usedDays).toBe(18);
+    expect(calculateByCycle({ ...input, timezone: 'Asia/Shanghai' }, now).usedDays).toBe(19);
+    expect(() => calculateByCycle({ ...input, timezone: 'Nope/Zone' }, now)).toThrow('不支持的时区');
+  });
+
+  test('跨越夏令时切换的天数不受影响', () => {
+    const now = new Date('2026-03-09T12:00:00Z');
+    expect(daysSince('2026-03-07', 'America/New_York', now)).toBe(2);
+  });
+});
+
+describe('日期运算', () => {
+  test('addDays / diffDays', () => {
+    const start = toCalendarDate('2024-02-28');
+    expect(formatDate(addDays(start, 2))).toBe('2024-03-01');
+    expect(diffDays(start, toCalendarDate('2024-03-01'))).toBe(2);
+    expect(diffDays(toCalendarDate('2024-03-01'), start)).toBe(-2);
+  });
+
+  test('addMonths 超出目标月份天数时取月末', () => {
+    expect(formatDate(addMonths(toCalendarDate('2025-01-31'), 1))).toBe('2025-02-28');
+    expect(formatDate(addMonths(toCalendarDate('2025-08-31'), 1))).toBe('2025-09-30');
+    expect(formatDate(addMonths(toCalendarDate('2025-11-30'), 3))).toBe('2026-02-28');
+  });
+
+  test('normalizeLeadDays 去重并从大到小排列', () => {
+    expect(normalizeLeadDays('1, 7,3,7')).toEqual([7, 3, 1]);
+    expect(normalizeLeadDays([0, 30])).toEqual([30, 0]);
+    expect(() => normalizeLeadDays([])).toThrow('提前提醒天数不能为空');
+    expect(() => normalizeLeadDays('1,x')).toThrow('提前提醒天数必须是 0 到 365 之间的整数：x');
+    expect(() => normalizeLeadDays([400])).toThrow('提前提醒天数必须是 0 到 365 之间的整数');
+  });
+});
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+const ENV_KEYS = [
+  'EXCHANGE_RATE_PROVIDERS',
+  'EXCHANGE_RATE_BASE_URL',
+  'EXCHANGE_RATE_CACHE_FILE',
+  'EXCHANGE_RATE_STATIC_FILE',
+  'EXCHANGE_RATE_BASE',
+  'EXCHANGE_RATE_HISTORY_LIMIT'
+];
+
+const USD_TABLE = { base: 'USD', rates: { CNY: 7.1, EUR: 0.9, JPY: 150.3 } };
+
+// 本地汇率接口：按 respond 返回响应并记录请求路径
+let server;
+let baseUrl;
+let requests;
+let respond;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    respond(req, res);
+  });
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+let dataDir;
+let warn;
+
+beforeEach(() => {
+  requests = [];
+  respond = (req, res) => sendJson(res, 200, USD_TABLE);
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vps-calc-exchange-'));
+  warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => delete process.env[key]);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+/**
+ * 按环境变量重新加载汇率模块（每次得到独立的缓存与汇率源配置）
+ * 默认使用本地自定义汇率源且不持久化缓存
+ */
+function loadExchange(env = {}) {
+  jest.resetModules();
+  Object.assign(process.env, {
+    EXCHANGE_RATE_PROVIDERS: 'custom',
+    EXCHANGE_RATE_BASE_URL: baseUrl,
+    EXCHANGE_RATE_CACHE_FILE: 'off'
+  }, env);
+  return require('../src/exchange');
+}
+
+function writeStaticRates(table = { base: 'USD', rates: { CNY: 7 } }) {
+  const file = path.join(dataDir, 'rates.json');
+  fs.writeFileSync(file, JSON.stringify(table));
+  return file;
+}
+
+describe('汇率源', () => {
+  test('自定义汇率源从 EXCHANGE_RATE_BASE_URL 获取基准货币汇率表', async () => {
+    respond = (req, res) => sendJson(res, 200, { base_code: 'EUR', rates: { USD: 1.1, CNY: '7.8', BAD: 'x', ZERO: 0 } });
+    const { fetchRateTable } = loadExchange({ EXCHANGE_RATE_BASE_URL: `${baseUrl}/`, EXCHANGE_RATE_BASE: 'eur' });
+
+    const table = await fetchRateTable();
+
+    expect(requests).toEqual(['/latest/EUR']);
+    expect(table).toMatchObject({
+      base: 'EUR',
+      rates: { EUR: 1, USD: 1.1, CNY: 7.8 },
+      source: 'custom',
+      age: 0,
+      fromCache: false
+    });
+    expect(Object.keys(table.rates)).toEqual(['EUR', 'USD', 'CNY']);
+  });
+
+  test('汇率源失败时按顺序尝试下一个', async () => {
+    respond = (req, res) => sendJson(res, 500, { error: 'down' });
+    const { fetchRateTable } = loadExchange({
+      EXCHANGE_RATE_PROVIDERS: 'custom, static',
+      EXCHANGE_RATE_STATIC_FILE: writeStaticRates()
+    });
+
+    const table = await fetchRateTable();
+
+    expect(table).toMatchObject({ source: 'static', rates: { USD: 1, CNY: 7 } });
+    expect(warn).toHaveBeenCalledWith('API custom 失败:', 'HTTP 500');
+  });
+
+  test('响应无法解析或汇率表无效时尝试下一个汇率源', async () => {
+    respond = (req, res) => sendJson(res, 200, 'not json');
+    const { fetchRateTable, configureExchangeRates } = loadExchange();
+    const calls = [];
+    configureExchangeRates({
+      providers: [
+        'custom',
+        { name: 'empty', getRates: async (base) => { calls.push(base); return { base, rates: {} }; } },
+        { name: 'none', getRates: async () => null },
+        { name: 'memory', getRates: async () => USD_TABLE }
+      ]
+    });
+
+    const table = await fetchRateTable();
+
+    expect(table.source).toBe('memory');
+    expect(calls).toEqual(['USD']);
+    expect(warn).toHaveBeenCalledWith('API custom 失败:', '解析失败');
+  });
+
+  test('内置公共汇率源按基准货币拼接请求地址，请求超时后尝试下一个', async () => {
+    const urls = [];
+    jest.spyOn(https, 'get').mockImplementation((url) => {
+      const request = new EventEmitter();
+      request.setTimeout = (timeout, onTimeout) => process.nextTick(onTimeout);
+      request.destroy = (error) => request.emit('error', error);
+      urls.push(url);
+      return request;
+    });
+    const { fetchRateTable, configureExchangeRates } = loadExchange();
+    configureExchangeRates({ providers: ['exchangerate-api.com', 'open.er-api.com', 'api.frankfurter.app'] });
+
+    await expect(fetchRateTable()).rejects.toThrow('所有汇率 API 源均不可用且无可用缓存');
+    expect(urls).toEqual([
+      'https://api.exchangerate-api.com/v4/latest/USD',
+      'https://open.er-api.com/v6/latest/USD',
+      'https://api.frankfurter.app/latest?from=USD'
+    ]);
+    expect(warn).toHaveBeenCalledWith('API open.er-api.com 失败:', '请求超时');
+  });
+
+  test('汇率源配置不合法时抛出异常', async () => {
+    await expect(loadExchange({ EXCHANGE_RATE_PROVIDERS: 'nope' }).fetchRateTable())
+      .rejects.toThrow('未知的汇率源：nope');
+    await expect(loadExchange({ EXCHANGE_RATE_BASE_URL: '' }).fetchRateTable())
+      .rejects.toThrow('使用 custom 汇率源需要设置 EXCHANGE_RATE_BASE_URL');
+    await expect(loadExchange({ EXCHANGE_RATE_PROVIDERS: 'static' }).fetchRateTable())
+      .rejects.toThrow('使用 static 汇率源需要设置 EXCHANGE_RATE_STATIC_FILE');
+  });
+});
+
+describe('汇率缓存', () => {
+  test('缓存有效期内不重复请求，过期后重新获取', async () => {
+    const { fetchRateTable, configureExchangeRates } = loadExchange();
+
+    await fetchRateTable();
+    const cached = await fetchRateTable();
+    expect(requests).toHaveLength(1);
+    expect(cached).toMatchObject({ source: 'custom', fromCache: false });
+
+    configureExchangeRates({ cacheDuration: 0 });
+    await fetchRateTable();
+    expect(requests).toHaveLength(2);
+  });
+
+  test('所有汇率源失败时使用过期缓存并标记为降级缓存', async () => {
+    const { fetchRateTable, configureExchangeRates } = loadExchange();
+    await fetchRateTable();
+
+    configureExchangeRates({ cacheDuration: 0 });
+    respond = (req, res) => sendJson(res, 503, {});
+    const table = await fetchRateTable();
+
+    expect(table).toMatchObject({ source: 'custom', fromCache: true, rates: { CNY: 7.1 } });
+    expect(warn).toHaveBeenCalledWith('所有 API 失败，使用降级缓存: latest');
+  });
+
+  test('无可用缓存且所有汇率源失败时抛出异常', async () => {
+    respond = (req, res) => sendJson(res, 503, {});
+    const { fetchRateTable } = loadExchange();
+
+    await expect(fetchRateTable()).rejects.toThrow('所有汇率 API 源均不可用且无可用缓存');
+  });
+
+  test('缓存持久化到磁盘，重启后继续使用', async () => {
+    const cacheFile = path.join(dataDir, 'cache', 'exchange.json');
+    await loadExchange({ EXCHANGE_RATE_CACHE_FILE: cacheFile }).fetchRateTable();
+
+    const stored = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    expect(stored.data.latest).toMatchObject({ base: 'USD', source: 'custom' });
+
+    // 旧版按货币对缓存的条目被忽略
+    stored.data.CNY_USD = { rate: 0.14, timestamp: Date.now() };
+    fs.writeFileSync(cacheFile, JSON.stringify(stored));
+
+    respond = (req, res) => sendJson(res, 503, {});
+    const { fetchRateTable, exchangeRateCache } = loadExchange({ EXCHANGE_RATE_CACHE_FILE: cacheFile });
+    const table = await fetchRateTable();
+
+    expect(requests).toHaveLength(1);
+    expect(table).toMatchObject({ source: 'custom', fromCache: false });
+    expect(Object.keys(exchangeRateCache.data)).toEqual(['latest']);
+  });
+
+  test('缓存文件损坏或无法写入时忽略并记录警告', async () => {
+    const corrupted = path.join(dataDir, 'corrupted.json');
+    fs.writeFileSync(corrupted, '{');
+    await loadExchange({ EXCHANGE_RATE_CACHE_FILE: corrupted }).fetchRateTable();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('汇率缓存文件读取失败'));
+
+    const blocked = path.join(corrupted, 'cache.json');
+    const { fetchRateTable, configureExchangeRates } = loadExchange();
+    configureExchangeRates({ cacheFile: blocked });
+    await fetchRateTable();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('汇率缓存文件写入失败'));
+  });
+});
+
+describe('交叉汇率', () => {
+  test('由基准货币汇率表计算任意两种货币之间的汇率', () => {
+    const { crossRate } = loadExchange();
+    const table = { rates: { USD: 1, CNY: 7.1, JPY: 150.3 } };
+
+    expect(crossRate(table, 'CNY', 'JPY')).toBe(21.169);
+    expect(crossRate(table, 'JPY', 'USD')).toBe(0.00665336);
+    expect(() => crossRate(table, 'CNY', 'GBP')).toThrow('汇率数据中缺少货币：GBP');
+  });
+
+  test('多个货币对共用一次获取的汇率表', async () => {
+    const { fetchExchangeRate } = loadExchange();
+
+    const cnyToJpy = await fetchExchangeRate('cny', 'jpy');
+    const eurToCny = await fetchExchangeRate('EUR', 'CNY');
+
+    expect(requests).toEqual(['/latest/USD']);
+    expect(cnyToJpy).toMatchObject({ rate: 21.169, date: null, source: 'custom', fromCache: false });
+    expect(eurToCny.rate).toBe(7.88889);
+  });
+
+  test('相同货币直接返回 1，不支持的货币抛出异常', async () => {
+    const { fetchExchangeRate } = loadExchange();
+
+    await expect(fetchExchangeRate('USD', 'usd')).resolves.toMatchObject({ rate: 1, source: 'direct', date: null });
+    await expect(fetchExchangeRate('USD', 'XYZ')).rejects.toThrow('不支持的货币类型：XYZ');
+    expect(requests).toEqual([]);
+  });
+});
+
+describe('历史汇率', () => {
+  const HISTORY = {
+    base: 'USD',
+    rates: { CNY: 7.1 },
+    history: {
+      '2025-01-02': { CNY: 7.3 },
+      '2025-03-03': { CNY: 7.2 },
+      '2025-06-02': { CNY: 7.15 }
+    }
+  };
+
+  test('自定义汇率源按日期请求历史汇率', async () => {
+    respond = (req, res) => sendJson(res, 200, { base: 'USD', date: '2025-01-02', rates: { CNY: 7.3 } });
+    const { fetchExchangeRate } = loadExchange();
+
+    const rate = await fetchExchangeRate('USD', 'CNY', '2025-01-03');
+
+    expect(requests).toEqual(['/2025-01-03/USD']);
+    expect(rate).toMatchObject({ rate: 7.3, date: '2025-01-02', source: 'custom' });
+  });
+
+  test('静态汇率文件取不晚于查询日期的最近一条记录', async () => {
+    const { fetchExchangeRate } = loadExchange({
+      EXCHANGE_RATE_PROVIDERS: 'static',
+      EXCHANGE_RATE_STATIC_FILE: writeStaticRates(HISTORY)
+    });
+
+    await expect(fetchExchangeRate('USD', 'CNY', '2025-03-10')).resolves.toMatchObject({ rate: 7.2, date: '2025-03-03' });
+    await expect(fetchExchangeRate('USD', 'CNY', new Date('2025-06-02T08:00:00Z'))).resolves.toMatchObject({ rate: 7.15 });
+    await expect(fetchExchangeRate('USD', 'CNY', '2024-12-31')).rejects.toThrow('无法获取 2024-12-31 的历史汇率');
+    await expect(fetchExchangeRate('USD', 'CNY', 'yesterday')).rejects.toThrow('汇率日期格式不正确');
+  });
+
+  test('今天及以后的日期使用最新汇率', async () => {
+    const { fetchExchangeRate } = loadExchange();
+    const rate = await fetchExchangeRate('USD', 'CNY', new Date());
+
+    expect(requests).toEqual(['/latest/USD']);
+    expect(rate.rate).toBe(7.1);
+  });
+
+  test('汇率源均不支持历史汇率时抛出异常', async () => {
+    const { fetchRateTable, configureExchangeRates } = loadExchange();
+    configureExchangeRates({ providers: ['exchangerate-api.com'] });
+
+    await expect(fetchRateTable('2025-01-02')).rejects.toThrow('当前配置的汇率源均不支持历史汇率查询');
+  });
+
+  test('历史汇率获取失败时尝试下一个汇率源', async () => {
+    const urls = [];
+    jest.spyOn(https, 'get').mockImplementation((url) => {
+      const request = new EventEmitter();
+      request.setTimeout = () => {};
+      urls.push(url);
+      process.nextTick(() => request.emit('error', new Error('offline')));
+      return request;
+    });
+    const { fetchRateTable, configureExchangeRates } = loadExchange({ EXCHANGE_RATE_STATIC_FILE: writeStaticRates(HISTORY) });
+    configureExchangeRates({ providers: ['api.frankfurter.app', 'static'] });
+
+    const table = await fetchRateTable('2025-01-05');
+
+    expect(urls).toEqual(['https://api.frankfurter.app/2025-01-05?from=USD']);
+    expect(table).toMatchObject({ date: '2025-01-02', source: 'static', rates: { CNY: 7.3 } });
+    expect(warn).toHaveBeenCalledWith('API api.frankfurter.app 历史汇率获取失败:', 'offline');
+  });
+
+  test('历史汇率长期缓存，超出上限时淘汰最久未使用的日期', async () => {
+    const { fetchRateTable, exchangeRateCache, configureExchangeRates } = loadExchange({ EXCHANGE_RATE_HISTORY_LIMIT: '2' });
+
+    await fetchRateTable('2025-01-01');
+    await fetchRateTable('2025-01-02');
+    await expect(fetchRateTable('2025-01-01')).resolves.toMatchObject({ fromCache: false });
+    expect(requests).toEqual(['/2025-01-01/USD', '/2025-01-02/USD']);
+
+    await fetchRateTable('2025-01-03');
+    expect(Object.keys(exchangeRateCache.data)).toEqual(['2025-01-01', '2025-01-03']);
+
+    configureExchangeRates({ historyLimit: 1 });
+    expect(Object.keys(exchangeRateCache.data)).toEqual(['2025-01-03']);
+  });
+
+  test('缓存上限为 0 时不缓存历史汇率，最新汇率不受上限影响', async () => {
+    const { fetchRateTable, exchangeRateCache } = loadExchange({ EXCHANGE_RATE_HISTORY_LIMIT: '0' });
+
+    await fetchRateTable();
+    await fetchRateTable('2025-01-01');
+    await fetchRateTable('2025-01-01');
+
+    expect(requests).toEqual(['/latest/USD', '/2025-01-01/USD', '/2025-01-01/USD']);
+    expect(Object.keys(exchangeRateCache.data)).toEqual(['latest']);
+  });
+
+  test('从磁盘加载缓存时按上限淘汰历史汇率表', async () => {
+    const cacheFile = path.join(dataDir, 'exchange.json');
+    const entry = { base: 'USD', rates: { USD: 1, CNY: 7 }, timestamp: Date.now() };
+    fs.writeFileSync(cacheFile, JSON.stringify({
+      data: { '2025-01-01': entry, latest: entry, '2025-01-02': entry, '2025-01-03': entry }
+    }));
+
+    const { fetchRateTable, exchangeRateCache } = loadExchange({
+      EXCHANGE_RATE_CACHE_FILE: cacheFile,
+      EXCHANGE_RATE_HISTORY_LIMIT: '1'
+    });
+    await fetchRateTable();
+
+    expect(Object.keys(exchangeRateCache.data)).toEqual(['latest', '2025-01-03']);
+    expect(requests).toEqual([]);
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vps-calc-exporter-'));
+const ratesFile = path.join(dataDir, 'rates.json');
+fs.writeFileSync(ratesFile, JSON.stringify({ base: 'USD', rates: { CNY: 7.1, JPY: 150.3 } }));
+
+Object.assign(process.env, {
+  EXCHANGE_RATE_PROVIDERS: 'static',
+  EXCHANGE_RATE_STATIC_FILE: ratesFile,
+  EXCHANGE_RATE_CACHE_FILE: 'off'
+});
+
+const { exportResults } = require('../src/exporter');
+const { parseDelimited } = require('../src/tabular');
+const { importServers } = require('../src/importer');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const SERVERS = [
+  { id: 'a', provider: 'Ex', plan: 'Mini', totalCost: 30, cycle: '30d', purchaseDate: '2026-10-09', notes: '=cmd' },
+  { name: 'usd', totalCost: 10, cycle: 'monthly', purchaseDate: '2026-10-01', currency: 'USD' },
+  { name: 'bad', totalCost: 0, cycle: 'monthly', purchaseDate: '2026-10-01' }
+];
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('exportResults', () => {
+  test('导出 CSV：换算列带目标货币，失败的服务器在 error 列说明原因', async () => {
+    const { body, contentType, filename } = await exportResults(SERVERS, { now: NOW });
+
+    expect(contentType).toBe('text/csv; charset=utf-8');
+    expect(filename).toBe('vps-servers-2026-10-19.csv');
+    expect(parseDelimited(body)).toEqual([
+      ['id', 'provider', 'plan', 'totalCost', 'currency', 'cycle', 'purchaseDate', 'timezone', 'expiryDate', 'remainingDays',
+        'usageRate', 'remainingValue', 'dailyRate', 'totalCost_CNY', 'remainingValue_CNY', 'notes', 'error'],
+      ['a', 'Ex', 'Mini', '30', 'CNY', '30d', '2026-10-09', '', '2026-11-08', '20', '33.33', '20', '1', '30', '20', "'=cmd", ''],
+      ['', '', 'usd', '10', 'USD', 'monthly', '2026-10-01', '', '2026-11-01', '13', '58.06', '4.19', '0.32', '71', '29.75', '', ''],
+      ['', '', 'bad', '0', '', 'monthly', '2026-10-01', '', '', '', '', '', '', '', '', '', '缺少必需参数：totalCost, cycle, purchaseDate']
+    ]);
+  });
+
+  test('导出 JSON 包含汇总', async () => {
+    const { body, contentType, filename } = await exportResults(SERVERS, { format: 'JSON', currency: 'usd', now: NOW });
+    const data = JSON.parse(body);
+
+    expect(contentType).toBe('application/json; charset=utf-8');
+    expect(filename).toBe('vps-servers-2026-10-19.json');
+    expect(data).toMatchObject({
+      exportedAt: '2026-10-19T12:00:00.000Z',
+      currency: 'USD',
+      summary: { count: 3, succeeded: 2, failed: 1, totalRemainingValue: 24.19 }
+    });
+    expect(data.servers[1]).toMatchObject({ id: null, plan: 'usd', totalCost_USD: 10, remainingValue_USD: 4.19, error: null });
+  });
+
+  test('导出 TSV / XLSX', async () => {
+    const tsv = await exportResults(SERVERS.slice(0, 1), { format: 'tsv', now: NOW });
+    expect(tsv.contentType).toBe('text/tab-separated-values; charset=utf-8');
+    expect(parseDelimited(tsv.body, '\t')[1].slice(0, 3)).toEqual(['a', 'Ex', 'Mini']);
+
+    const xlsx = await exportResults(SERVERS.slice(0, 1), { format: 'xlsx', now: NOW });
+    expect(xlsx.filename).toBe('vps-servers-2026-10-19.xlsx');
+    expect(xlsx.body.readUInt32LE(0)).toBe(0x04034b50);
+    expect(xlsx.body.toString()).toContain('<sheet name="VPS"');
+  });
+
+  test('服务器清单记录的名称使用商家与套餐，空列表只导出表头', async () => {
+    const records = [{ provider: 'Ex', totalCost: 30, cycle: '30d', purchaseDate: '2026-10-09' }, null];
+    const { body } = await exportResults(records, { format: 'json', now: NOW });
+    const data = JSON.parse(body);
+    expect(data.summary.nextExpiring.name).toBe('Ex');
+    expect(data.servers[1]).toMatchObject({ provider: null, error: expect.any(String) });
+
+    const empty = await exportResults([], { now: NOW });
+    expect(parseDelimited(empty.body)).toHaveLength(1);
+    expect(JSON.parse((await exportResults([], { format: 'json', now: NOW })).body).summary).toBeNull();
+  });
+
+  test('导出的 CSV 可直接重新导入', async () => {
+    const { body } = await exportResults(SERVERS.slice(0, 2), { now: NOW });
+    const inventory = { createMany: jest.fn() };
+    const result = importServers(inventory, { data: body, dryRun: true }, NOW);
+
+    expect(result).toMatchObject({ total: 2, failed: 0 });
+    expect(result.servers.map((server) => [server.provider, server.plan, server.currency])).toEqual([
+      ['Ex', 'Mini', 'CNY'],
+      [undefined, 'usd', 'USD']
+    ]);
+  });
+
+  test('参数不合法时抛出异常', async () => {
+    await expect(exportResults([], { format: 'pdf' })).rejects.toThrow('不支持的导出格式：pdf，可选值：csv, tsv, json, xlsx');
+    await expect(exportResults([], { currency: 'XXX' })).rejects.toThrow('不支持的货币类型：XXX');
+    await expect(exportResults({})).rejects.toThrow('servers 必须是数组');
+  });
+});
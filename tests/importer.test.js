@@ -0,0 +1,164 @@
+const { resolveColumns, parseImportData, mapRow, importServers } = require('../src/importer');
+const { MAX_BATCH_SIZE } = require('../src/portfolio');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+function createInventoryStub() {
+  return {
+    createMany: jest.fn((records) => records.map((record, index) => ({ id: `id-${index}`, ...record })))
+  };
+}
+
+describe('resolveColumns', () => {
+  test('按列名自动识别字段，忽略无法识别的列', () => {
+    expect(resolveColumns(['商家', 'Total Cost', 'billing_cycle', '购买日期', 'RAM', 'foo'])).toEqual({
+      columns: [
+        { header: '商家', field: 'provider' },
+        { header: 'Total Cost', field: 'totalCost' },
+        { header: 'billing_cycle', field: 'cycle' },
+        { header: '购买日期', field: 'purchaseDate' },
+        { header: 'RAM', field: 'memory' },
+        { header: 'foo', field: null }
+      ],
+      ignored: ['foo']
+    });
+  });
+
+  test('mapping 优先，值为空时忽略该列', () => {
+    const { columns, ignored } = resolveColumns(['a', 'price', 'cycle', 'date', 'items'], { a: 'totalCost', price: '' });
+
+    expect(columns.map((column) => column.field)).toEqual(['totalCost', null, 'cycle', 'purchaseDate', 'items']);
+    expect(ignored).toEqual(['price']);
+  });
+
+  test('带费用明细时可省略价格列', () => {
+    expect(() => resolveColumns(['cycle', 'date', 'items'])).not.toThrow();
+  });
+
+  test('映射不合法时抛出异常', () => {
+    expect(() => resolveColumns(['a'], [])).toThrow('mapping 必须是对象');
+    expect(() => resolveColumns(['a'], { a: 'foo' })).toThrow('列 a 映射的字段不支持：foo');
+    expect(() => resolveColumns(['price', 'cost'])).toThrow('列 price 与列 cost 都映射到字段 totalCost');
+    expect(() => resolveColumns(['price'])).toThrow('缺少必需列：cycle, purchaseDate，可通过 mapping 指定列名对应的字段');
+  });
+});
+
+describe('parseImportData', () => {
+  test('解析 CSV / TSV，空行为 null', () => {
+    expect(parseImportData(' price ,cycle\n10,monthly\n\n20', 'csv')).toEqual({
+      headers: ['price', 'cycle'],
+      rows: [{ price: '10', cycle: 'monthly' }, null, { price: '20', cycle: undefined }]
+    });
+    expect(parseImportData('price\tcycle\n10\tmonthly', 'tsv').rows).toEqual([{ price: '10', cycle: 'monthly' }]);
+  });
+
+  test('解析 JSON 数组或文本，合并各对象的字段', () => {
+    expect(parseImportData('[{"a":1},{"b":2},null]', 'json')).toEqual({
+      headers: ['a', 'b'],
+      rows: [{ a: 1 }, { b: 2 }, null]
+    });
+    expect(parseImportData([{ a: 1 }, [1]], 'json').headers).toEqual(['a']);
+  });
+
+  test('数据不合法时抛出异常', () => {
+    expect(() => parseImportData('', 'xml')).toThrow('不支持的导入格式：xml，可选值：csv, tsv, json');
+    expect(() => parseImportData('{', 'json')).toThrow('JSON 数据解析失败');
+    expect(() => parseImportData({}, 'json')).toThrow('JSON 数据必须是数组');
+    expect(() => parseImportData([], 'csv')).toThrow('CSV 数据必须是文本');
+    expect(() => parseImportData(' , \n1,2', 'csv')).toThrow('导入数据为空');
+    expect(() => parseImportData('', 'tsv')).toThrow('导入数据为空');
+  });
+});
+
+describe('mapRow', () => {
+  test('去除空白，跳过空值，硬件配置合并到 specs', () => {
+    const columns = [
+      { header: 'price', field: 'totalCost' },
+      { header: 'notes', field: 'notes' },
+      { header: 'cpu', field: 'cpu' },
+      { header: 'specs', field: 'specs' },
+      { header: 'foo', field: null }
+    ];
+
+    expect(mapRow({ price: ' 10 ', notes: '  ', cpu: '2', specs: { memory: 1024 }, foo: 'x' }, columns))
+      .toEqual({ totalCost: '10', specs: { memory: 1024, cpu: '2' } });
+    expect(mapRow({ price: 10, notes: null }, columns)).toEqual({ totalCost: 10 });
+  });
+});
+
+describe('importServers', () => {
+  const csv = [
+    'provider,price,cycle,date,cpu',
+    'A,30,monthly,2026-10-05,2',
+    '',
+    'B,0,monthly,2026-10-05,',
+    'C,30,monthly,2026-01-05,',
+    'D,30,weekly,2026-10-05,'
+  ].join('\n');
+
+  test('逐行校验，按表格行号报告错误与警告', () => {
+    const inventory = createInventoryStub();
+    const result = importServers(inventory, { data: csv }, NOW);
+
+    expect(result).toMatchObject({
+      dryRun: false,
+      total: 4,
+      imported: 2,
+      failed: 2,
+      ignoredColumns: [],
+      errors: [
+        { row: 4, error: 'totalCost 必须是大于 0 的数字' },
+        { row: 6, error: '不支持的付款周期：weekly' }
+      ],
+      warnings: []
+    });
+    expect(result.servers.map((server) => [server.id, server.provider, server.specs])).toEqual([
+      ['id-0', 'A', { cpu: 2 }],
+      ['id-1', 'C', undefined]
+    ]);
+    expect(inventory.createMany).toHaveBeenCalledTimes(1);
+  });
+
+  test('无法计算剩余价值的行照常导入并给出警告', () => {
+    const expired = importServers(createInventoryStub(), {
+      data: [{ totalCost: 30, cycle: 'monthly', purchaseDate: '2026-11-05' }],
+      format: 'JSON'
+    }, NOW);
+    expect(expired.imported).toBe(1);
+    expect(expired.warnings).toEqual([{ row: 1, valueError: '购买日期不能晚于当前日期' }]);
+  });
+
+  test('仅校验时不写入', () => {
+    const inventory = createInventoryStub();
+    const result = importServers(inventory, { data: csv, dryRun: true }, NOW);
+
+    expect(result).toMatchObject({ dryRun: true, imported: 0, failed: 2 });
+    expect(result.servers).toHaveLength(2);
+    expect(inventory.createMany).not.toHaveBeenCalled();
+  });
+
+  test('JSON 元素不是对象时报告错误，全部失败时不写入', () => {
+    const inventory = createInventoryStub();
+    const result = importServers(inventory, {
+      data: [{ totalCost: 0, cycle: 'monthly', purchaseDate: '2026-10-05' }, 1],
+      format: 'json'
+    }, NOW);
+
+    expect(result.errors).toEqual([
+      { row: 1, error: 'totalCost 必须是大于 0 的数字' },
+      { row: 2, error: '服务器数据必须是对象' }
+    ]);
+    expect(inventory.createMany).not.toHaveBeenCalled();
+  });
+
+  test('参数不合法时抛出异常', () => {
+    const inventory = createInventoryStub();
+    expect(() => importServers(inventory, {})).toThrow('缺少必需参数：data');
+    expect(() => importServers(inventory, { data: 'price,cycle,date\n\n' })).toThrow('导入数据没有数据行');
+    expect(() => importServers(inventory, { data: [], format: 'json' })).toThrow('导入数据没有数据行');
+
+    const rows = Array.from({ length: MAX_BATCH_SIZE + 1 }, () => '30,monthly,2026-10-05');
+    expect(() => importServers(inventory, { data: ['price,cycle,date', ...rows].join('\n') }))
+      .toThrow(`单次最多导入 ${MAX_BATCH_SIZE} 台服务器`);
+  });
+});
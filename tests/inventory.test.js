@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createInventory, normalizeServer, resolveCurrentTerm, withValue } = require('../src/inventory');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const BASE = { totalCost: 100, cycle: 'monthly', purchaseDate: '2026-10-05' };
+
+describe('normalizeServer', () => {
+  test('规范化字段并设置默认货币', () => {
+    expect(normalizeServer({
+      ...BASE,
+      provider: '  Example  ',
+      currency: 'usd',
+      timezone: 'asia/shanghai',
+      renewalPrice: '60',
+      taxRate: '20',
+      autoRenew: false,
+      specs: { cpu: '2', memory: 2048, disk: '' }
+    })).toEqual({
+      ...BASE,
+      provider: 'Example',
+      currency: 'USD',
+      timezone: 'Asia/Shanghai',
+      renewalPrice: 60,
+      taxRate: 20,
+      autoRenew: false,
+      specs: { cpu: 2, memory: 2048 }
+    });
+
+    expect(normalizeServer({ ...BASE, purchaseDate: new Date('2026-10-05T00:00:00Z') }))
+      .toMatchObject({ purchaseDate: '2026-10-05', currency: 'CNY' });
+  });
+
+  test('更新时沿用原值，传入 null 或空字符串时清除可选字段', () => {
+    const current = normalizeServer({
+      ...BASE,
+      notes: 'note',
+      renewalPrice: 60,
+      taxRate: 10,
+      autoRenew: true,
+      specs: { cpu: 1 },
+      items: [{ type: 'setup', amount: 5 }]
+    });
+
+    const updated = normalizeServer({
+      notes: null,
+      renewalPrice: '',
+      taxRate: null,
+      autoRenew: null,
+      specs: null,
+      items: null
+    }, current);
+
+    expect(updated).toEqual({ ...BASE, currency: 'CNY' });
+  });
+
+  test('有费用明细时可省略套餐价格', () => {
+    const record = normalizeServer({ ...BASE, totalCost: '', items: [{ name: '套餐', amount: 50 }] });
+
+    expect(record).not.toHaveProperty('totalCost');
+    expect(record.items).toEqual([{ name: '套餐', type: 'recurring', taxable: true, amount: 50 }]);
+  });
+
+  test('字段不合法时抛出异常', () => {
+    expect(() => normalizeServer([])).toThrow('服务器数据必须是对象');
+    expect(() => normalizeServer({ ...BASE, provider: 'x'.repeat(101) })).toThrow('provider 长度不能超过 100 个字符');
+    expect(() => normalizeServer({ ...BASE, timezone: 'Mars/Base' })).toThrow('不支持的时区：Mars/Base');
+    expect(() => normalizeServer({ ...BASE, taxRate: 101 })).toThrow('税率必须在 0 到 100 之间');
+    expect(() => normalizeServer({ ...BASE, totalCost: 0 })).toThrow('totalCost 必须是大于 0 的数字');
+    expect(() => normalizeServer({ ...BASE, cycle: '' })).toThrow('缺少必需参数：cycle');
+    expect(() => normalizeServer({ ...BASE, cycle: 'weekly' })).toThrow('不支持的付款周期：weekly');
+    expect(() => normalizeServer({ ...BASE, purchaseDate: '2026-02-30' })).toThrow('购买日期格式不正确');
+    expect(() => normalizeServer({ totalCost: 1, cycle: 'monthly' })).toThrow('缺少必需参数：purchaseDate');
+    expect(() => normalizeServer({ ...BASE, currency: 'xyz' })).toThrow('不支持的货币类型：XYZ');
+    expect(() => normalizeServer({ ...BASE, renewalPrice: -1 })).toThrow('续费价格必须是大于 0 的数字');
+    expect(() => normalizeServer({ ...BASE, autoRenew: 'yes' })).toThrow('autoRenew 必须是布尔值');
+    expect(() => normalizeServer({ ...BASE, specs: [] })).toThrow('specs 必须是对象');
+    expect(() => normalizeServer({ ...BASE, specs: { cpu: -1 } })).toThrow('specs.cpu 必须是非负数字');
+  });
+});
+
+describe('自动续费周期', () => {
+  test('未过首个周期时按购买日期计算', () => {
+    expect(resolveCurrentTerm(BASE, NOW)).toEqual({ input: BASE, term: { startDate: '2026-10-05', renewals: 0 } });
+    expect(withValue(BASE, NOW).value).toMatchObject({ termStartDate: '2026-10-05', renewals: 0, remainingValue: 54.84 });
+  });
+
+  test('过期后滚动到当前周期并按续费价格计算', () => {
+    const record = { ...BASE, purchaseDate: '2026-07-05', renewalPrice: 60, items: [{ type: 'setup', amount: 10 }] };
+    const { input, term } = resolveCurrentTerm(record, NOW);
+
+    expect(term).toEqual({ startDate: '2026-10-05', renewals: 3 });
+    expect(input).toEqual({ ...BASE, renewalPrice: 60, totalCost: 60 });
+    expect(withValue(record, NOW)).toMatchObject({
+      purchaseDate: '2026-07-05',
+      value: { termStartDate: '2026-10-05', renewals: 3, expiryDate: '2026-11-05', remainingValue: 32.9 }
+    });
+  });
+
+  test('未设置续费价格时沿用原价，开通费不再计入', () => {
+    const record = { totalCost: 30, cycle: '30d', purchaseDate: '2026-09-01', items: [{ type: 'setup', amount: 10 }] };
+
+    expect(withValue(record, NOW).value).toMatchObject({
+      termStartDate: '2026-10-01',
+      renewals: 1,
+      remainingValue: 12,
+      totalCost: 30,
+      breakdown: { recurring: 30, setup: 0 }
+    });
+  });
+
+  test('关闭自动续费且已过期时返回 valueError', () => {
+    const record = { ...BASE, purchaseDate: '2026-07-05', autoRenew: false };
+
+    expect(resolveCurrentTerm(record, NOW)).toEqual({ input: record, term: null });
+    expect(withValue(record, NOW)).toMatchObject({ value: null, valueError: '已使用天数不能超过总天数' });
+  });
+
+  test('附加硬件配置的单位月成本', () => {
+    const { value } = withValue({ ...BASE, specs: { cpu: 2, memory: 2048 } }, NOW);
+    expect(value).toMatchObject({ monthlyCost: 98.19, unitCosts: { cpu: 49.0927, memory: 49.0927, disk: null } });
+  });
+});
+
+describe('createInventory', () => {
+  let dataDir;
+  let file;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vps-calc-inventory-'));
+    file = path.join(dataDir, 'nested', 'servers.json');
+  });
+
+  afterEach(() => {
+    delete process.env.INVENTORY_FILE;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('增删改查并持久化到文件', () => {
+    const inventory = createInventory({ file });
+    expect(inventory.list()).toEqual([]);
+
+    const created = inventory.create({ ...BASE, provider: 'A' });
+    expect(created).toMatchObject({ ...BASE, provider: 'A', currency: 'CNY' });
+    expect(created.id).toEqual(expect.any(String));
+    expect(inventory.get(created.id)).toEqual(created);
+
+    const [second] = inventory.createMany([{ ...BASE, provider: 'B' }]);
+    const updated = inventory.update(created.id, { provider: null, notes: 'renewed' });
+    expect(updated).toMatchObject({ id: created.id, notes: 'renewed', createdAt: created.createdAt });
+    expect(updated).not.toHaveProperty('provider');
+
+    expect(inventory.remove(second.id)).toBe(true);
+
+    // 重新打开时从文件读取
+    expect(createInventory({ file }).list()).toEqual([updated]);
+  });
+
+  test('记录不存在时返回 null / false', () => {
+    const inventory = createInventory({ file });
+
+    expect(inventory.get('missing')).toBeNull();
+    expect(inventory.update('missing', {})).toBeNull();
+    expect(inventory.remove('missing')).toBe(false);
+  });
+
+  test('批量新增时任一记录不合法则全部不写入', () => {
+    const inventory = createInventory({ file });
+
+    expect(() => inventory.createMany([BASE, { ...BASE, totalCost: -1 }])).toThrow('totalCost 必须是大于 0 的数字');
+    expect(inventory.list()).toEqual([]);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  test('默认使用环境变量 INVENTORY_FILE，文件格式不正确时报错', () => {
+    process.env.INVENTORY_FILE = path.join(dataDir, 'servers.json');
+    fs.writeFileSync(process.env.INVENTORY_FILE, JSON.stringify({ servers: {} }));
+    expect(createInventory().list()).toEqual([]);
+
+    fs.writeFileSync(process.env.INVENTORY_FILE, '{');
+    expect(() => createInventory().list()).toThrow('服务器清单文件读取失败');
+  });
+});
@@ -0,0 +1,142 @@
+const {
+  ROUNDING_MODES,
+  resolveRounding,
+  currencyDigits,
+  parseDecimal,
+  divideRounded,
+  roundMoney,
+  roundRate,
+  roundTo,
+  convertMoney,
+  convertRate,
+  createMoney,
+  formatMoney
+} = require('../src/money');
+
+afterEach(() => {
+  delete process.env.DEFAULT_ROUNDING;
+});
+
+describe('resolveRounding', () => {
+  test('规范化舍入模式与别名', () => {
+    expect(ROUNDING_MODES).toEqual(['half-up', 'half-even']);
+    expect(resolveRounding('HALF_EVEN')).toBe('half-even');
+    expect(resolveRounding(' bankers ')).toBe('half-even');
+    expect(resolveRounding('halfup')).toBe('half-up');
+  });
+
+  test('未传入时使用 DEFAULT_ROUNDING', () => {
+    expect(resolveRounding()).toBe('half-up');
+    process.env.DEFAULT_ROUNDING = 'banker';
+    expect(resolveRounding('')).toBe('half-even');
+    expect(resolveRounding(null)).toBe('half-even');
+  });
+
+  test('不支持的舍入模式抛出异常', () => {
+    expect(() => resolveRounding('down')).toThrow('不支持的舍入模式：down，可选值：half-up, half-even');
+  });
+});
+
+describe('十进制运算', () => {
+  test('按货币获取小数位数，不支持的货币为 2 位', () => {
+    expect(currencyDigits('JPY')).toBe(0);
+    expect(currencyDigits('KWD')).toBe(3);
+    expect(currencyDigits('XYZ')).toBe(2);
+  });
+
+  test('数字按最短十进制表示解析', () => {
+    expect(parseDecimal(0.1)).toEqual({ units: 1n, scale: 1 });
+    expect(parseDecimal(' -.25 ')).toEqual({ units: -25n, scale: 2 });
+    expect(parseDecimal('1.5e3')).toEqual({ units: 1500n, scale: 0 });
+    expect(parseDecimal('12.5e-1')).toEqual({ units: 125n, scale: 2 });
+    expect(parseDecimal('7.')).toEqual({ units: 7n, scale: 0 });
+  });
+
+  test('格式不正确时抛出异常', () => {
+    ['', '.', 'abc', '1.2.3', 'NaN', Infinity].forEach((value) => {
+      expect(() => parseDecimal(value)).toThrow(`金额格式不正确：${value}`);
+    });
+  });
+
+  test('整数除法按舍入模式取整', () => {
+    expect(divideRounded(6n, 2n)).toBe(3n);
+    expect(divideRounded(5n, 2n)).toBe(3n);
+    expect(divideRounded(-5n, 2n)).toBe(-3n);
+    expect(divideRounded(5n, 2n, 'half-even')).toBe(2n);
+    expect(divideRounded(7n, 2n, 'half-even')).toBe(4n);
+    expect(divideRounded(5n, -2n, 'half-even')).toBe(-2n);
+    expect(divideRounded(-7n, 3n)).toBe(-2n);
+    expect(divideRounded(8n, 3n)).toBe(3n);
+  });
+});
+
+describe('取整与换算', () => {
+  test('按货币的最小货币单位取整', () => {
+    expect(roundMoney(1.005, 'USD')).toBe(1.01);
+    expect(roundMoney(2.5, 'JPY', 'half-even')).toBe(2);
+    expect(roundMoney(3.5, 'JPY', 'half-even')).toBe(4);
+    expect(roundMoney(1.2345, 'KWD')).toBe(1.235);
+    expect(roundTo(0.125, 2, 'bankers')).toBe(0.12);
+  });
+
+  test('单价至少保留 2 位小数', () => {
+    expect(roundRate(0.126, 'JPY')).toBe(0.13);
+    expect(roundRate(0.1234, 'KWD')).toBe(0.123);
+  });
+
+  test('金额与汇率精确相乘后只取整一次', () => {
+    expect(24.33 * 150).not.toBe(3649.5);
+    expect(convertMoney(24.33, 150, 'JPY')).toBe(3650);
+    expect(convertMoney(24.33, 150, 'JPY', 'half-even')).toBe(3650);
+    expect(convertMoney(1.005, '1', 'USD', 'half-even')).toBe(1);
+    expect(convertMoney(12, '7.1', 'CNY')).toBe(85.2);
+    expect(convertRate(0.1, 7.1, 'JPY')).toBe(0.71);
+  });
+});
+
+describe('createMoney', () => {
+  test('金额与最小货币单位互相转换', () => {
+    const money = createMoney({ currency: 'jpy' });
+
+    expect(money).toMatchObject({ currency: 'JPY', digits: 0, rounding: 'half-up' });
+    expect(money.units('294.5')).toBe(295n);
+    expect(money.value(295n)).toBe(295);
+    expect(money.round(2.5)).toBe(3);
+  });
+
+  test('按比例分摊与计算单价', () => {
+    const jpy = createMoney({ currency: 'JPY' });
+    expect(jpy.share(1000n, '12.5', 100)).toBe(125n);
+    expect(jpy.share(10n, 1, 3)).toBe(3n);
+    expect(jpy.rate(1000n, '30')).toBe(33.33);
+
+    const cny = createMoney({ rounding: 'half-even' });
+    expect(cny).toMatchObject({ currency: 'CNY', digits: 2, rounding: 'half-even' });
+    expect(cny.share(1001n, 1, 2)).toBe(500n);
+    expect(cny.share(1003n, '0.5')).toBe(502n);
+    expect(cny.rate(1000n, '2.5')).toBe(4);
+  });
+
+  test('货币或舍入模式不支持时抛出异常', () => {
+    expect(() => createMoney({ currency: 'XYZ' })).toThrow('不支持的货币类型：XYZ');
+    expect(() => createMoney({ rounding: 'up' })).toThrow('不支持的舍入模式：up');
+  });
+});
+
+describe('formatMoney', () => {
+  test('按货币的符号、千位分隔符与小数位数格式化', () => {
+    expect(formatMoney(1294.5, 'CNY')).toBe('¥1,294.50');
+    expect(formatMoney(294.4, 'JPY')).toBe('¥294');
+    expect(formatMoney(1380000, 'KRW')).toBe('₩1,380,000');
+    expect(formatMoney(-3.2, 'USD')).toBe('-$3.20');
+    expect(formatMoney(0.05, 'EUR')).toBe('€0.05');
+    expect(formatMoney(1234567.891, 'KWD', { grouping: false })).toBe('د.ك1234567.891');
+  });
+
+  test('按舍入模式取整，不支持的货币按 2 位小数', () => {
+    expect(formatMoney(0.125, 'USD')).toBe('$0.13');
+    expect(formatMoney(0.125, 'USD', { rounding: 'half-even' })).toBe('$0.12');
+    expect(formatMoney(-0.004, 'USD')).toBe('$0.00');
+    expect(formatMoney(2.5, 'XYZ')).toBe('XYZ2.50');
+  });
+});
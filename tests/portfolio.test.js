@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vps-calc-portfolio-'));
+const ratesFile = path.join(dataDir, 'rates.json');
+fs.writeFileSync(ratesFile, JSON.stringify({ base: 'USD', rates: { CNY: 7.1, JPY: 150.3 } }));
+
+Object.assign(process.env, {
+  EXCHANGE_RATE_PROVIDERS: 'static',
+  EXCHANGE_RATE_STATIC_FILE: ratesFile,
+  EXCHANGE_RATE_CACHE_FILE: 'off'
+});
+
+const { calculatePortfolio, MAX_BATCH_SIZE } = require('../src/portfolio');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('calculatePortfolio', () => {
+  test('逐台计算并按汇总货币汇总', async () => {
+    const { results, summary } = await calculatePortfolio([
+      { name: 'yearly', totalCost: 120, cycle: 'yearly', purchaseDate: '2026-01-01' },
+      { name: 'usd', totalCost: 10, cycle: 'monthly', purchaseDate: '2026-10-01', currency: 'usd' },
+      { name: 'terms', cycle: 'monthly', purchaseDate: '2026-09-01', terms: [{ price: 5 }, { price: 10 }] },
+      { name: 'setup', totalCost: 30, items: [{ type: 'setup', amount: 10 }], cycle: '30d', purchaseDate: '2026-10-09' },
+      { name: 'expired', totalCost: 30, cycle: 'monthly', purchaseDate: '2026-09-19' }
+    ], { now: NOW });
+
+    expect(results.every((item) => item.success)).toBe(true);
+    expect(results[1].data).toMatchObject({
+      currency: 'USD',
+      remainingValue: 4.19,
+      converted: { currency: 'CNY', rate: 7.1, remainingValue: 29.75, dailyRate: 2.27, totalCost: 71 }
+    });
+    // 月度支出：按当前周期日均成本（不含开通费，已到期的服务器不计入）
+    expect(summary).toEqual({
+      currency: 'CNY',
+      count: 5,
+      succeeded: 5,
+      failed: 0,
+      totalCost: 276,
+      totalRemainingValue: 78.27,
+      monthlyBurnRate: 119.97,
+      nextExpiring: { index: 1, name: 'usd', expiryDate: '2026-11-01', remainingDays: 13, remainingValue: 29.75 }
+    });
+  });
+
+  test('单台服务器出错不影响其它服务器', async () => {
+    const { results, summary } = await calculatePortfolio([
+      { name: 'ok', totalCost: 3000, cycle: 'monthly', purchaseDate: '2026-10-01', currency: 'JPY' },
+      { name: 'missing', cycle: 'monthly' },
+      null,
+      { name: 1, totalCost: 1, cycle: 'monthly', purchaseDate: '2026-10-01', currency: 'XYZ' }
+    ], { currency: 'jpy', now: NOW });
+
+    expect(results.slice(1)).toEqual([
+      { index: 1, name: 'missing', success: false, error: '缺少必需参数：totalCost, cycle, purchaseDate' },
+      { index: 2, name: null, success: false, error: '服务器数据必须是对象' },
+      { index: 3, name: '1', success: false, error: '不支持的货币类型：XYZ' }
+    ]);
+    expect(summary).toMatchObject({ currency: 'JPY', count: 4, succeeded: 1, failed: 3, totalRemainingValue: 1258 });
+  });
+
+  test('参数不合法时抛出异常', async () => {
+    await expect(calculatePortfolio([])).rejects.toThrow('servers 必须是非空数组');
+    await expect(calculatePortfolio(new Array(MAX_BATCH_SIZE + 1).fill({})))
+      .rejects.toThrow(`单次最多计算 ${MAX_BATCH_SIZE} 台服务器`);
+    await expect(calculatePortfolio([{}], { currency: 'XYZ' })).rejects.toThrow('不支持的货币类型：XYZ');
+    await expect(calculatePortfolio([{}], { rounding: 'up' })).rejects.toThrow('不支持的舍入模式：up');
+  });
+});
@@ -0,0 +1,92 @@
+const { calculateProration } = require('../src/proration');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const CURRENT = { totalCost: 30, cycle: '30d', purchaseDate: '2026-10-09' };
+
+describe('calculateProration', () => {
+  test('保持原到期日：新套餐按剩余天数折算', () => {
+    expect(calculateProration({ current: CURRENT, target: { price: 60 } }, NOW)).toEqual({
+      currency: 'CNY',
+      mode: 'keep-expiry',
+      direction: 'upgrade',
+      changeDate: '2026-10-19',
+      current: {
+        totalCost: 30,
+        cycle: '30d',
+        purchaseDate: '2026-10-09',
+        expiryDate: '2026-11-08',
+        totalDays: 30,
+        usedDays: 10,
+        remainingDays: 20,
+        dailyRate: 1
+      },
+      target: { price: 60, cycle: '30d', cycleDays: 30, dailyRate: 2 },
+      credit: 20,
+      newPlanCost: 40,
+      netAmount: 20,
+      amountDue: 20,
+      refundAmount: 0,
+      accountCredit: 0,
+      forfeited: 0,
+      newExpiryDate: '2026-11-08'
+    });
+  });
+
+  test('从变更日起开始新周期', () => {
+    expect(calculateProration({ current: CURRENT, target: { price: 600, cycle: '1y' }, mode: 'new-term' }, NOW))
+      .toMatchObject({ direction: 'upgrade', newPlanCost: 600, netAmount: 580, amountDue: 580, newExpiryDate: '2027-10-19' });
+  });
+
+  test('按新套餐日均价格延长使用天数，不足一天的价值不折算', () => {
+    expect(calculateProration({ current: CURRENT, target: { price: 60 }, mode: 'extend' }, NOW))
+      .toMatchObject({ creditDays: 10, newPlanCost: 20, netAmount: 0, forfeited: 0, newExpiryDate: '2026-10-29' });
+    expect(calculateProration({ current: CURRENT, target: { price: 45 }, mode: 'extend' }, NOW))
+      .toMatchObject({ creditDays: 13, newPlanCost: 19.5, forfeited: 0.5, newExpiryDate: '2026-11-01' });
+  });
+
+  test('降级差额按处理方式退回余额、原路退款或不退还', () => {
+    const input = { current: CURRENT, target: { price: 15 }, date: '2026-10-19' };
+
+    expect(calculateProration(input, NOW))
+      .toMatchObject({ direction: 'downgrade', netAmount: -10, amountDue: 0, accountCredit: 10, refundAmount: 0 });
+    expect(calculateProration({ ...input, downgradeRefund: 'refund' }, NOW)).toMatchObject({ refundAmount: 10, accountCredit: 0 });
+    expect(calculateProration({ ...input, downgradeRefund: 'none' }, NOW)).toMatchObject({ forfeited: 10, accountCredit: 0 });
+    expect(calculateProration({ ...input, target: { price: 30 } }, NOW)).toMatchObject({ direction: 'same', netAmount: 0 });
+  });
+
+  test('按费用明细计算抵扣额，开通费不计入日均价格', () => {
+    const current = { cycle: '30d', purchaseDate: '2026-10-09', items: [{ amount: 30 }, { type: 'setup', amount: 10 }] };
+
+    expect(calculateProration({ current, target: { price: 30 } }, NOW))
+      .toMatchObject({ direction: 'same', credit: 20, current: { totalCost: 40, dailyRate: 1 } });
+  });
+
+  test('货币与时区默认沿用当前套餐', () => {
+    const current = { ...CURRENT, totalCost: 3000, currency: 'JPY', timezone: 'Asia/Tokyo' };
+    const result = calculateProration({ current, target: { price: 4500 } }, new Date('2026-10-18T20:00:00Z'));
+
+    expect(result).toMatchObject({ currency: 'JPY', changeDate: '2026-10-19', credit: 2000, newPlanCost: 3000 });
+    expect(() => calculateProration({ current, target: { price: 0.4 } }, NOW))
+      .toThrow('目标套餐价格 target.price 不能小于 JPY 的最小货币单位');
+  });
+
+  test('参数不合法时抛出异常', () => {
+    expect(() => calculateProration({ current: CURRENT }, NOW)).toThrow('缺少必需参数：current, target');
+    expect(() => calculateProration({ current: { cycle: '30d' }, target: { price: 1 } }, NOW))
+      .toThrow('缺少必需参数：current.totalCost, current.cycle, current.purchaseDate');
+    expect(() => calculateProration({ current: CURRENT, target: { price: 'x' } }, NOW))
+      .toThrow('目标套餐价格 target.price 必须是大于 0 的数字');
+    expect(() => calculateProration({ current: CURRENT, target: { price: 1 }, mode: 'swap' }, NOW))
+      .toThrow('不支持的差价计算方式：swap');
+    expect(() => calculateProration({ current: CURRENT, target: { price: 1 }, downgradeRefund: 'cash' }, NOW))
+      .toThrow('不支持的降级差额处理方式：cash');
+    expect(() => calculateProration({ current: { ...CURRENT, purchaseDate: 'x' }, target: { price: 1 } }, NOW))
+      .toThrow('购买日期格式不正确');
+    expect(() => calculateProration({ current: CURRENT, target: { price: 1 }, date: 'x' }, NOW))
+      .toThrow('变更日期格式不正确');
+    expect(() => calculateProration({ current: CURRENT, target: { price: 1 }, date: '2026-10-01' }, NOW))
+      .toThrow('变更日期不能早于购买日期');
+    expect(() => calculateProration({ current: CURRENT, target: { price: 1 }, date: '2026-11-09' }, NOW))
+      .toThrow('变更日期不能晚于当前周期到期日期');
+  });
+});
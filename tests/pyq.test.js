@@ -0,0 +1,106 @@
+const { buildPyqSvg, buildPyqSvgFromQuery } = require('../src/pyq');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const VPS = { totalCost: '300', cycle: '30d', purchaseDate: '2026-10-09' };
+
+function textOf(svg) {
+  return svg.match(/>([^<]*)<\/text>/)[1];
+}
+
+describe('buildPyqSvgFromQuery', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('默认输出完整七彩圆环', () => {
+    const { svg } = buildPyqSvgFromQuery({});
+
+    expect(svg).toContain('width="256" height="256"');
+    expect(svg).toContain('<circle cx="128" cy="128" r="111" fill="none" stroke="url(#ring)" stroke-width="18"/>');
+    expect(svg).toContain('<stop offset="100%" stop-color="#af52de"/>');
+    expect(svg).toContain('font-size="64"');
+    expect(textOf(svg)).toBe('PYQ');
+  });
+
+  test('percent 绘制进度环与底色轨道', () => {
+    const { svg } = buildPyqSvgFromQuery({ percent: '25', trackColor: '#333' });
+
+    expect(svg).toContain('stroke="#333"');
+    expect(svg).toContain('stroke-dasharray="174.36 697.43"');
+  });
+
+  test('进度为 0 时只显示轨道', () => {
+    const { svg } = buildPyqSvgFromQuery({ percent: '0' });
+
+    expect(svg).not.toContain('url(#ring)" stroke-width');
+    expect(svg).toContain('rgba(255,255,255,0.15)');
+  });
+
+  test('按剩余价值或已用比例绘制进度环', () => {
+    expect(textOf(buildPyqSvgFromQuery({ ...VPS, display: 'percent' }).svg)).toBe('67%');
+    expect(textOf(buildPyqSvgFromQuery({ ...VPS, arc: 'used', display: 'percent' }).svg)).toBe('33%');
+  });
+
+  test('显示剩余价值与天数时自动缩小字号', () => {
+    const value = buildPyqSvgFromQuery({ ...VPS, display: 'value' }).svg;
+    expect(textOf(value)).toBe('¥200.00');
+    expect(value).toContain('font-size="39"');
+
+    expect(textOf(buildPyqSvgFromQuery({ ...VPS, display: 'days' }).svg)).toBe('20d');
+    expect(textOf(buildPyqSvgFromQuery({ ...VPS, display: 'value', textSize: '20' }).svg)).toBe('¥200.00');
+  });
+
+  test('千元以上的剩余价值省略小数', () => {
+    const { svg } = buildPyqSvgFromQuery({ ...VPS, totalCost: '3000', currency: 'USD', display: 'value' });
+    expect(textOf(svg)).toBe('$2000');
+  });
+
+  test('参数不合法时返回错误', () => {
+    expect(buildPyqSvgFromQuery({ text: ['a', 'b'] }).error).toBe('参数不能重复：text');
+    expect(buildPyqSvgFromQuery({ percent: '101' }).error).toBe('percent 必须是 0 到 100 之间的数字');
+    expect(buildPyqSvgFromQuery({ ...VPS, arc: 'total' }).error).toBe('不支持的进度类型：total，可选值：remaining, used');
+    expect(buildPyqSvgFromQuery({ ...VPS, totalCost: '-1' }).error).toBeDefined();
+    expect(buildPyqSvgFromQuery({ display: 'ring' }).error).toBe('不支持的显示内容：ring，可选值：text, percent, value, days');
+    expect(buildPyqSvgFromQuery({ display: 'percent' }).error).toBe('显示百分比需要提供 percent 或 totalCost, cycle, purchaseDate');
+    expect(buildPyqSvgFromQuery({ percent: '50', display: 'value' }).error)
+      .toBe('显示剩余价值或天数需要提供 totalCost, cycle, purchaseDate');
+  });
+});
+
+describe('buildPyqSvg', () => {
+  const options = { size: 128, ringWidth: 10, ringPadding: 4, textSize: 32 };
+
+  test('圆环半径为非正值时返回错误', () => {
+    expect(buildPyqSvg({ ...options, ringWidth: 128 }).error).toBe('size、ringWidth、ringPadding 组合导致圆环半径为非正值');
+  });
+
+  test('支持背景、自定义渐变、发光与阴影', () => {
+    const { svg } = buildPyqSvg({
+      ...options,
+      text: '<PYQ>',
+      background: '#000',
+      gradient: '#f00,#00f',
+      gradientDirection: 'vertical',
+      glow: '1',
+      shadow: 'both'
+    });
+
+    expect(svg).toContain('<rect width="128" height="128" fill="#000"/>');
+    expect(svg).toContain('<stop offset="0%" stop-color="#f00"/><stop offset="100%" stop-color="#00f"/>');
+    expect(svg).toContain('x1="50.00%" y1="0.00%" x2="50.00%" y2="100.00%"');
+    expect(svg).toContain('filter="url(#glow)"');
+    expect(svg).toContain('stroke-width="10" filter="url(#shadow)"');
+    expect(svg).toContain('fill="#ffffff" filter="url(#shadow)">&lt;PYQ&gt;</text>');
+  });
+
+  test('未知渐变方向时使用 gradientAngle，透明背景不绘制底色', () => {
+    const { svg } = buildPyqSvg({ ...options, background: 'transparent', gradientDirection: 'up', gradientAngle: '0' });
+
+    expect(svg).not.toContain('<rect');
+    expect(svg).toContain('x1="0.00%" y1="50.00%" x2="100.00%" y2="50.00%"');
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  BUILTIN_REFUND_POLICIES,
+  resolveRefundPolicy,
+  calculateRefund,
+  listRefundPolicies
+} = require('../src/refund');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const BASE = { totalCost: 120, cycle: 'yearly', purchaseDate: '2026-01-01' };
+
+describe('resolveRefundPolicy', () => {
+  test('解析内置策略与自定义策略', () => {
+    expect(resolveRefundPolicy()).toEqual({
+      name: 'prorated', method: 'prorated', fullRefundDays: 0, fee: 0, feePercent: 0, creditOnly: false
+    });
+    expect(resolveRefundPolicy({ extends: 'full-30d', name: 'Host', fee: '1.5' }))
+      .toMatchObject({ name: 'Host', method: 'none', fullRefundDays: 30, fee: 1.5 });
+    expect(resolveRefundPolicy({})).toMatchObject({ name: 'custom', method: 'prorated' });
+  });
+
+  test('策略不合法时抛出异常', () => {
+    expect(() => resolveRefundPolicy([])).toThrow('退款策略必须是策略名称或对象');
+    expect(() => resolveRefundPolicy('weekly')).toThrow('不支持的退款策略：weekly');
+    expect(() => resolveRefundPolicy({ method: 'half' })).toThrow('不支持的退款方式：half');
+    expect(() => resolveRefundPolicy({ fullRefundDays: 1.5 })).toThrow('全额退款天数必须是非负整数');
+    expect(() => resolveRefundPolicy({ fee: -1 })).toThrow('退款手续费必须是非负数字');
+    expect(() => resolveRefundPolicy({ feePercent: 101 })).toThrow('退款手续费比例必须在 0 到 100 之间');
+  });
+
+  test('列出内置策略', () => {
+    const policies = listRefundPolicies();
+
+    expect(policies.map((policy) => policy.name)).toEqual(Object.keys(BUILTIN_REFUND_POLICIES));
+    expect(policies.find((policy) => policy.name === 'credit'))
+      .toMatchObject({ creditOnly: true, description: '按剩余天数比例退回账户余额（不可提现）' });
+  });
+});
+
+describe('calculateRefund', () => {
+  test('按剩余天数比例退款，默认退款日期为今天', () => {
+    expect(calculateRefund(BASE, NOW)).toEqual({
+      currency: 'CNY',
+      policy: resolveRefundPolicy('prorated'),
+      purchaseDate: '2026-01-01',
+      refundDate: '2026-10-19',
+      expiryDate: '2027-01-01',
+      totalCost: 120,
+      totalDays: 365,
+      usedDays: 291,
+      remainingDays: 74,
+      inFullRefundWindow: false,
+      grossRefund: 24.33,
+      fee: 0,
+      refundAmount: 24.33,
+      refundType: 'cash',
+      linearValue: 24.33,
+      difference: 0,
+      recommendation: 'refund'
+    });
+  });
+
+  test('全额退款期内全额退款且不收手续费', () => {
+    const result = calculateRefund({ ...BASE, date: '2026-01-20', policy: { extends: 'full-30d', fee: 5 } }, NOW);
+
+    expect(result).toMatchObject({ inFullRefundWindow: true, grossRefund: 120, fee: 0, refundAmount: 120 });
+    expect(calculateRefund({ ...BASE, policy: 'full-30d' }, NOW))
+      .toMatchObject({ inFullRefundWindow: false, refundAmount: 0, difference: -24.33, recommendation: 'resell' });
+  });
+
+  test('扣除固定与比例手续费，手续费不超过可退金额', () => {
+    expect(calculateRefund({ ...BASE, policy: { fee: 2, feePercent: 10 } }, NOW))
+      .toMatchObject({ grossRefund: 24.33, fee: 4.43, refundAmount: 19.9, recommendation: 'resell' });
+    expect(calculateRefund({ ...BASE, policy: { fee: 100 } }, NOW))
+      .toMatchObject({ fee: 24.33, refundAmount: 0 });
+  });
+
+  test('仅退余额时须高于剩余价值才建议退款', () => {
+    expect(calculateRefund({ ...BASE, policy: 'credit' }, NOW))
+      .toMatchObject({ refundType: 'credit', refundAmount: 24.33, recommendation: 'resell' });
+  });
+
+  test('仅退还未开始的整月费用', () => {
+    expect(calculateRefund({ ...BASE, policy: 'unused-months' }, NOW))
+      .toMatchObject({ unusedMonths: 2, grossRefund: 20, refundAmount: 20, recommendation: 'resell' });
+    expect(calculateRefund({ ...BASE, policy: 'unused-months', date: '2027-03-01' }, NOW))
+      .toMatchObject({ usedDays: 365, remainingDays: 0, unusedMonths: 0, refundAmount: 0, recommendation: 'refund' });
+    expect(() => calculateRefund({ ...BASE, cycle: '90d', policy: 'unused-months' }, NOW))
+      .toThrow('按整月退款仅支持按月或按年计费的付款周期');
+  });
+
+  test('按货币的最小货币单位计算', () => {
+    expect(calculateRefund({ ...BASE, totalCost: 12000, currency: 'JPY', policy: { feePercent: 2.5 } }, NOW))
+      .toMatchObject({ currency: 'JPY', grossRefund: 2433, fee: 61, refundAmount: 2372 });
+  });
+
+  test('参数不合法时抛出异常', () => {
+    expect(() => calculateRefund({ cycle: 'yearly' }, NOW)).toThrow('缺少必需参数：totalCost, cycle, purchaseDate');
+    expect(() => calculateRefund({ ...BASE, totalCost: 'abc' }, NOW)).toThrow('totalCost 必须是大于 0 的数字');
+    expect(() => calculateRefund({ ...BASE, purchaseDate: '2026-13-01' }, NOW)).toThrow('购买日期格式不正确');
+    expect(() => calculateRefund({ ...BASE, date: 'soon' }, NOW)).toThrow('退款日期格式不正确');
+    expect(() => calculateRefund({ ...BASE, date: '2025-12-31' }, NOW)).toThrow('退款日期不能早于购买日期');
+  });
+});
@@ -0,0 +1,341 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  detectWebhookFormat,
+  getReminderConfigFromEnv,
+  buildReminderPayload,
+  createReminderScheduler
+} = require('../src/reminders');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+// 2026-10-21 到期，剩余 2 天
+const SERVER = {
+  id: 'srv-1',
+  provider: 'Example',
+  plan: 'Mini',
+  totalCost: 30,
+  cycle: '30d',
+  purchaseDate: '2026-09-21',
+  currency: 'CNY',
+  autoRenew: false
+};
+
+let server;
+let baseUrl;
+let requests;
+let statuses;
+let tmpDir;
+
+beforeAll((done) => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, body: JSON.parse(body) });
+      const status = statuses.length > 0 ? statuses.shift() : 200;
+      // 状态码为 0 时不响应，用于测试超时
+      if (status === 0) return;
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.closeAllConnections();
+  server.close(done);
+});
+
+beforeEach(() => {
+  requests = [];
+  statuses = [];
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vps-calc-reminders-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+function createScheduler(servers, options = {}) {
+  return createReminderScheduler({
+    inventory: { list: () => servers },
+    webhooks: [`${baseUrl}/hook/secret-token`],
+    retryDelay: 1,
+    stateFile: false,
+    ...options
+  });
+}
+
+describe('Webhook 消息格式', () => {
+  const reminder = {
+    server: { id: 'srv-1', provider: null, plan: null },
+    leadDays: 0,
+    expiryDate: '2026-10-19',
+    remainingDays: 0,
+    remainingValue: 1234.5,
+    currency: 'CNY'
+  };
+  const text = '⏰ VPS 即将到期：srv-1\n到期日期：2026-10-19（今天到期）\n剩余价值：¥1,234.50';
+
+  test('根据地址推断格式', () => {
+    expect(detectWebhookFormat('https://api.telegram.org/bot1/sendMessage')).toBe('telegram');
+    expect(detectWebhookFormat('https://discordapp.com/api/webhooks/1/x')).toBe('discord');
+    expect(detectWebhookFormat('https://hooks.slack.com/services/x')).toBe('slack');
+    expect(detectWebhookFormat('https://example.com/hook')).toBe('generic');
+  });
+
+  test('按格式生成请求体', () => {
+    expect(buildReminderPayload(reminder, { format: 'telegram', chatId: '42' }))
+      .toEqual({ chat_id: '42', text, disable_web_page_preview: true });
+    expect(buildReminderPayload(reminder, { format: 'discord' })).toEqual({ content: text });
+    expect(buildReminderPayload(reminder, { format: 'slack' })).toEqual({ text });
+    expect(buildReminderPayload(reminder, { format: 'generic' }))
+      .toEqual({ event: 'vps.expiry_reminder', text, ...reminder });
+  });
+});
+
+describe('getReminderConfigFromEnv', () => {
+  const keys = [
+    'REMINDER_WEBHOOK_URL',
+    'REMINDER_WEBHOOK_FORMAT',
+    'REMINDER_TELEGRAM_CHAT_ID',
+    'REMINDER_LEAD_DAYS',
+    'REMINDER_CHECK_INTERVAL',
+    'REMINDER_RETRIES',
+    'REMINDER_STATE_FILE'
+  ];
+
+  afterEach(() => {
+    keys.forEach((key) => delete process.env[key]);
+  });
+
+  test('未设置时使用默认值', () => {
+    keys.forEach((key) => delete process.env[key]);
+    expect(getReminderConfigFromEnv()).toEqual({
+      webhooks: [],
+      leadDays: undefined,
+      interval: undefined,
+      retries: undefined,
+      stateFile: undefined
+    });
+  });
+
+  test('读取环境变量', () => {
+    Object.assign(process.env, {
+      REMINDER_WEBHOOK_URL: 'https://a.example/hook, https://b.example/hook',
+      REMINDER_WEBHOOK_FORMAT: 'slack',
+      REMINDER_TELEGRAM_CHAT_ID: '42',
+      REMINDER_LEAD_DAYS: '5,1',
+      REMINDER_CHECK_INTERVAL: '30',
+      REMINDER_RETRIES: '0',
+      REMINDER_STATE_FILE: 'off'
+    });
+
+    expect(getReminderConfigFromEnv()).toEqual({
+      webhooks: [
+        { url: 'https://a.example/hook', format: 'slack', chatId: '42' },
+        { url: 'https://b.example/hook', format: 'slack', chatId: '42' }
+      ],
+      leadDays: '5,1',
+      interval: 30 * 60 * 1000,
+      retries: 0,
+      stateFile: false
+    });
+
+    process.env.REMINDER_STATE_FILE = '/tmp/reminders.json';
+    expect(getReminderConfigFromEnv().stateFile).toBe('/tmp/reminders.json');
+  });
+});
+
+describe('createReminderScheduler', () => {
+  test('配置不合法时抛出异常', () => {
+    const inventory = { list: () => [] };
+    expect(() => createReminderScheduler({ inventory, webhooks: ['ftp://x'] }))
+      .toThrow('第 1 个 Webhook 地址必须以 http:// 或 https:// 开头');
+    expect(() => createReminderScheduler({ inventory, webhooks: ['https://a.example/hook', 'https://[x'] }))
+      .toThrow('第 2 个 Webhook 地址格式不正确');
+    expect(() => createReminderScheduler({ inventory, webhooks: [{ url: 'https://x', format: 'email' }] }))
+      .toThrow('不支持的 Webhook 格式：email，可选值：generic, telegram, discord, slack');
+    expect(() => createReminderScheduler({ inventory, webhooks: ['https://api.telegram.org/bot1/sendMessage'] }))
+      .toThrow('Telegram Webhook 需要配置 chatId');
+    expect(() => createReminderScheduler({ inventory, retries: 11 })).toThrow('重试次数必须是 0 到 10 之间的整数');
+    expect(() => createReminderScheduler({ inventory, interval: 1000 })).toThrow('检查间隔不能小于 1 分钟');
+  });
+
+  test('未配置 Webhook 时不启用', async () => {
+    const scheduler = createScheduler([SERVER], { webhooks: [] });
+
+    expect(scheduler.enabled).toBe(false);
+    scheduler.start();
+    expect(await scheduler.check(NOW)).toEqual([]);
+    expect(requests).toHaveLength(0);
+  });
+
+  test('跨过多个提醒点时只发送最近的一次，并隐藏 Webhook 路径', async () => {
+    const scheduler = createScheduler([SERVER]);
+
+    expect(scheduler.webhooks).toEqual([{ format: 'generic' }]);
+    expect(scheduler.leadDays).toEqual([7, 3, 1]);
+
+    const [result] = await scheduler.check(NOW);
+    expect(result).toMatchObject({
+      server: { id: 'srv-1', provider: 'Example', plan: 'Mini' },
+      leadDays: 3,
+      expiryDate: '2026-10-21',
+      remainingDays: 2,
+      remainingValue: 2,
+      delivered: true
+    });
+    expect(result.deliveries[0]).toMatchObject({
+      webhook: baseUrl,
+      format: 'generic',
+      status: 'delivered',
+      attempts: 1,
+      statusCode: 200
+    });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('/hook/secret-token');
+    expect(requests[0].body.text).toBe('⏰ VPS 即将到期：Example Mini\n到期日期：2026-10-21（剩余 2 天）\n剩余价值：¥2.00');
+    expect(JSON.stringify(scheduler.logs())).not.toContain('secret-token');
+  });
+
+  test('投递日志不包含 Webhook 地址中的凭据与查询参数', async () => {
+    const webhook = baseUrl.replace('//', '//user:basic-secret@') + '?token=query-secret';
+    const scheduler = createScheduler([SERVER], { webhooks: [webhook] });
+
+    const [result] = await scheduler.check(NOW);
+    expect(result.deliveries[0]).toMatchObject({ webhook: baseUrl, status: 'delivered' });
+    expect(requests[0].url).toBe('/?token=query-secret');
+
+    const logs = JSON.stringify(scheduler.logs());
+    expect(logs).not.toContain('basic-secret');
+    expect(logs).not.toContain('query-secret');
+  });
+
+  test('同一提醒点只提醒一次，到达下一个提醒点时再次提醒', async () => {
+    const scheduler = createScheduler([SERVER]);
+
+    await scheduler.check(NOW);
+    expect(await scheduler.check(NOW)).toEqual([]);
+
+    const [result] = await scheduler.check(new Date('2026-10-20T12:00:00Z'));
+    expect(result).toMatchObject({ leadDays: 1, remainingDays: 1 });
+    expect(requests).toHaveLength(2);
+    expect(scheduler.logs(1)).toHaveLength(1);
+  });
+
+  test('失败时按次数重试', async () => {
+    statuses = [500, 502];
+    const scheduler = createScheduler([SERVER]);
+
+    const [result] = await scheduler.check(NOW);
+    expect(result.deliveries[0]).toMatchObject({ status: 'delivered', attempts: 3 });
+    expect(requests).toHaveLength(3);
+  });
+
+  test('全部失败时记录错误，下次检查再次尝试', async () => {
+    statuses = [500, 500];
+    const scheduler = createScheduler([SERVER], { retries: 1 });
+
+    const [failed] = await scheduler.check(NOW);
+    expect(failed.delivered).toBe(false);
+    expect(failed.deliveries[0]).toMatchObject({ status: 'failed', attempts: 2, statusCode: 500, error: 'HTTP 500' });
+
+    const [retried] = await scheduler.check(NOW);
+    expect(retried.delivered).toBe(true);
+  });
+
+  test('请求超时或连接失败时记录错误', async () => {
+    statuses = [0];
+    const scheduler = createScheduler([SERVER], {
+      webhooks: [`${baseUrl}/hook`, 'https://127.0.0.1:1/hook'],
+      retries: 0,
+      timeout: 50
+    });
+
+    const [result] = await scheduler.check(NOW);
+    expect(result.deliveries.map((entry) => entry.error)).toEqual(['请求超时', expect.stringContaining('ECONNREFUSED')]);
+  });
+
+  test('剩余价值无法计算时仍按周期推算到期日期', async () => {
+    const scheduler = createScheduler([
+      { ...SERVER, id: 'future', purchaseDate: '2026-10-20', cycle: '1d' },
+      { ...SERVER, id: 'expired', purchaseDate: '2026-09-01' },
+      { ...SERVER, id: 'invalid', purchaseDate: 'x' }
+    ]);
+
+    const results = await scheduler.check(NOW);
+    expect(results.map((result) => result.server.id)).toEqual(['future']);
+    expect(results[0]).toMatchObject({ expiryDate: '2026-10-21', remainingDays: 2, remainingValue: null });
+    expect(requests[0].body.text).toContain('剩余价值：无法计算');
+  });
+
+  test('检查进行中时复用同一次检查', async () => {
+    const scheduler = createScheduler([SERVER]);
+
+    const first = scheduler.check(NOW);
+    expect(scheduler.check(NOW)).toBe(first);
+    await first;
+    expect(requests).toHaveLength(1);
+  });
+
+  test('提醒状态持久化到文件，并清理已过期的记录', async () => {
+    const stateFile = path.join(tmpDir, 'state', 'reminders.json');
+    fs.mkdirSync(path.dirname(stateFile));
+    fs.writeFileSync(stateFile, JSON.stringify({ sent: { 'old:2026-01-01:7': '2026-01-01T00:00:00Z' }, logs: 'x' }));
+
+    await createScheduler([SERVER], { stateFile }).check(NOW);
+
+    const stored = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    expect(Object.keys(stored.sent)).toEqual(['srv-1:2026-10-21:7', 'srv-1:2026-10-21:3']);
+    expect(stored.logs).toHaveLength(1);
+
+    expect(await createScheduler([SERVER], { stateFile }).check(NOW)).toEqual([]);
+    expect(requests).toHaveLength(1);
+  });
+
+  test('状态文件读写失败时记录警告并继续', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const corrupt = path.join(tmpDir, 'corrupt.json');
+    fs.writeFileSync(corrupt, '{');
+
+    expect(createScheduler([], { stateFile: corrupt }).logs()).toEqual([]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('提醒状态文件读取失败'));
+
+    await createScheduler([], { stateFile: path.join(corrupt, 'reminders.json') }).check(NOW);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('提醒状态文件写入失败'));
+  });
+
+  test('定时检查，检查失败时输出错误', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const send = jest.fn().mockResolvedValue({ statusCode: 204 });
+    const scheduler = createReminderScheduler({
+      inventory: { list: () => { throw new Error('读取失败'); } },
+      webhooks: ['https://example.com/hook'],
+      stateFile: false,
+      send
+    });
+
+    scheduler.start();
+    scheduler.start();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(error).toHaveBeenCalledTimes(1);
+    expect(error).toHaveBeenCalledWith('到期提醒检查失败:', expect.any(Error));
+
+    scheduler.stop();
+    scheduler.stop();
+    expect(send).not.toHaveBeenCalled();
+  });
+});
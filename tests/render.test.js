@@ -0,0 +1,51 @@
+const sharp = require('sharp');
+const { RENDER_FORMATS, resolveRenderScale, renderSvg } = require('../src/render');
+
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg" width="40" height="20"><rect width="40" height="20" fill="#4c1"/></svg>';
+
+describe('resolveRenderScale', () => {
+  test('默认倍率为 1，scale 优先于 dpi', () => {
+    expect(resolveRenderScale({})).toEqual({ scale: 1 });
+    expect(resolveRenderScale({ scale: '2', dpi: '72' })).toEqual({ scale: 2 });
+    expect(resolveRenderScale({ dpi: '144' })).toEqual({ scale: 2 });
+  });
+
+  test('超出范围时返回错误', () => {
+    expect(resolveRenderScale({ scale: '5' })).toEqual({ error: 'scale 必须是 0.5 到 4 之间的数字' });
+    expect(resolveRenderScale({ scale: 'x' })).toEqual({ error: 'scale 必须是 0.5 到 4 之间的数字' });
+    expect(resolveRenderScale({ dpi: '20' })).toEqual({ error: 'dpi 必须是 36 到 288 之间的数字' });
+  });
+});
+
+describe('renderSvg', () => {
+  test('SVG 原样返回', async () => {
+    await expect(renderSvg(SVG, 'svg')).resolves.toEqual({ body: SVG, contentType: RENDER_FORMATS.svg });
+  });
+
+  test('按倍率输出 PNG 与 WebP', async () => {
+    const png = await renderSvg(SVG, 'png', { scale: 2 });
+    const webp = await renderSvg(SVG, 'webp');
+
+    expect(png.contentType).toBe('image/png');
+    await expect(sharp(png.body).metadata()).resolves.toMatchObject({ format: 'png', width: 80, height: 40 });
+    expect(webp.contentType).toBe('image/webp');
+    await expect(sharp(webp.body).metadata()).resolves.toMatchObject({ format: 'webp', width: 40, height: 20 });
+  });
+
+  test('不支持的格式或 SVG 无效时抛出异常', async () => {
+    await expect(renderSvg(SVG, 'gif')).rejects.toThrow('不支持的输出格式：gif，可选值：svg, png, webp');
+    await expect(renderSvg('<svg', 'png')).rejects.toThrow('PNG 生成失败');
+  });
+
+  test('未安装 sharp 时提示安装依赖', async () => {
+    let isolated;
+    jest.isolateModules(() => {
+      jest.doMock('sharp', () => {
+        throw new Error('Cannot find module \'sharp\'');
+      });
+      isolated = require('../src/render');
+    });
+
+    await expect(isolated.renderSvg(SVG, 'webp')).rejects.toThrow('WEBP 导出需要安装依赖 sharp：npm install');
+  });
+});
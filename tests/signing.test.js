@@ -0,0 +1,63 @@
+const {
+  SIGNATURE_STATUS,
+  getSigningSecret,
+  pickSignedParams,
+  signBadgeParams,
+  verifyBadgeParams
+} = require('../src/signing');
+const { resolveBadgeRequest } = require('../src/badge');
+
+const SECRET = 'test-secret';
+const PARAMS = { startDate: '2026-01-01', endDate: '2027-01-01', totalCost: '120', remainingValue: '96' };
+
+afterEach(() => {
+  delete process.env.BADGE_SIGNING_SECRET;
+});
+
+describe('徽章签名', () => {
+  test('仅数值与文案参数参与签名', () => {
+    expect(pickSignedParams({ ...PARAMS, totalCost: 120, style: 'flat', source: '', title: null, sig: 'x' }))
+      .toEqual(PARAMS);
+  });
+
+  test('签名与参数顺序及外观参数无关', () => {
+    const sig = signBadgeParams(PARAMS, SECRET);
+    const reordered = { remainingValue: '96', totalCost: '120', endDate: '2027-01-01', startDate: '2026-01-01', style: 'dark' };
+
+    expect(sig).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(signBadgeParams(reordered, SECRET)).toBe(sig);
+    expect(signBadgeParams(PARAMS, 'other-secret')).not.toBe(sig);
+  });
+
+  test('校验签名状态', () => {
+    const sig = signBadgeParams(PARAMS, SECRET);
+
+    expect(verifyBadgeParams({ ...PARAMS, sig }, null)).toBe(SIGNATURE_STATUS.DISABLED);
+    expect(verifyBadgeParams(PARAMS, SECRET)).toBe(SIGNATURE_STATUS.UNSIGNED);
+    expect(verifyBadgeParams({ ...PARAMS, sig, color: 'red' }, SECRET)).toBe(SIGNATURE_STATUS.VERIFIED);
+    expect(verifyBadgeParams({ ...PARAMS, remainingValue: '99', sig }, SECRET)).toBe(SIGNATURE_STATUS.INVALID);
+    expect(verifyBadgeParams({ ...PARAMS, sig: 'short' }, SECRET)).toBe(SIGNATURE_STATUS.INVALID);
+  });
+
+  test('默认读取环境变量 BADGE_SIGNING_SECRET', () => {
+    expect(getSigningSecret()).toBeNull();
+
+    process.env.BADGE_SIGNING_SECRET = SECRET;
+    expect(getSigningSecret()).toBe(SECRET);
+    expect(verifyBadgeParams({ ...PARAMS, sig: signBadgeParams(PARAMS, SECRET) })).toBe(SIGNATURE_STATUS.VERIFIED);
+  });
+
+  test('配置密钥后拒绝被篡改的链接，未签名的链接标注未验证', () => {
+    process.env.BADGE_SIGNING_SECRET = SECRET;
+    const sig = signBadgeParams(PARAMS, SECRET);
+
+    expect(resolveBadgeRequest({ ...PARAMS, remainingValue: '119', sig }))
+      .toEqual({ status: 403, error: '徽章签名无效，链接参数可能已被篡改' });
+    expect(resolveBadgeRequest(PARAMS).options.title).toBe('VPS 剩余价值 · 未验证');
+    expect(resolveBadgeRequest({ ...PARAMS, lang: 'en' }).options.title).toBe('VPS Value · Unverified');
+
+    const verified = resolveBadgeRequest({ ...PARAMS, sig });
+    expect(verified.options.title).toBe('VPS 剩余价值');
+    expect(verified.data.signature).toBe('verified');
+  });
+});
@@ -0,0 +1,25 @@
+const { SPEC_FIELDS, normalizeSpecs, calculateUnitCosts } = require('../src/specs');
+
+describe('硬件配置', () => {
+  test('仅保留已填写的字段', () => {
+    expect(SPEC_FIELDS).toEqual(['cpu', 'memory', 'disk', 'bandwidth', 'traffic']);
+    expect(normalizeSpecs({ cpu: '2', memory: 1024, disk: null, bandwidth: '', traffic: 0, gpu: 1 }))
+      .toEqual({ cpu: 2, memory: 1024, traffic: 0 });
+  });
+
+  test('配置不合法时抛出异常', () => {
+    expect(() => normalizeSpecs(null)).toThrow('specs 必须是对象');
+    expect(() => normalizeSpecs([1])).toThrow('specs 必须是对象');
+    expect(() => normalizeSpecs({ disk: 'big' })).toThrow('specs.disk 必须是非负数字');
+  });
+
+  test('按计价单位计算单位月成本', () => {
+    expect(calculateUnitCosts({ cpu: 4, memory: 2048, disk: 50, bandwidth: 100, traffic: 0 }, 40)).toEqual({
+      cpu: 10,
+      memory: 20,
+      disk: 0.8,
+      bandwidth: 0.4,
+      traffic: null
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const { DELIMITERS, parseDelimited, toDelimited, buildXlsx } = require('../src/tabular');
+
+// 逐位计算的 CRC-32，用于校验 ZIP 中记录的校验值
+function referenceCrc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k += 1) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 读取不压缩的 ZIP 文件：{ 文件名: { content, crc } }
+function readZip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const crc = buffer.readUInt32LE(offset + 14);
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = { content: buffer.subarray(start, start + size), crc };
+    offset = start + size;
+  }
+  return files;
+}
+
+describe('parseDelimited', () => {
+  test('解析引号、转义与字段内换行', () => {
+    expect(parseDelimited('\uFEFFa,b,c\r\n"x,1","say ""hi""","line\nbreak"\n')).toEqual([
+      ['a', 'b', 'c'],
+      ['x,1', 'say "hi"', 'line\nbreak']
+    ]);
+  });
+
+  test('保留空行，最后一行可不带换行', () => {
+    expect(parseDelimited('a,b\n\n1,2')).toEqual([['a', 'b'], [''], ['1', '2']]);
+    expect(parseDelimited('a,\r1,')).toEqual([['a', ''], ['1', '']]);
+    expect(parseDelimited('')).toEqual([]);
+  });
+
+  test('按 TSV 分隔符解析', () => {
+    expect(parseDelimited('a\tb,c\n1\t2', DELIMITERS.tsv)).toEqual([['a', 'b,c'], ['1', '2']]);
+  });
+
+  test('引号未闭合时抛出异常', () => {
+    expect(() => parseDelimited('a\n"b')).toThrow('引号未闭合');
+  });
+});
+
+describe('toDelimited', () => {
+  test('生成带 BOM 的 CSV 并按需加引号', () => {
+    expect(toDelimited(['a', 'b'], [['x,1', 'say "hi"'], [null, 3]]))
+      .toBe('\uFEFFa,b\r\n"x,1","say ""hi"""\r\n,3\r\n');
+  });
+
+  test('文本公式加单引号前缀，负数不受影响', () => {
+    expect(toDelimited(['v'], [['=SUM(A1)'], ['+1'], ['-x'], ['@a'], [-3]]))
+      .toBe("\uFEFFv\r\n'=SUM(A1)\r\n'+1\r\n'-x\r\n'@a\r\n-3\r\n");
+  });
+
+  test('TSV 中包含制表符的字段加引号', () => {
+    expect(toDelimited(['a', 'b'], [['x y', 'p\tq']], DELIMITERS.tsv)).toBe('\uFEFFa\tb\r\nx y\t"p\tq"\r\n');
+    expect(toDelimited(['a'], [['x;y']], ';')).toBe('\uFEFFa\r\n"x;y"\r\n');
+  });
+});
+
+describe('buildXlsx', () => {
+  test('生成包含工作簿各部分的 ZIP 文件', () => {
+    const files = readZip(buildXlsx(['name', 'price'], [['<VPS>', 12.5]], 'VPS'));
+
+    expect(Object.keys(files)).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/styles.xml',
+      'xl/worksheets/sheet1.xml'
+    ]);
+    Object.values(files).forEach(({ content, crc }) => {
+      expect(crc).toBe(referenceCrc32(content));
+    });
+
+    expect(files['xl/workbook.xml'].content.toString()).toContain('<sheet name="VPS" sheetId="1" r:id="rId1"/>');
+    const sheet = files['xl/worksheets/sheet1.xml'].content.toString();
+    expect(sheet).toContain('<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">name</t></is></c>');
+    expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">&lt;VPS&gt;</t></is></c>');
+    expect(sheet).toContain('<c r="B2"><v>12.5</v></c>');
+  });
+
+  test('空单元格省略，超过 26 列时使用双字母列名', () => {
+    const header = Array.from({ length: 28 }, (_, index) => `c${index}`);
+    const row = Array.from({ length: 28 }, (_, index) => (index === 1 ? null : index));
+    const sheet = readZip(buildXlsx(header, [row]))['xl/worksheets/sheet1.xml'].content.toString();
+
+    expect(sheet).not.toContain('r="B2"');
+    expect(sheet).toContain('<c r="AA2"><v>26</v></c>');
+    expect(sheet).toContain('<c r="AB2"><v>27</v></c>');
+  });
+
+  test('工作表名称最多 31 个字符', () => {
+    const workbook = readZip(buildXlsx(['a'], [], 'x'.repeat(40)))['xl/workbook.xml'].content.toString();
+    expect(workbook).toContain(`<sheet name="${'x'.repeat(31)}"`);
+    expect(readZip(buildXlsx(['a'], []))['xl/workbook.xml'].content.toString()).toContain('<sheet name="Sheet1"');
+  });
+});
@@ -0,0 +1,114 @@
+const { MAX_POINTS, MAX_RENEWALS, buildTimeline } = require('../src/timeline');
+const { resolveChartOptions, buildTimelineSvg } = require('../src/chart');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const BASE = { totalCost: 30, cycle: '30d', purchaseDate: '2026-10-09' };
+
+describe('buildTimeline', () => {
+  test('按采样间隔计算剩余价值', () => {
+    expect(buildTimeline({ ...BASE, interval: 'week' }, NOW)).toEqual({
+      purchaseDate: '2026-10-09',
+      expiryDate: '2026-11-08',
+      timezone: 'UTC',
+      interval: 'week',
+      currency: 'CNY',
+      totalCost: 30,
+      terms: [{ index: 0, price: 30, cycle: '30d', startDate: '2026-10-09', expiryDate: '2026-11-08', planned: false }],
+      points: [
+        { date: '2026-10-09', remainingValue: 30 },
+        { date: '2026-10-16', remainingValue: 23 },
+        { date: '2026-10-23', remainingValue: 16 },
+        { date: '2026-10-30', remainingValue: 9 },
+        { date: '2026-11-06', remainingValue: 2 },
+        { date: '2026-11-08', remainingValue: 0 }
+      ],
+      today: { date: '2026-10-19', remainingValue: 20 }
+    });
+  });
+
+  test('计划续费在该期开始时才计入剩余价值', () => {
+    const timeline = buildTimeline({ ...BASE, renewals: 2, renewalPrice: '60' }, NOW);
+
+    expect(timeline).toMatchObject({ expiryDate: '2027-01-07', totalCost: 150 });
+    expect(timeline.terms.map((term) => [term.price, term.startDate, term.planned])).toEqual([
+      [30, '2026-10-09', false],
+      [60, '2026-11-08', true],
+      [60, '2026-12-08', true]
+    ]);
+    expect(timeline.points[29]).toEqual({ date: '2026-11-07', remainingValue: 1 });
+    expect(timeline.points[30]).toEqual({ date: '2026-11-08', remainingValue: 60 });
+    expect(timeline.points).toHaveLength(91);
+  });
+
+  test('已付多期记录在购买日全部计入', () => {
+    const timeline = buildTimeline({ ...BASE, totalCost: undefined, terms: [{ price: 10 }, { price: 20, cycle: '60d' }] }, NOW);
+
+    expect(timeline.points[0]).toEqual({ date: '2026-10-09', remainingValue: 30 });
+    expect(timeline.expiryDate).toBe('2027-01-07');
+  });
+
+  test('费用明细只包含周期性部分，今天不在时间线内时为 null', () => {
+    const timeline = buildTimeline({
+      ...BASE,
+      items: [{ type: 'setup', amount: 10 }],
+      taxRate: 10,
+      currency: 'JPY'
+    }, new Date('2027-01-01T00:00:00Z'));
+
+    expect(timeline).toMatchObject({ currency: 'JPY', totalCost: 33, today: null });
+    expect(timeline.points[1]).toEqual({ date: '2026-10-10', remainingValue: 32 });
+  });
+
+  test('参数不合法时抛出异常', () => {
+    expect(() => buildTimeline({ ...BASE, purchaseDate: '' }, NOW)).toThrow('缺少必需参数：purchaseDate');
+    expect(() => buildTimeline({ ...BASE, interval: 'month' }, NOW)).toThrow('不支持的时间间隔：month，可选值：day, week');
+    expect(() => buildTimeline({ ...BASE, purchaseDate: 'x' }, NOW)).toThrow('购买日期格式不正确');
+    expect(() => buildTimeline({ ...BASE, renewals: MAX_RENEWALS + 1 }, NOW))
+      .toThrow(`续费次数 renewals 必须是 0 到 ${MAX_RENEWALS} 之间的整数`);
+    expect(() => buildTimeline({ ...BASE, terms: [] }, NOW)).toThrow('续费记录 terms 必须是非空数组');
+    expect(() => buildTimeline({ ...BASE, terms: [null] }, NOW)).toThrow('第 1 期价格必须是大于 0 的数字');
+    expect(() => buildTimeline({ ...BASE, cycle: undefined, terms: [{ price: 1 }] }, NOW)).toThrow('第 1 期缺少付款周期');
+    expect(() => buildTimeline({ ...BASE, totalCost: undefined }, NOW)).toThrow('缺少必需参数：totalCost, cycle, purchaseDate');
+    expect(() => buildTimeline({ ...BASE, totalCost: 'x' }, NOW)).toThrow('totalCost 必须是大于 0 的数字');
+    expect(() => buildTimeline({ ...BASE, totalCost: undefined, items: [{ type: 'setup', amount: 5 }] }, NOW))
+      .toThrow('totalCost 必须是大于 0 的数字');
+    expect(() => buildTimeline({ ...BASE, renewals: 1, renewalPrice: -1 }, NOW)).toThrow('续费价格必须是大于 0 的数字');
+    expect(() => buildTimeline({ ...BASE, cycle: '1600d' }, NOW))
+      .toThrow(`时间线采样点过多（最多 ${MAX_POINTS} 个），请使用更大的时间间隔`);
+  });
+});
+
+describe('剩余价值曲线图', () => {
+  const timeline = buildTimeline({ ...BASE, interval: 'week' }, NOW);
+
+  test('解析外观参数', () => {
+    expect(resolveChartOptions({}).options).toMatchObject({
+      style: 'card', title: 'VPS 剩余价值曲线', currency: 'CNY', width: 480, height: 240, color: null
+    });
+    expect(resolveChartOptions({ style: 'Dark', lang: 'en', width: '5000', height: '10', title: 'x'.repeat(50) }).options)
+      .toMatchObject({ style: 'dark', title: 'x'.repeat(40), width: 1200, height: 160, labels: { today: 'Today' } });
+    expect(resolveChartOptions({ style: 'flat' }).error).toBe('不支持的曲线图样式：flat，可选值：card, dark, light');
+  });
+
+  test('生成折线图并标出今天', () => {
+    const svg = buildTimelineSvg(timeline, resolveChartOptions({}).options);
+
+    expect(svg).toContain('width="480" height="240"');
+    expect(svg).toContain('今天 ¥20.00');
+    expect(svg).toContain('d="M56.0,44.0 L150.3,82.3 L244.5,120.5 L338.8,158.8 L433.1,197.1 L460.0,208.0"');
+    expect(svg).toContain('<circle cx="190.7" cy="98.7"');
+    expect(svg).toContain('2026-11-08');
+  });
+
+  test('今天不在时间线内时不标出，支持浅色主题与自定义颜色', () => {
+    const svg = buildTimelineSvg({ ...timeline, today: null }, resolveChartOptions({
+      style: 'light', color: '#f00', background: '#eee', textColor: '#111', currency: 'USD'
+    }).options);
+
+    expect(svg).not.toContain('今天');
+    expect(svg).toContain('stroke="#d0d7de"');
+    expect(svg).toContain('stroke="#f00"');
+    expect(svg).toContain('stop-color:#eee');
+    expect(svg).toContain('$30');
+  });
+});
@@ -0,0 +1,71 @@
+const { calculateTradeQuote } = require('../src/trade');
+
+const base = { remainingValue: 24.33, remainingDays: 74, renewalPrice: 120, renewalDays: 365 };
+
+describe('calculateTradeQuote', () => {
+  test('按百分比溢价与手续费计算，手续费平摊', () => {
+    const quote = calculateTradeQuote({
+      ...base,
+      premium: 10,
+      transferFee: 5,
+      transferFeeType: 'percent',
+      feePaidBy: 'split'
+    });
+
+    expect(quote).toEqual({
+      currency: 'CNY',
+      remainingValue: 24.33,
+      premiumAmount: 2.43,
+      askingPrice: 26.76,
+      transferFee: 1.34,
+      feePaidBy: 'split',
+      buyerPays: 27.43,
+      sellerReceives: 26.09,
+      remainingDays: 74,
+      buyerDailyCost: 0.37,
+      freshDailyCost: 0.33,
+      savings: -3.1,
+      savingsRate: -12.74,
+      beatsFresh: false
+    });
+  });
+
+  test('折价出售并由卖家承担固定手续费', () => {
+    const quote = calculateTradeQuote({ ...base, premium: -5, premiumType: 'fixed', transferFee: 1, feePaidBy: 'seller' });
+
+    expect(quote).toMatchObject({
+      askingPrice: 19.33,
+      buyerPays: 19.33,
+      sellerReceives: 18.33,
+      savings: 5,
+      beatsFresh: true
+    });
+  });
+
+  test('按货币的最小货币单位计算', () => {
+    const quote = calculateTradeQuote({
+      remainingValue: 3650,
+      remainingDays: 74,
+      premium: 12.5,
+      renewalPrice: 18000,
+      renewalDays: 365,
+      currency: 'JPY'
+    });
+
+    expect(quote).toMatchObject({ currency: 'JPY', premiumAmount: 456, askingPrice: 4106, buyerDailyCost: 55.49 });
+  });
+
+  test('参数不合法时抛出异常', () => {
+    expect(() => calculateTradeQuote({ ...base, remainingValue: -1 })).toThrow('剩余价值必须是非负数字');
+    expect(() => calculateTradeQuote({ ...base, remainingDays: 0 })).toThrow('剩余天数必须大于 0');
+    expect(() => calculateTradeQuote({ ...base, premiumType: 'ratio' })).toThrow('不支持的溢价类型：ratio');
+    expect(() => calculateTradeQuote({ ...base, premium: NaN })).toThrow('溢价必须是数字');
+    expect(() => calculateTradeQuote({ ...base, transferFeeType: 'x' })).toThrow('不支持的手续费类型：x');
+    expect(() => calculateTradeQuote({ ...base, transferFee: -1 })).toThrow('转让手续费必须是非负数字');
+    expect(() => calculateTradeQuote({ ...base, feePaidBy: 'platform' })).toThrow('不支持的手续费承担方：platform');
+    expect(() => calculateTradeQuote({ ...base, renewalPrice: 0 })).toThrow('续费价格必须是大于 0 的数字');
+    expect(() => calculateTradeQuote({ ...base, renewalDays: 0 })).toThrow('续费周期天数必须大于 0');
+    expect(() => calculateTradeQuote({ ...base, premium: -30, premiumType: 'fixed' })).toThrow('折价后售价不能为负数');
+    expect(() => calculateTradeQuote({ ...base, currency: 'XYZ' })).toThrow('不支持的货币类型：XYZ');
+  });
+});